@@ -0,0 +1,581 @@
+/**
+ * The monitor application: builds the services from config and runs the
+ * checks, either on the cron schedule (start) or once (checkOnce, dryRun).
+ * The command-line commands in cli.js call into this module.
+ */
+import cron from 'node-cron';
+import config from './config/env.js';
+import Logger from './utils/logger.js';
+import RssService from './services/rssService.js';
+import HttpClient from './services/httpClient.js';
+import FixtureStore from './services/fixtureStore.js';
+import NotificationService from './services/notificationService.js';
+import EmailService from './services/emailService.js';
+import OutboxService from './services/outboxService.js';
+import DigestService from './services/digestService.js';
+import PostTracker from './services/postTracker.js';
+import AIService from './services/aiService.js';
+import UsageTracker from './services/usageTracker.js';
+import { createStateStore } from './storage/index.js';
+import FilterService from './services/filterService.js';
+import RunHistory from './services/runHistory.js';
+import DashboardServer from './services/dashboardServer.js';
+import RedditClient from './services/redditClient.js';
+import RedditListingService from './services/redditListingService.js';
+import ApprovalService from './services/approvalService.js';
+import CommentWatcher from './services/commentWatcher.js';
+import { createLimiter } from './utils/concurrency.js';
+import { selectPrompt } from './utils/promptTemplate.js';
+
+// Initialize logger; every credential in config is masked in the output
+const logger = new Logger(config.logging.level, {
+  ...config.logging,
+  secrets: [
+    config.mailersend.apiToken,
+    config.smtp.pass,
+    config.ai.openai.apiKey,
+    config.ai.anthropic.apiKey,
+    config.reddit.clientSecret,
+    config.reddit.password,
+    config.dashboard.token,
+    config.notifications.slack.webhookUrl,
+    config.notifications.discord.webhookUrl,
+    config.notifications.webhook.url,
+    ...Object.values(config.notifications.webhook.headers || {})
+  ]
+});
+
+// Initialize services
+const fixtures = config.fixtures.mode === 'off' ? null : new FixtureStore(config.fixtures, logger);
+const httpClient = new HttpClient(config.http, logger, { fixtures });
+const rssService = new RssService(logger, httpClient, config.cache, { baseUrl: config.reddit.webBaseUrl });
+const redditClient = new RedditClient(config, logger, httpClient);
+const listingService = new RedditListingService(logger, redditClient, httpClient);
+const stateStore = createStateStore(config, logger);
+const postTracker = new PostTracker(logger, stateStore, {
+  retentionMinutes: config.state.retentionMinutes
+});
+const usageTracker = new UsageTracker(config, logger, stateStore);
+const aiService = new AIService(config, logger, { usageTracker, rssService });
+const digestService = new DigestService(config, logger, stateStore);
+const notificationService = new NotificationService(config, logger, { digestService });
+const filterService = new FilterService(config, logger);
+const runHistory = new RunHistory(logger, stateStore);
+const commentWatcher = config.comments.enabled
+  ? new CommentWatcher(config, logger, stateStore, { rssService })
+  : null;
+const outboxService = new OutboxService(config, logger, stateStore, { notificationService, postTracker, runHistory, commentWatcher });
+const approvalService = config.approvals.enabled
+  ? new ApprovalService(config, logger, stateStore, redditClient)
+  : null;
+const dashboardServer = config.dashboard.port > 0
+  ? new DashboardServer(config, logger, runHistory, { approvalService, usageTracker })
+  : null;
+
+/**
+ * Process the fetched feeds for one monitor: select new posts, apply the
+ * pre-filter rules, analyze and notify the monitor's recipients
+ * @param {Object} monitor - Monitor config
+ * @param {Map<string, Object>} feedResults - Feed results keyed by backend:source id
+ * @param {Object} run - Run record for the dashboard
+ */
+async function processMonitor(monitor, feedResults, run) {
+  // Select posts newer than each feed's cursor that haven't been seen yet,
+  // leaving out posts already waiting in the outbox
+  const heldPosts = outboxService.getHeldPostKeys();
+  const selectedPosts = monitor.sources.flatMap(source => {
+    const result = feedResults.get(`${source.backend}:${source.id}`);
+    if (!result || !result.success) {
+      return [];
+    }
+
+    const feedKey = `${monitor.name}:${source.id}`;
+    const posts = result.posts.map(post => ({ ...post, feedKey }));
+    return postTracker.selectNewPosts(feedKey, posts, monitor.backfillLimit)
+      .filter(post => !heldPosts.has(`${feedKey}/${post.id}`));
+  });
+
+  // A post found by several sources (e.g. a subreddit and a search) is
+  // processed once, under the first source's feed
+  const postsById = new Map();
+  selectedPosts.forEach(post => {
+    if (!postsById.has(post.id)) {
+      postsById.set(post.id, post);
+    }
+  });
+  const newPosts = [...postsById.values()];
+
+  logger.info(`[${monitor.name}] Found ${newPosts.length} new post(s)`);
+
+  if (newPosts.length === 0) {
+    return;
+  }
+
+  // Fetch full post content (and flair) for each new post from RSS, a few
+  // posts at a time; posts from the API backend already carry it
+  logger.info(`[${monitor.name}] Fetching full post content...`);
+  const limit = createLimiter(config.http.detailsConcurrency);
+  const postsWithFullContent = await Promise.all(
+    newPosts.map(post => limit(async () => {
+      if (post.fullContent !== undefined) {
+        return post;
+      }
+
+      const details = await rssService.fetchPostDetails(post.link);
+      return {
+        ...post,
+        author: details?.author || post.author,
+        flair: details?.flair || null,
+        fullContent: details?.selftext || post.contentSnippet || post.content
+      };
+    }))
+  );
+
+  // Run the pre-filter rules; rejected posts are marked as seen without notifying
+  const { accepted, rejected } = filterService.applyFilters(postsWithFullContent, monitor);
+  if (rejected.length > 0) {
+    logger.info(`[${monitor.name}] Filters rejected ${rejected.length} of ${newPosts.length} post(s)`);
+  }
+
+  // Analyze posts with AI if enabled; posts below the monitor's relevance
+  // threshold are marked as skipped
+  let analyzedPosts = accepted;
+  if (accepted.length > 0 && aiService.isEnabled() && monitor.ai.enabled) {
+    analyzedPosts = await aiService.analyzeAllPosts(accepted, monitor);
+  }
+
+  // Attach approve/edit/reject links to the draft replies
+  if (approvalService) {
+    analyzedPosts = approvalService.createApprovals(monitor, analyzedPosts);
+  }
+
+  // Store the notification in the outbox (skipped posts are left out);
+  // everything else needs no delivery and is marked as seen right away
+  const entry = outboxService.enqueue(monitor, analyzedPosts);
+  runHistory.recordPosts(run, monitor, rejected, analyzedPosts);
+  // Copies of a post in other feeds are marked as seen in their own feed
+  // right away, since the post is handled through the first one
+  const queuedKeys = new Set(entry ? entry.posts.map(post => `${post.feedKey}/${post.id}`) : []);
+  selectedPosts
+    .filter(post => !queuedKeys.has(`${post.feedKey}/${post.id}`))
+    .forEach(post => postTracker.markAsSeen(post));
+
+  // First delivery attempt; its posts are marked as seen once the delivery
+  // policy is met, and failed channels are retried by the outbox worker
+  if (entry) {
+    await outboxService.attempt(entry);
+  }
+  await postTracker.flush();
+}
+
+/**
+ * Fetch every feed the monitors watch, once each, with the source's backend
+ * @param {Object[]} monitors - Monitors due for a check
+ * @returns {Promise<Object[]>} - Feed results, tagged with their backend
+ */
+async function fetchFeeds(monitors) {
+  // Group the sources by feed, collecting the cursor of every monitor watching it
+  const feeds = new Map();
+  for (const monitor of monitors) {
+    for (const source of monitor.sources) {
+      const feedId = `${source.backend}:${source.id}`;
+      if (!feeds.has(feedId)) {
+        feeds.set(feedId, { source, cursors: [] });
+      }
+      feeds.get(feedId).cursors.push(postTracker.getCursor(`${monitor.name}:${source.id}`));
+    }
+  }
+
+  const rssFeeds = [...feeds.values()].filter(feed => feed.source.backend === 'rss');
+  const apiFeeds = [...feeds.values()].filter(feed => feed.source.backend === 'api');
+
+  const rssResults = rssFeeds.length > 0
+    ? await rssService.fetchMultipleFeeds(rssFeeds.map(feed => feed.source))
+    : [];
+
+  // Ask the API only for posts newer than the cursor of the monitor furthest
+  // behind; a feed without a cursor yet starts from the latest page
+  const apiResults = await Promise.all(apiFeeds.map(feed => {
+    const before = feed.cursors.every(Boolean)
+      ? feed.cursors.reduce((oldest, cursor) => (cursor.timestamp < oldest.timestamp ? cursor : oldest)).id
+      : undefined;
+    return listingService.fetchFeed(feed.source, before);
+  }));
+
+  return [
+    ...rssResults.map(result => ({ ...result, backend: 'rss' })),
+    ...apiResults.map(result => ({ ...result, backend: 'api' }))
+  ];
+}
+
+/**
+ * Main monitoring task - checks RSS feeds for new posts
+ * @param {Object[]} monitors - Monitors due for a check
+ * @returns {Promise<Object>} - The run record (feeds fetched, counts, error if the check failed)
+ */
+async function monitorFeeds(monitors) {
+  let run = null;
+  try {
+    run = runHistory.startRun(monitors);
+    // Every line logged during the check carries its run id
+    await logger.withContext({ runId: run.id }, () => checkFeeds(monitors, run));
+  } catch (error) {
+    logger.error('Error during feed monitoring:', error.message);
+    logger.error(error.stack);
+    if (!run) {
+      throw error;
+    }
+    runHistory.finishRun(run, error);
+  }
+  return run;
+}
+
+/**
+ * Run one check: fetch the feeds and process them for each monitor
+ * @param {Object[]} monitors - Monitors due for a check
+ * @param {Object} run - Run record for the dashboard
+ * @throws {Error} - If the check fails
+ */
+async function checkFeeds(monitors, run) {
+  logger.info(`Starting RSS feed check for ${monitors.map(m => m.name).join(', ')}...`);
+
+  // Fetch each feed once, even if several monitors watch it
+  const results = await fetchFeeds(monitors);
+  runHistory.recordFeeds(run, results);
+  const feedResults = new Map(results.map(result => [`${result.backend}:${result.source.id}`, result]));
+
+  // Get all posts from successful feeds
+  const allPosts = rssService.getAllPosts(results);
+  logger.info(`Retrieved ${allPosts.length} total posts`);
+
+  for (const monitor of monitors) {
+    await logger.withContext({ monitor: monitor.name }, () => processMonitor(monitor, feedResults, run));
+  }
+
+  // Forget posts older than the retention period (cursors keep older posts out)
+  postTracker.cleanup();
+  const cache = rssService.takeCacheStats();
+  runHistory.recordCache(run, cache);
+  runHistory.finishRun(run);
+  await postTracker.flush();
+
+  const queued = outboxService.getQueuedCount();
+  logger.info(`Check complete. Tracking ${postTracker.getTrackedCount()} seen posts.${queued > 0 ? ` ${queued} notification(s) awaiting retry.` : ''}`);
+  logger.info(`Cache: feeds ${cache.feedHits} not modified / ${cache.feedMisses} downloaded, post details ${cache.postHits} hits / ${cache.postMisses} misses`);
+  if (aiService.isEnabled()) {
+    logger.info(`AI usage today: ${usageTracker.describeToday()}`);
+  }
+}
+
+// Scheduled jobs run one at a time so overlapping schedules never interleave state writes
+let runQueue = Promise.resolve();
+
+/**
+ * Queue a job behind any job already running. A job that throws is logged,
+ * so the jobs queued behind it still run.
+ * @param {function(): Promise<void>} job - Job to run
+ * @returns {Promise<void>} - Resolves when the job has finished
+ */
+function queueJob(job) {
+  runQueue = runQueue.then(job).catch(error => {
+    logger.error('Scheduled job failed:', error.message);
+    logger.error(error.stack);
+  });
+  return runQueue;
+}
+
+/**
+ * Send the pending digest emails
+ */
+async function sendDigests() {
+  try {
+    await digestService.sendDigests();
+  } catch (error) {
+    logger.error('Error while sending digests:', error.message);
+    logger.error(error.stack);
+  }
+}
+
+/**
+ * Retry failed notifications whose backoff has elapsed
+ */
+async function retryOutbox() {
+  try {
+    await outboxService.processDue();
+  } catch (error) {
+    logger.error('Error while retrying notifications:', error.message);
+    logger.error(error.stack);
+  }
+}
+
+/**
+ * Check the watched comment threads for new comments and deliver them
+ * through the outbox, leaving out comments already waiting there
+ */
+async function checkComments() {
+  try {
+    const found = await commentWatcher.checkThreads(outboxService.getHeldPostKeys());
+    for (const { monitor, comments } of found) {
+      const entry = outboxService.enqueue(monitor, comments, 'new_comments');
+      if (entry) {
+        await outboxService.attempt(entry);
+      }
+    }
+  } catch (error) {
+    logger.error('Error while checking comments:', error.message);
+    logger.error(error.stack);
+  }
+}
+
+/**
+ * Check every monitor once, for external schedulers: retries the
+ * notifications that are due, then checks the feeds
+ * @returns {Promise<{run: Object, queued: number}>} - The run record, and the number of
+ *   notifications still waiting for a retry
+ */
+export async function checkOnce() {
+  await stateStore.load();
+  await retryOutbox();
+  const run = await monitorFeeds(config.monitors);
+  await stateStore.close();
+  return { run, queued: outboxService.getQueuedCount() };
+}
+
+/**
+ * Dry run: check every monitor once, with notifications (and the digests
+ * they would add to) written out instead of sent
+ * @returns {Promise<Object>} - The run record
+ */
+export async function dryRun() {
+  logger.info('=== Reddit RSS Monitor: dry run ===');
+  logger.info(`Notifications are written to ${config.dryRun.outputFile || 'stdout'}, nothing is sent and no state is saved`);
+  if (fixtures) {
+    logger.info(fixtures.isReplaying()
+      ? `Replaying Reddit responses from ${config.fixtures.dir}`
+      : `Recording Reddit responses to ${config.fixtures.dir}`);
+  }
+
+  await stateStore.load();
+  const run = await monitorFeeds(config.monitors);
+  if (digestService.isEnabled()) {
+    await sendDigests();
+  }
+  await stateStore.close();
+  return run;
+}
+
+/**
+ * Send a sample notification email, to check the email settings
+ * @param {string} recipient - Address to send to
+ * @returns {Promise<boolean>} - True if the email was sent
+ * @throws {Error} - If email is not configured
+ */
+export async function sendTestEmail(recipient) {
+  if (!config.email.fromEmail) {
+    throw new Error('FROM_EMAIL is not set');
+  }
+
+  const now = new Date();
+  const samplePost = {
+    id: 't3_sample',
+    title: 'Sample post from the Reddit RSS Monitor',
+    link: 'https://www.reddit.com/r/test/comments/sample/sample_post/',
+    subreddit: 'test',
+    author: 'example_user',
+    flair: 'Test',
+    pubDate: now.toISOString(),
+    fullContent: `This is a test notification sent at ${now.toISOString()}. If you can read it, email delivery works.`,
+    shouldReply: true,
+    aiReply: 'This is where the AI draft reply appears.',
+    skipReason: null,
+    analysis: { relevance: 0.9, category: 'test', sentiment: 'positive', confidence: 1 },
+    skipped: false
+  };
+
+  await stateStore.load();
+  try {
+    return await new EmailService(config, logger).sendNotification([samplePost], [recipient]);
+  } finally {
+    await stateStore.close();
+  }
+}
+
+/**
+ * Analyze one Reddit post with AI, as a monitor would
+ * @param {string} postUrl - Post URL (https://www.reddit.com/r/.../comments/...)
+ * @param {Object} monitor - Monitor whose prompt and settings to use; defaults to the
+ *   first monitor watching the post's subreddit, or the default prompt
+ * @returns {Promise<{post: Object, monitor: Object|null, template: Object, result: Object}>} -
+ *   The post, the monitor and prompt template used, and the AI decision (see AIService.generateReply)
+ * @throws {Error} - If AI is disabled or the post can't be loaded
+ */
+export async function analyzePost(postUrl, monitor = null) {
+  if (!aiService.isEnabled()) {
+    throw new Error('No AI provider configured (set AI_PROVIDERS or OPENAI_API_KEY)');
+  }
+
+  // The usage tracker checks the daily budget and records the spend in the state store
+  await stateStore.load();
+  try {
+    return await analyzeLoadedPost(postUrl, monitor);
+  } finally {
+    await stateStore.close();
+  }
+}
+
+/**
+ * Fetch a post and analyze it, with the state store loaded
+ * @param {string} postUrl - Reddit post URL
+ * @param {Object} monitor - Monitor whose prompt to use (optional)
+ * @returns {Promise<Object>} - See analyzePost
+ */
+async function analyzeLoadedPost(postUrl, monitor) {
+  const details = await rssService.fetchPostDetails(postUrl);
+  if (!details) {
+    throw new Error(`Could not load ${postUrl}`);
+  }
+
+  const post = {
+    id: details.id,
+    title: details.title,
+    link: postUrl,
+    subreddit: details.subreddit,
+    author: details.author,
+    flair: details.flair,
+    fullContent: details.selftext
+  };
+  const subreddit = (post.subreddit || '').toLowerCase();
+  const selected = monitor || config.monitors.find(candidate => candidate.sources.some(source => source.type === 'subreddit' && source.name.toLowerCase() === subreddit)) || null;
+  const template = selected ? selectPrompt(selected, post) : config.ai.prompt;
+
+  const result = await aiService.generateReply(post, template, selected);
+  return { post, monitor: selected, template, result };
+}
+
+/**
+ * List the seen posts of every feed, or of one monitor's feeds
+ * @param {string} monitorName - Monitor to list (optional)
+ * @returns {Promise<Object[]>} - Feeds: { feedKey, cursor, posts: [{ id, seenAt }] }
+ */
+export async function listSeenPosts(monitorName = null) {
+  await stateStore.load();
+  try {
+    return postTracker.getFeeds(monitorName);
+  } finally {
+    await stateStore.close();
+  }
+}
+
+/**
+ * Forget the seen posts and cursors of every feed, or of one monitor's feeds.
+ * The next check treats the feeds as new (see BACKFILL_LIMIT).
+ * @param {string} monitorName - Monitor to reset (optional)
+ * @returns {Promise<{feeds: number, posts: number}>} - How many feeds and seen posts were forgotten
+ */
+export async function clearSeenPosts(monitorName = null) {
+  await stateStore.load();
+  try {
+    const cleared = postTracker.clear(monitorName);
+    await postTracker.flush();
+    return cleared;
+  } finally {
+    await stateStore.close();
+  }
+}
+
+/**
+ * Initialize and start the application
+ */
+export async function start() {
+  logger.info('=== Reddit RSS Monitor Starting ===');
+  for (const monitor of config.monitors) {
+    const emailing = [
+      monitor.recipients.length > 0 ? `, emailing ${monitor.recipients.join(', ')}` : '',
+      monitor.digestRecipients.length > 0 ? `, digest to ${monitor.digestRecipients.join(', ')}` : ''
+    ].join('');
+    const sources = monitor.sources.map(source => `${source.label}${source.backend === 'api' ? ' (api)' : ''}`).join(', ');
+    logger.info(`Monitor "${monitor.name}": ${sources} every ${monitor.checkIntervalMinutes} minute(s)${emailing}${monitor.ai.enabled ? '' : ' (AI off)'}`);
+  }
+  logger.info(`Notification channels: ${notificationService.getChannelNames().join(', ')} (delivery policy: ${config.notifications.policy})`);
+  if (approvalService) {
+    logger.info(`Reply approvals enabled: links point to ${config.approvals.publicUrl}, replies post as u/${config.reddit.username}`);
+  }
+  if (commentWatcher) {
+    logger.info(`Comment watching enabled: every ${config.comments.checkIntervalMinutes} minute(s) for ${config.comments.watchHours} hour(s) per thread, notifying ${config.comments.notify.join(', ')}`);
+    if (!config.reddit.username) {
+      logger.info('REDDIT_USERNAME is not set, so replies to our own comments cannot be recognized');
+    }
+  }
+  if (aiService.isEnabled() && config.ai.dailyBudget > 0) {
+    logger.info(`AI daily budget: $${config.ai.dailyBudget.toFixed(2)} (posts are sent un-analyzed once it is spent)`);
+  }
+  logger.info(`HTTP: ${config.http.concurrency} concurrent requests (${config.http.detailsConcurrency} post detail fetches per check), ${config.http.maxRetries} retries, ${config.http.hostBudgetPerMinute} requests/minute per host`);
+  if (fixtures) {
+    logger.info(`Recording Reddit responses to ${config.fixtures.dir}`);
+  }
+  logger.info(`State backend: ${config.state.backend}${config.state.backend === 'memory' ? '' : ` (${config.state.path})`}`);
+
+  // Restore seen posts and pending notifications from the previous run
+  await stateStore.load();
+  outboxService.report();
+  approvalService?.recoverInterrupted();
+
+  if (dashboardServer) {
+    await dashboardServer.start();
+  }
+
+  // Run initial check immediately
+  logger.info('Running initial feed check...');
+  await queueJob(() => monitorFeeds(config.monitors));
+
+  // Schedule recurring checks using cron, one schedule per distinct interval
+  // Pattern: */N * * * * means "every N minutes"
+  const intervals = [...new Set(config.monitors.map(monitor => monitor.checkIntervalMinutes))];
+  const tasks = intervals.map(interval => {
+    const monitors = config.monitors.filter(monitor => monitor.checkIntervalMinutes === interval);
+    const cronPattern = `*/${interval} * * * *`;
+    logger.info(`Setting up cron schedule ${cronPattern} for ${monitors.map(m => m.name).join(', ')}`);
+
+    return cron.schedule(cronPattern, async () => {
+      await queueJob(() => monitorFeeds(monitors));
+    });
+  });
+
+  // Failed notifications are retried every minute once their backoff has elapsed
+  tasks.push(cron.schedule('* * * * *', async () => {
+    await queueJob(retryOutbox);
+  }));
+
+  // Digest emails go out on their own schedule
+  if (digestService.isEnabled()) {
+    logger.info(`Setting up digest schedule: ${config.digest.schedule}${config.digest.timezone ? ` (${config.digest.timezone})` : ''}`);
+    tasks.push(cron.schedule(config.digest.schedule, async () => {
+      await queueJob(sendDigests);
+    }, config.digest.timezone ? { timezone: config.digest.timezone } : {}));
+  }
+
+  // Watched comment threads are checked on their own interval
+  if (commentWatcher) {
+    tasks.push(cron.schedule(`*/${config.comments.checkIntervalMinutes} * * * *`, async () => {
+      await queueJob(checkComments);
+    }));
+  }
+
+  logger.info('Cron jobs scheduled successfully');
+  logger.info('Press Ctrl+C to stop');
+
+  // Graceful shutdown handler
+  const shutdown = async () => {
+    logger.info('Shutting down gracefully...');
+    tasks.forEach(task => task.stop());
+    logger.info('Cron jobs stopped');
+    if (dashboardServer) {
+      await dashboardServer.stop();
+    }
+    await stateStore.close();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
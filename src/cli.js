@@ -0,0 +1,266 @@
+/**
+ * Command-line interface. Commands:
+ *   start                     run the cron loop (the default)
+ *   check-once                check every monitor once and exit
+ *   test-email [address]      send a sample notification email
+ *   analyze <post-url>        run the AI analysis on one post
+ *   seen list|clear           show or reset the seen posts
+ *
+ * Exit codes are meant for scripts and external schedulers; see EXIT_CODES.
+ */
+
+export const EXIT_CODES = {
+  OK: 0,
+  // The command failed (check crashed, email not sent, post not analyzed...)
+  FAILED: 1,
+  // Unknown command or bad arguments
+  USAGE: 2,
+  // The check ran, but some feeds failed or notifications are waiting for a retry
+  PARTIAL: 3,
+  // The configuration is invalid
+  CONFIG: 4
+};
+
+const USAGE = `Usage: npm start -- [command] [options]
+   or: node src/index.js [command] [options]
+
+Commands:
+  start                         Check on the configured schedule until stopped (default)
+  check-once                    Check every monitor once and exit, for external schedulers
+  test-email [address]          Send a sample notification email (default: TO_EMAIL)
+  analyze <post-url> [--monitor <name>]
+                                Run the AI analysis on one Reddit post and print the decision
+  seen list [--monitor <name>]  List the seen posts of every feed
+  seen clear [--monitor <name>] Forget the seen posts and cursors (the next check backfills)
+  help                          Show this help
+
+Exit codes:
+  0  success
+  1  the command failed
+  2  unknown command or bad arguments
+  3  check-once: some feeds failed or notifications are waiting for a retry
+  4  invalid configuration`;
+
+/**
+ * Error for bad command-line arguments
+ * @param {string} message - What is wrong
+ * @returns {Error} - Error flagged as a usage error
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.usage = true;
+  return error;
+}
+
+/**
+ * Split the arguments into the command, its positional arguments and options
+ * @param {string[]} args - Command-line arguments (without node and the script)
+ * @returns {{command: string, positional: string[], options: Object}} - Parsed arguments
+ * @throws {Error} - If an option is unknown or misses its value
+ */
+export function parseArgs(args) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--monitor') {
+      if (!args[i + 1] || args[i + 1].startsWith('--')) {
+        throw usageError('--monitor needs a monitor name');
+      }
+      options.monitor = args[++i];
+    } else if (arg.startsWith('-')) {
+      throw usageError(`Unknown option: ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  const [command = 'start', ...rest] = positional;
+  return { command, positional: rest, options };
+}
+
+/**
+ * Check that a URL points at a Reddit post, and drop its query string
+ * @param {string} value - URL given on the command line
+ * @param {string} baseUrl - Reddit web URL the post is loaded from
+ * @returns {string} - Post URL
+ * @throws {Error} - If the URL is not a Reddit post URL
+ */
+function parsePostUrl(value, baseUrl) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw usageError(`Not a URL: ${value}`);
+  }
+  if (!/(^|\.)reddit\.com$/.test(url.hostname) || !url.pathname.includes('/comments/')) {
+    throw usageError(`Not a Reddit post URL: ${value}`);
+  }
+  return `${baseUrl}${url.pathname.replace(/\/+$/, '')}`;
+}
+
+/**
+ * Find a monitor by name
+ * @param {Object} config - Application config
+ * @param {string} name - Monitor name (optional)
+ * @returns {Object|null} - The monitor, or null if no name was given
+ * @throws {Error} - If no monitor has that name
+ */
+function findMonitor(config, name) {
+  if (!name) {
+    return null;
+  }
+  const monitor = config.monitors.find(candidate => candidate.name === name);
+  if (!monitor) {
+    throw usageError(`Unknown monitor: ${name} (configured: ${config.monitors.map(m => m.name).join(', ')})`);
+  }
+  return monitor;
+}
+
+/**
+ * Print the AI decision for a post
+ * @param {Object} analysis - Result of app.analyzePost
+ */
+function printAnalysis({ post, monitor, template, result }) {
+  const lines = [
+    `Post:       ${post.title} (r/${post.subreddit}${post.author ? `, u/${post.author}` : ''})`,
+    `Monitor:    ${monitor ? monitor.name : '(none, default prompt)'}`,
+    `Prompt:     ${template.version}`,
+    `Decision:   ${result.shouldReply ? 'REPLY' : 'NO REPLY'}`
+  ];
+  if (result.relevance !== null) {
+    lines.push(`Relevance:  ${result.relevance} (${result.category}, ${result.sentiment}, confidence ${result.confidence})`);
+  }
+  lines.push(`Reason:     ${result.reason}`);
+  if (result.reply) {
+    lines.push('Reply:', ...result.reply.split('\n').map(line => `  ${line}`));
+  }
+  console.log(lines.join('\n'));
+}
+
+/**
+ * Run one command
+ * @param {Object} parsed - Parsed arguments (see parseArgs)
+ * @returns {Promise<number>} - Exit code, or null to keep running (start)
+ */
+async function runCommand({ command, positional, options }) {
+  const expectArgs = (min, max) => {
+    if (positional.length < min || positional.length > max) {
+      throw usageError(`Wrong number of arguments for ${command}`);
+    }
+  };
+
+  if (command === 'help' || options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  }
+  if (!['start', 'check-once', 'test-email', 'analyze', 'seen'].includes(command)) {
+    throw usageError(`Unknown command: ${command}`);
+  }
+
+  // Configuration errors are reported as such, before any work starts
+  let config;
+  let app;
+  try {
+    ({ default: config } = await import('./config/env.js'));
+    app = await import('./app.js');
+  } catch (error) {
+    console.error(`Configuration error: ${error.message}`);
+    return EXIT_CODES.CONFIG;
+  }
+
+  switch (command) {
+    case 'start':
+      expectArgs(0, 0);
+      if (config.dryRun.enabled) {
+        const run = await app.dryRun();
+        return run.error ? EXIT_CODES.FAILED : EXIT_CODES.OK;
+      }
+      await app.start();
+      return null;
+
+    case 'check-once': {
+      expectArgs(0, 0);
+      if (config.dryRun.enabled) {
+        const run = await app.dryRun();
+        return run.error ? EXIT_CODES.FAILED : EXIT_CODES.OK;
+      }
+      const { run, queued } = await app.checkOnce();
+      if (run.error) {
+        return EXIT_CODES.FAILED;
+      }
+      return run.feeds.some(feed => !feed.success) || queued > 0 ? EXIT_CODES.PARTIAL : EXIT_CODES.OK;
+    }
+
+    case 'test-email': {
+      expectArgs(0, 1);
+      const recipient = positional[0] || config.email.toEmail;
+      if (!recipient) {
+        throw usageError('No address given and TO_EMAIL is not set');
+      }
+      return await app.sendTestEmail(recipient) ? EXIT_CODES.OK : EXIT_CODES.FAILED;
+    }
+
+    case 'analyze': {
+      expectArgs(1, 1);
+      const analysis = await app.analyzePost(parsePostUrl(positional[0], config.reddit.webBaseUrl), findMonitor(config, options.monitor));
+      printAnalysis(analysis);
+      // A post the AI couldn't analyze has no scores
+      return analysis.result.relevance === null ? EXIT_CODES.FAILED : EXIT_CODES.OK;
+    }
+
+    case 'seen': {
+      expectArgs(1, 1);
+      const monitor = findMonitor(config, options.monitor);
+      const monitorName = monitor ? monitor.name : null;
+
+      if (positional[0] === 'list') {
+        const feeds = await app.listSeenPosts(monitorName);
+        for (const feed of feeds) {
+          console.log(`${feed.feedKey} (${feed.posts.length} seen, cursor ${feed.cursor.id} at ${new Date(feed.cursor.timestamp).toISOString()})`);
+          feed.posts.forEach(post => console.log(`  ${post.id}\t${new Date(post.seenAt).toISOString()}`));
+        }
+        if (feeds.length === 0) {
+          console.log('No seen posts');
+        }
+        return EXIT_CODES.OK;
+      }
+      if (positional[0] === 'clear') {
+        const cleared = await app.clearSeenPosts(monitorName);
+        console.log(`Forgot ${cleared.posts} seen post(s) in ${cleared.feeds} feed(s)`);
+        return EXIT_CODES.OK;
+      }
+      throw usageError(`Unknown seen command: ${positional[0]} (expected list or clear)`);
+    }
+
+    default:
+      throw usageError(`Unknown command: ${command}`);
+  }
+}
+
+/**
+ * Run the command line and exit with the command's exit code
+ * @param {string[]} args - Command-line arguments (without node and the script)
+ */
+export async function main(args) {
+  let code;
+  try {
+    code = await runCommand(parseArgs(args));
+  } catch (error) {
+    if (error.usage) {
+      console.error(`${error.message}\n\n${USAGE}`);
+      code = EXIT_CODES.USAGE;
+    } else {
+      console.error(`Error: ${error.message}`);
+      code = EXIT_CODES.FAILED;
+    }
+  }
+
+  // start keeps running until it is stopped
+  if (code !== null) {
+    process.exit(code);
+  }
+}
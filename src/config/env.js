@@ -1,7 +1,11 @@
 import dotenv from 'dotenv';
+import cron from 'node-cron';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { isValidEmail } from '../utils/validation.js';
+import { parsePromptTemplate } from '../utils/promptTemplate.js';
+import { loadMonitorsFile, loadFiltersFile, validateMonitorsConfig } from './monitors.js';
 
 // Get current directory (ES modules)
 const __filename = fileURLToPath(import.meta.url);
@@ -35,68 +39,414 @@ function getEnv(varName, defaultValue) {
 }
 
 /**
- * Validate email format
- * @param {string} email - Email address to validate
- * @returns {boolean} - True if valid email format
+ * Resolve a path from config relative to the project root
+ * @param {string} filePath - Absolute path or path relative to the project root
+ * @returns {string} - Absolute path
  */
-function isValidEmail(email) {
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(email);
+function resolveProjectPath(filePath) {
+  return path.resolve(__dirname, '../..', filePath);
 }
 
 /**
- * Load OpenAI prompt from file
- * @returns {string} - Prompt text or default prompt
+ * Load the default prompt template from openai-prompt.txt
+ * @returns {Object} - Parsed prompt template (see utils/promptTemplate.js)
+ * @throws {Error} - If the file is not a valid template
  */
 function loadOpenAIPrompt() {
   const promptFilePath = path.join(__dirname, '../../openai-prompt.txt');
 
+  let prompt = '';
   try {
     if (fs.existsSync(promptFilePath)) {
-      const prompt = fs.readFileSync(promptFilePath, 'utf8').trim();
-      if (prompt.length > 0) {
-        return prompt;
-      }
+      prompt = fs.readFileSync(promptFilePath, 'utf8').trim();
     }
   } catch (error) {
     console.error(`Warning: Could not read openai-prompt.txt: ${error.message}`);
   }
 
+  if (prompt.length > 0) {
+    try {
+      return parsePromptTemplate(prompt, 'openai-prompt.txt');
+    } catch (error) {
+      throw new Error(`Invalid openai-prompt.txt: ${error.message}`);
+    }
+  }
+
   // Fallback to default prompt
-  return 'You are a helpful assistant analyzing Reddit posts. Decide if the post is worth replying to and generate a thoughtful response. Respond in JSON format: {"should_reply": true/false, "reply": "your reply", "reason": "reason if skipping"}.';
+  return parsePromptTemplate('You are a helpful assistant analyzing Reddit posts. Decide if the post is worth replying to and generate a thoughtful response.', 'default');
+}
+
+/**
+ * Load an email template, preferring an override file in the project root
+ * over the built-in default in src/templates
+ * @param {string} overrideFile - Override file name in the project root
+ * @param {string} defaultFile - Built-in template file name in src/templates
+ * @returns {string} - Template text
+ */
+function loadEmailTemplate(overrideFile, defaultFile) {
+  const overridePath = path.join(__dirname, '../..', overrideFile);
+
+  try {
+    if (fs.existsSync(overridePath)) {
+      const template = fs.readFileSync(overridePath, 'utf8');
+      if (template.trim().length > 0) {
+        return template;
+      }
+    }
+  } catch (error) {
+    console.error(`Warning: Could not read ${overrideFile}: ${error.message}`);
+  }
+
+  return fs.readFileSync(path.join(__dirname, '../templates', defaultFile), 'utf8');
+}
+
+// Built-in AI model prices in USD per million tokens (input / output);
+// AI_MODEL_PRICES adds to or overrides them
+const DEFAULT_MODEL_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'claude-3-5-haiku-latest': { input: 0.8, output: 4 },
+  'claude-3-7-sonnet-latest': { input: 3, output: 15 }
+};
+
+/**
+ * Parse AI model prices like "gpt-4o-mini=0.15/0.6,my-model=1/2" on top of the
+ * built-in prices. Malformed prices come out as NaN and fail validation.
+ * @param {string} value - Comma-separated model=input/output entries (USD per million tokens)
+ * @returns {Object<string, {input: number, output: number}>} - Prices per model
+ */
+function parseModelPrices(value) {
+  const prices = { ...DEFAULT_MODEL_PRICES };
+  for (const entry of value.split(',').map(s => s.trim()).filter(s => s.length > 0)) {
+    const [model, price = ''] = entry.split('=').map(s => s.trim());
+    const [input, output] = price.split('/').map(Number);
+    prices[model] = { input, output };
+  }
+  return prices;
+}
+
+/**
+ * Build the monitor list - from MONITORS_FILE if set, otherwise a single
+ * "default" monitor equivalent to the SUBREDDITS / TO_EMAIL env vars
+ * @param {Object} defaults - Settings every monitor inherits
+ * @returns {{monitors: Object[], filters: Object|null}} - Normalized monitors and global filters from the file
+ */
+function loadMonitors(defaults) {
+  const monitorsFile = getEnv('MONITORS_FILE', '');
+  const options = { requireRecipients: notifyChannels.includes('email') };
+
+  if (monitorsFile) {
+    return loadMonitorsFile(resolveProjectPath(monitorsFile), defaults, options);
+  }
+
+  const subreddits = requireEnv('SUBREDDITS').split(',').map(s => s.trim()).filter(s => s.length > 0);
+  if (subreddits.length === 0) {
+    throw new Error('SUBREDDITS must contain at least one subreddit');
+  }
+
+  return validateMonitorsConfig(
+    { monitors: [{ name: 'default', sources: subreddits }] },
+    { ...options, defaults, baseDir: resolveProjectPath('.'), label: 'monitor settings from environment variables' }
+  );
+}
+
+/**
+ * Parse an optional environment variable holding a JSON object
+ * @param {string} varName - Name of the environment variable
+ * @returns {Object} - Parsed object, or {} if not set
+ * @throws {Error} - If the value isn't a JSON object
+ */
+function getJsonEnv(varName) {
+  const value = getEnv(varName, '');
+  if (!value) {
+    return {};
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid ${varName}: ${error.message}`);
+  }
+  if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+    throw new Error(`Invalid ${varName}: must be a JSON object`);
+  }
+  return parsed;
+}
+
+// A dry run checks once and writes the notifications out instead of sending them
+const dryRun = getEnv('DRY_RUN', 'false') === 'true';
+
+// Notification channels decide which credentials are required
+const notifyChannels = getEnv('NOTIFY_CHANNELS', 'email').split(',').map(s => s.trim()).filter(s => s.length > 0);
+const emailEnabled = notifyChannels.includes('email');
+// A dry run writes emails out, so it needs no transport credentials
+const emailSending = emailEnabled && !dryRun;
+const emailTransport = getEnv('EMAIL_TRANSPORT', 'mailersend');
+const smtpPort = parseInt(getEnv('SMTP_PORT', '587'), 10);
+
+// Settings each monitor inherits unless the monitors file overrides them
+const toEmail = getEnv('TO_EMAIL', '');
+const emailMode = getEnv('EMAIL_MODE', 'realtime');
+const checkIntervalMinutes = parseInt(getEnv('CHECK_INTERVAL_MINUTES', '5'), 10);
+const backfillLimit = parseInt(getEnv('BACKFILL_LIMIT', '5'), 10);
+const fetchBackend = getEnv('FETCH_BACKEND', 'rss');
+
+if (toEmail && !isValidEmail(toEmail)) {
+  throw new Error(`Invalid TO_EMAIL: ${toEmail}`);
+}
+
+if (!['realtime', 'digest'].includes(emailMode)) {
+  throw new Error(`Invalid EMAIL_MODE: ${emailMode} (expected realtime or digest)`);
+}
+
+if (emailEnabled && !getEnv('MONITORS_FILE', '') && !toEmail) {
+  throw new Error('Missing required environment variable: TO_EMAIL');
+}
+
+if (!(checkIntervalMinutes >= 1 && checkIntervalMinutes <= 59)) {
+  throw new Error('CHECK_INTERVAL_MINUTES must be between 1 and 59');
+}
+
+if (!(backfillLimit >= 0)) {
+  throw new Error('BACKFILL_LIMIT must be 0 or more');
+}
+
+if (!['rss', 'api'].includes(fetchBackend)) {
+  throw new Error(`Invalid FETCH_BACKEND: ${fetchBackend} (expected rss or api)`);
+}
+
+const monitorDefaults = {
+  checkIntervalMinutes,
+  backfillLimit,
+  backend: fetchBackend,
+  prompt: loadOpenAIPrompt(),
+  promptFile: null,
+  subredditPrompts: {},
+  recipients: toEmail && emailMode === 'realtime' ? [toEmail] : [],
+  digestRecipients: toEmail && emailMode === 'digest' ? [toEmail] : [],
+  filters: { rules: [] },
+  ai: { enabled: true, minRelevance: parseFloat(getEnv('AI_MIN_RELEVANCE', '0.5')) }
+};
+
+// Approvals post replies through the Reddit API from links served by the dashboard
+const approvalsEnabled = getEnv('APPROVALS_ENABLED', 'false') === 'true';
+const dashboardPort = parseInt(getEnv('DASHBOARD_PORT', '0'), 10);
+const dashboardHost = getEnv('DASHBOARD_HOST', '127.0.0.1');
+const redditApiBaseUrl = getEnv('REDDIT_API_BASE_URL', '');
+// AI providers in fallback order; without AI_PROVIDERS an OpenAI key (or
+// compatible server URL) enables OpenAI alone, as before
+const aiProviders = getEnv('AI_PROVIDERS', getEnv('OPENAI_API_KEY', '') || getEnv('OPENAI_BASE_URL', '') ? 'openai' : '')
+  .split(',').map(s => s.trim()).filter(s => s.length > 0);
+
+const monitorsConfig = loadMonitors(monitorDefaults);
+// The API fetch backend needs Reddit app credentials
+const apiBackendUsed = monitorsConfig.monitors.some(monitor => monitor.sources.some(source => source.backend === 'api'));
+const redditAppRequired = approvalsEnabled || apiBackendUsed;
+const filtersFile = getEnv('FILTERS_FILE', '');
+
+if (filtersFile && monitorsConfig.filters) {
+  throw new Error('Global filters are set both in FILTERS_FILE and in the monitors file; use one or the other');
 }
 
 // Load and validate configuration
 const config = {
-  // MailerSend
+  // MailerSend (used when EMAIL_TRANSPORT=mailersend)
   mailersend: {
-    apiToken: requireEnv('MAILERSEND_API_TOKEN')
+    apiToken: emailSending && emailTransport === 'mailersend'
+      ? requireEnv('MAILERSEND_API_TOKEN')
+      : getEnv('MAILERSEND_API_TOKEN', ''),
+    // API URL, for pointing at a mock server in tests
+    baseUrl: getEnv('MAILERSEND_BASE_URL', 'https://api.mailersend.com/v1').replace(/\/+$/, '')
+  },
+
+  // SMTP (used when EMAIL_TRANSPORT=smtp)
+  smtp: {
+    host: emailSending && emailTransport === 'smtp' ? requireEnv('SMTP_HOST') : getEnv('SMTP_HOST', ''),
+    port: smtpPort,
+    secure: getEnv('SMTP_SECURE', smtpPort === 465 ? 'true' : 'false') === 'true',
+    requireTls: getEnv('SMTP_REQUIRE_TLS', 'false') === 'true',
+    user: getEnv('SMTP_USER', ''),
+    pass: getEnv('SMTP_PASS', ''),
+    tlsRejectUnauthorized: getEnv('SMTP_TLS_REJECT_UNAUTHORIZED', 'true') === 'true'
   },
 
   // Email settings
   email: {
-    fromEmail: requireEnv('FROM_EMAIL'),
+    transport: emailTransport,
+    fromEmail: emailEnabled ? requireEnv('FROM_EMAIL') : getEnv('FROM_EMAIL', ''),
     fromName: getEnv('FROM_NAME', 'Reddit RSS Monitor'),
-    toEmail: requireEnv('TO_EMAIL')
+    toEmail,
+    templates: {
+      layout: loadEmailTemplate('email-template.html', 'email.html'),
+      post: loadEmailTemplate('email-post-template.html', 'email-post.html'),
+      digestSection: loadEmailTemplate('email-digest-section-template.html', 'email-digest-section.html')
+    }
+  },
+
+  // Digest emails for recipients in digest mode
+  digest: {
+    schedule: getEnv('DIGEST_SCHEDULE', '0 9 * * *'),
+    timezone: getEnv('DIGEST_TIMEZONE', '')
+  },
+
+  // Where notifications go, and when a post counts as delivered
+  notifications: {
+    channels: notifyChannels,
+    policy: getEnv('DELIVERY_POLICY', 'any'),
+    slack: {
+      webhookUrl: getEnv('SLACK_WEBHOOK_URL', '')
+    },
+    discord: {
+      webhookUrl: getEnv('DISCORD_WEBHOOK_URL', '')
+    },
+    webhook: {
+      url: getEnv('WEBHOOK_URL', ''),
+      headers: getJsonEnv('WEBHOOK_HEADERS')
+    }
+  },
+
+  // Retrying failed notifications
+  outbox: {
+    maxAttempts: parseInt(getEnv('OUTBOX_MAX_ATTEMPTS', '8'), 10),
+    retryBaseMinutes: parseInt(getEnv('OUTBOX_RETRY_BASE_MINUTES', '1'), 10),
+    retryMaxMinutes: parseInt(getEnv('OUTBOX_RETRY_MAX_MINUTES', '60'), 10)
+  },
+
+  // What to watch - one entry per monitor (see MONITORS_FILE)
+  monitors: monitorsConfig.monitors,
+
+  // Pre-filter rules applied to every monitor before AI analysis
+  filters: filtersFile
+    ? loadFiltersFile(resolveProjectPath(filtersFile))
+    : monitorsConfig.filters || { rules: [] },
+
+  // Persistent state (seen posts)
+  // A dry run starts from an empty in-memory state and leaves the saved state alone
+  state: {
+    backend: dryRun ? 'memory' : getEnv('STATE_BACKEND', 'json'),
+    path: resolveProjectPath(getEnv('STATE_PATH', getEnv('STATE_BACKEND', 'json') === 'sqlite' ? 'data/state.db' : 'data/state.json')),
+    retentionMinutes: parseInt(getEnv('SEEN_RETENTION_MINUTES', '1440'), 10)
+  },
+
+  // Dry run: one check whose notifications go to stdout (or DRY_RUN_OUTPUT)
+  dryRun: {
+    enabled: dryRun,
+    outputFile: getEnv('DRY_RUN_OUTPUT', '') && resolveProjectPath(getEnv('DRY_RUN_OUTPUT', ''))
+  },
+
+  // Saved Reddit responses: record them during a check, or replay them instead of fetching
+  fixtures: {
+    mode: getEnv('FIXTURES_MODE', 'off'),
+    dir: resolveProjectPath(getEnv('FIXTURES_DIR', 'fixtures'))
+  },
+
+  // Built-in dashboard and JSON API (disabled unless DASHBOARD_PORT is set)
+  dashboard: {
+    port: dashboardPort,
+    host: dashboardHost,
+    token: getEnv('DASHBOARD_TOKEN', ''),
+    // Behind a reverse proxy, take the client address from X-Forwarded-For
+    trustProxy: getEnv('DASHBOARD_TRUST_PROXY', 'false') === 'true'
+  },
+
+  // Approve/edit/reject links for AI draft replies
+  approvals: {
+    enabled: approvalsEnabled,
+    publicUrl: getEnv('DASHBOARD_PUBLIC_URL', `http://${dashboardHost}:${dashboardPort}`).replace(/\/+$/, '')
+  },
+
+  // Reddit API via a "script" app (required for approvals and the api fetch
+  // backend; reading works without username/password). The base URLs can
+  // point at a mock server for testing; the auth URL defaults to the API URL then.
+  // The web URL serves the RSS feeds and the public JSON pages.
+  reddit: {
+    clientId: redditAppRequired ? requireEnv('REDDIT_CLIENT_ID') : getEnv('REDDIT_CLIENT_ID', ''),
+    clientSecret: redditAppRequired ? requireEnv('REDDIT_CLIENT_SECRET') : getEnv('REDDIT_CLIENT_SECRET', ''),
+    username: approvalsEnabled ? requireEnv('REDDIT_USERNAME') : getEnv('REDDIT_USERNAME', ''),
+    password: approvalsEnabled ? requireEnv('REDDIT_PASSWORD') : getEnv('REDDIT_PASSWORD', ''),
+    userAgent: getEnv('REDDIT_USER_AGENT', `musebox-rss-monitor/1.0 (by u/${getEnv('REDDIT_USERNAME', 'unknown')})`),
+    apiBaseUrl: (redditApiBaseUrl || 'https://oauth.reddit.com').replace(/\/+$/, ''),
+    authBaseUrl: getEnv('REDDIT_AUTH_BASE_URL', redditApiBaseUrl || 'https://www.reddit.com').replace(/\/+$/, ''),
+    webBaseUrl: getEnv('REDDIT_WEB_BASE_URL', 'https://www.reddit.com').replace(/\/+$/, '')
+  },
+
+  // Requests to Reddit (feeds, post details, API listings): concurrency,
+  // retries with backoff, request budget and the per-subreddit circuit breaker
+  http: {
+    concurrency: parseInt(getEnv('HTTP_CONCURRENCY', '4'), 10),
+    // Posts of one check whose details (full text, flair) are fetched at once
+    detailsConcurrency: parseInt(getEnv('POST_DETAILS_CONCURRENCY', '4'), 10),
+    maxRetries: parseInt(getEnv('HTTP_MAX_RETRIES', '3'), 10),
+    retryBaseMs: parseInt(getEnv('HTTP_RETRY_BASE_MS', '1000'), 10),
+    retryMaxMs: parseInt(getEnv('HTTP_RETRY_MAX_MS', '30000'), 10),
+    timeoutMs: parseInt(getEnv('HTTP_TIMEOUT_MS', '30000'), 10),
+    hostBudgetPerMinute: parseInt(getEnv('HTTP_HOST_BUDGET_PER_MINUTE', '60'), 10),
+    breakerThreshold: parseInt(getEnv('CIRCUIT_BREAKER_THRESHOLD', '3'), 10),
+    breakerCooldownMinutes: parseInt(getEnv('CIRCUIT_BREAKER_COOLDOWN_MINUTES', '15'), 10)
+  },
+
+  // Watching the comment threads of notified posts
+  comments: {
+    enabled: getEnv('COMMENT_WATCH_ENABLED', 'false') === 'true',
+    checkIntervalMinutes: parseInt(getEnv('COMMENT_CHECK_INTERVAL_MINUTES', '10'), 10),
+    watchHours: parseInt(getEnv('COMMENT_WATCH_HOURS', '48'), 10),
+    keywords: getEnv('COMMENT_KEYWORDS', '').split(',').map(s => s.trim()).filter(s => s.length > 0),
+    notify: getEnv('COMMENT_NOTIFY', 'reply,mention,comment').split(',').map(s => s.trim()).filter(s => s.length > 0)
   },
 
-  // Monitoring settings
-  monitoring: {
-    subreddits: requireEnv('SUBREDDITS').split(',').map(s => s.trim()).filter(s => s.length > 0),
-    checkIntervalMinutes: parseInt(getEnv('CHECK_INTERVAL_MINUTES', '5'), 10),
-    postAgeMinutes: parseInt(getEnv('POST_AGE_MINUTES', '5'), 10)
+  // Caching of post details (feeds use conditional requests instead)
+  cache: {
+    postTtlMinutes: parseInt(getEnv('POST_CACHE_TTL_MINUTES', '60'), 10),
+    maxPosts: parseInt(getEnv('POST_CACHE_MAX_ENTRIES', '1000'), 10)
   },
 
   // Logging
   logging: {
-    level: getEnv('LOG_LEVEL', 'info')
+    level: getEnv('LOG_LEVEL', 'info'),
+    // text (readable lines) or json (one object per line, for log shippers)
+    format: getEnv('LOG_FORMAT', 'text'),
+    // Also append to this file, rotated once it reaches fileMaxBytes ('' = console only)
+    file: getEnv('LOG_FILE', '') && resolveProjectPath(getEnv('LOG_FILE', '')),
+    fileMaxBytes: parseFloat(getEnv('LOG_FILE_MAX_MB', '10')) * 1024 * 1024,
+    fileMaxFiles: parseInt(getEnv('LOG_FILE_MAX_FILES', '5'), 10),
+    // Prompts sent to the AI: off, summary (sizes and post ids) or full (the whole text)
+    prompts: getEnv('LOG_PROMPTS', 'summary')
   },
 
-  // OpenAI (optional - feature disabled if API key not provided)
-  openai: {
-    apiKey: getEnv('OPENAI_API_KEY', ''),
-    model: getEnv('OPENAI_MODEL', 'gpt-4o-mini'),
-    prompt: loadOpenAIPrompt()
+  // AI analysis (optional - disabled when no provider is configured). Providers
+  // are tried in the listed order, each one a fallback for the one before.
+  ai: {
+    providers: aiProviders,
+    timeoutMs: parseInt(getEnv('AI_TIMEOUT_MS', '30000'), 10),
+    // Completions in flight at once, across all monitors
+    concurrency: parseInt(getEnv('AI_CONCURRENCY', '2'), 10),
+    // Posts sent together in one completion (1 = no batching); only posts whose
+    // prompt is at most batchMaxChars long are batched
+    batchSize: parseInt(getEnv('AI_BATCH_SIZE', '1'), 10),
+    batchMaxChars: parseInt(getEnv('AI_BATCH_MAX_CHARS', '1500'), 10),
+    // Daily spend cap in USD (0 = no cap); once reached, posts are sent un-analyzed
+    dailyBudget: parseFloat(getEnv('AI_DAILY_BUDGET_USD', '0')),
+    prices: parseModelPrices(getEnv('AI_MODEL_PRICES', '')),
+    prompt: monitorDefaults.prompt,
+    // OpenAI, or any OpenAI-compatible server (vLLM, LM Studio...) via the base URL
+    openai: {
+      apiKey: getEnv('OPENAI_API_KEY', ''),
+      model: getEnv('OPENAI_MODEL', 'gpt-4o-mini'),
+      baseUrl: getEnv('OPENAI_BASE_URL', '').replace(/\/+$/, '')
+    },
+    anthropic: {
+      apiKey: getEnv('ANTHROPIC_API_KEY', ''),
+      model: getEnv('ANTHROPIC_MODEL', 'claude-3-5-haiku-latest'),
+      baseUrl: getEnv('ANTHROPIC_BASE_URL', 'https://api.anthropic.com').replace(/\/+$/, '')
+    },
+    ollama: {
+      baseUrl: getEnv('OLLAMA_BASE_URL', 'http://localhost:11434').replace(/\/+$/, ''),
+      model: getEnv('OLLAMA_MODEL', 'llama3.1')
+    }
   },
 
   // Environment
@@ -108,24 +458,204 @@ const config = {
 };
 
 // Validate configuration
-if (!isValidEmail(config.email.fromEmail)) {
+if (emailEnabled && !isValidEmail(config.email.fromEmail)) {
   throw new Error(`Invalid FROM_EMAIL: ${config.email.fromEmail}`);
 }
 
-if (!isValidEmail(config.email.toEmail)) {
-  throw new Error(`Invalid TO_EMAIL: ${config.email.toEmail}`);
+if (!['mailersend', 'smtp'].includes(emailTransport)) {
+  throw new Error(`Invalid EMAIL_TRANSPORT: ${emailTransport} (expected mailersend or smtp)`);
+}
+
+if (!(smtpPort >= 1 && smtpPort <= 65535)) {
+  throw new Error('SMTP_PORT must be a port number');
+}
+
+if (config.smtp.user && !config.smtp.pass) {
+  throw new Error('SMTP_PASS is required when SMTP_USER is set');
+}
+
+if (!cron.validate(config.digest.schedule)) {
+  throw new Error(`Invalid DIGEST_SCHEDULE: ${config.digest.schedule} (expected a cron expression like "0 9 * * *")`);
+}
+
+if (notifyChannels.length === 0) {
+  throw new Error('NOTIFY_CHANNELS must contain at least one channel');
+}
+
+for (const channel of notifyChannels) {
+  if (!['email', 'slack', 'discord', 'webhook'].includes(channel)) {
+    throw new Error(`Invalid NOTIFY_CHANNELS entry: ${channel} (expected email, slack, discord or webhook)`);
+  }
+}
+
+if (notifyChannels.includes('slack') && !config.notifications.slack.webhookUrl) {
+  throw new Error('SLACK_WEBHOOK_URL is required when the slack channel is enabled');
+}
+
+if (notifyChannels.includes('discord') && !config.notifications.discord.webhookUrl) {
+  throw new Error('DISCORD_WEBHOOK_URL is required when the discord channel is enabled');
+}
+
+if (notifyChannels.includes('webhook') && !config.notifications.webhook.url) {
+  throw new Error('WEBHOOK_URL is required when the webhook channel is enabled');
+}
+
+if (!['any', 'all'].includes(config.notifications.policy)) {
+  throw new Error(`Invalid DELIVERY_POLICY: ${config.notifications.policy} (expected any or all)`);
+}
+
+if (!(config.outbox.maxAttempts >= 1)) {
+  throw new Error('OUTBOX_MAX_ATTEMPTS must be at least 1');
+}
+
+if (!(config.outbox.retryBaseMinutes >= 1)) {
+  throw new Error('OUTBOX_RETRY_BASE_MINUTES must be at least 1');
+}
+
+if (!(config.outbox.retryMaxMinutes >= config.outbox.retryBaseMinutes)) {
+  throw new Error('OUTBOX_RETRY_MAX_MINUTES must be at least OUTBOX_RETRY_BASE_MINUTES');
+}
+
+if (!['json', 'sqlite', 'memory'].includes(config.state.backend)) {
+  throw new Error(`Invalid STATE_BACKEND: ${config.state.backend} (expected json, sqlite or memory)`);
+}
+
+if (!['off', 'record', 'replay'].includes(config.fixtures.mode)) {
+  throw new Error(`Invalid FIXTURES_MODE: ${config.fixtures.mode} (expected off, record or replay)`);
+}
+
+if (config.fixtures.mode === 'replay' && !config.dryRun.enabled) {
+  throw new Error('FIXTURES_MODE=replay requires DRY_RUN=true');
 }
 
-if (config.monitoring.subreddits.length === 0) {
-  throw new Error('SUBREDDITS must contain at least one subreddit');
+if (!(config.dashboard.port >= 0 && config.dashboard.port <= 65535)) {
+  throw new Error('DASHBOARD_PORT must be a port number');
 }
 
-if (config.monitoring.checkIntervalMinutes < 1) {
-  throw new Error('CHECK_INTERVAL_MINUTES must be at least 1');
+if (approvalsEnabled && !(dashboardPort > 0)) {
+  throw new Error('DASHBOARD_PORT is required when APPROVALS_ENABLED=true (the approval pages are served by the dashboard)');
 }
 
-if (config.monitoring.postAgeMinutes < 1) {
-  throw new Error('POST_AGE_MINUTES must be at least 1');
+if (!(config.state.retentionMinutes >= 1)) {
+  throw new Error('SEEN_RETENTION_MINUTES must be at least 1');
+}
+
+if (!(config.comments.checkIntervalMinutes >= 1 && config.comments.checkIntervalMinutes <= 59)) {
+  throw new Error('COMMENT_CHECK_INTERVAL_MINUTES must be between 1 and 59');
+}
+
+if (!(config.comments.watchHours >= 1)) {
+  throw new Error('COMMENT_WATCH_HOURS must be at least 1');
+}
+
+for (const type of config.comments.notify) {
+  if (!['reply', 'mention', 'comment'].includes(type)) {
+    throw new Error(`Invalid COMMENT_NOTIFY entry: ${type} (expected reply, mention or comment)`);
+  }
+}
+
+if (!(config.cache.postTtlMinutes >= 1)) {
+  throw new Error('POST_CACHE_TTL_MINUTES must be at least 1');
+}
+
+if (!(config.cache.maxPosts >= 1)) {
+  throw new Error('POST_CACHE_MAX_ENTRIES must be at least 1');
+}
+
+if (!(config.http.concurrency >= 1)) {
+  throw new Error('HTTP_CONCURRENCY must be at least 1');
+}
+
+if (!(config.http.detailsConcurrency >= 1)) {
+  throw new Error('POST_DETAILS_CONCURRENCY must be at least 1');
+}
+
+if (!(config.http.maxRetries >= 0)) {
+  throw new Error('HTTP_MAX_RETRIES must be 0 or more');
+}
+
+if (!(config.http.retryBaseMs >= 0 && config.http.retryMaxMs >= config.http.retryBaseMs)) {
+  throw new Error('HTTP_RETRY_BASE_MS must be 0 or more and HTTP_RETRY_MAX_MS at least HTTP_RETRY_BASE_MS');
+}
+
+if (!(config.http.timeoutMs >= 1000)) {
+  throw new Error('HTTP_TIMEOUT_MS must be at least 1000');
+}
+
+if (!(config.http.hostBudgetPerMinute >= 1)) {
+  throw new Error('HTTP_HOST_BUDGET_PER_MINUTE must be at least 1');
+}
+
+if (!(config.http.breakerThreshold >= 1)) {
+  throw new Error('CIRCUIT_BREAKER_THRESHOLD must be at least 1');
+}
+
+if (!(config.http.breakerCooldownMinutes >= 1)) {
+  throw new Error('CIRCUIT_BREAKER_COOLDOWN_MINUTES must be at least 1');
+}
+
+if (!['debug', 'info', 'error'].includes(config.logging.level)) {
+  throw new Error(`Invalid LOG_LEVEL: ${config.logging.level} (expected debug, info or error)`);
+}
+
+if (!['text', 'json'].includes(config.logging.format)) {
+  throw new Error(`Invalid LOG_FORMAT: ${config.logging.format} (expected text or json)`);
+}
+
+if (!(config.logging.fileMaxBytes > 0)) {
+  throw new Error('LOG_FILE_MAX_MB must be more than 0');
+}
+
+if (!(config.logging.fileMaxFiles >= 1)) {
+  throw new Error('LOG_FILE_MAX_FILES must be at least 1');
+}
+
+if (!['off', 'summary', 'full'].includes(config.logging.prompts)) {
+  throw new Error(`Invalid LOG_PROMPTS: ${config.logging.prompts} (expected off, summary or full)`);
+}
+
+for (const provider of config.ai.providers) {
+  if (!['openai', 'anthropic', 'ollama'].includes(provider)) {
+    throw new Error(`Invalid AI_PROVIDERS entry: ${provider} (expected openai, anthropic or ollama)`);
+  }
+}
+
+if (config.ai.providers.includes('openai') && !config.ai.openai.apiKey && !config.ai.openai.baseUrl) {
+  throw new Error('OPENAI_API_KEY (or OPENAI_BASE_URL for a compatible server) is required when the openai provider is enabled');
+}
+
+if (config.ai.providers.includes('anthropic') && !config.ai.anthropic.apiKey) {
+  throw new Error('ANTHROPIC_API_KEY is required when the anthropic provider is enabled');
+}
+
+if (!(monitorDefaults.ai.minRelevance >= 0 && monitorDefaults.ai.minRelevance <= 1)) {
+  throw new Error('AI_MIN_RELEVANCE must be a number between 0 and 1');
+}
+
+if (!(config.ai.timeoutMs >= 1000)) {
+  throw new Error('AI_TIMEOUT_MS must be at least 1000');
+}
+
+if (!(config.ai.concurrency >= 1)) {
+  throw new Error('AI_CONCURRENCY must be at least 1');
+}
+
+if (!(config.ai.batchSize >= 1 && config.ai.batchSize <= 20)) {
+  throw new Error('AI_BATCH_SIZE must be between 1 (no batching) and 20');
+}
+
+if (!(config.ai.batchMaxChars >= 1)) {
+  throw new Error('AI_BATCH_MAX_CHARS must be at least 1');
+}
+
+if (!(config.ai.dailyBudget >= 0)) {
+  throw new Error('AI_DAILY_BUDGET_USD must be 0 (no cap) or more');
+}
+
+for (const [model, price] of Object.entries(config.ai.prices)) {
+  if (!model || !(price.input >= 0 && price.output >= 0)) {
+    throw new Error(`Invalid AI_MODEL_PRICES entry for "${model}" (expected model=input/output in USD per million tokens)`);
+  }
 }
 
 export default config;
@@ -0,0 +1,690 @@
+import fs from 'fs';
+import path from 'path';
+import YAML from 'yaml';
+import { isValidEmail, isPlainObject, parseRegex } from '../utils/validation.js';
+import { parsePromptTemplate } from '../utils/promptTemplate.js';
+
+// Settings that can appear on a monitor entry or in the file's `defaults` block
+const SETTING_KEYS = ['checkIntervalMinutes', 'backfillLimit', 'backend', 'promptFile', 'subredditPrompts', 'recipients', 'filters', 'ai'];
+const MONITOR_KEYS = ['name', 'source', 'sources', ...SETTING_KEYS];
+const FILTER_KEYS = ['includeKeywords', 'excludeKeywords', 'minBodyLength', 'rules'];
+const RULE_KEYS = ['name', 'action', 'keywords', 'regex', 'fields', 'flair', 'minBodyLength', 'maxBodyLength'];
+const RULE_FIELDS = ['title', 'body'];
+const AI_KEYS = ['enabled', 'minRelevance'];
+const FETCH_BACKENDS = ['rss', 'api'];
+
+// Source types and the options each accepts (besides type and backend)
+const SOURCE_TYPES = {
+  subreddit: ['name'],
+  search: ['query', 'subreddit'],
+  user: ['name'],
+  multireddit: ['user', 'name', 'subreddits'],
+  feed: ['url', 'name']
+};
+
+const MONITOR_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const SUBREDDIT_PATTERN = /^[A-Za-z0-9_]{2,21}$/;
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+const MULTIREDDIT_PATTERN = /^[A-Za-z0-9_]{2,50}$/;
+
+/**
+ * Report keys that aren't part of the schema (usually typos)
+ * @param {Object} value - Object being validated
+ * @param {string[]} allowedKeys - Keys the schema accepts
+ * @param {string} where - Path of the object, for error messages
+ * @param {string[]} errors - Collected error messages
+ */
+function checkUnknownKeys(value, allowedKeys, where, errors) {
+  for (const key of Object.keys(value)) {
+    if (!allowedKeys.includes(key)) {
+      errors.push(`${where}.${key}: unknown setting (expected one of: ${allowedKeys.join(', ')})`);
+    }
+  }
+}
+
+/**
+ * Validate an integer setting
+ * @param {*} value - Value to check
+ * @param {string} where - Path of the value, for error messages
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @param {string[]} errors - Collected error messages
+ * @returns {number|undefined} - The value, or undefined if invalid
+ */
+function validateInteger(value, where, min, max, errors) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    errors.push(`${where}: must be a whole number between ${min} and ${max} (got ${JSON.stringify(value)})`);
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Validate a list of non-empty strings (a single string is accepted as a one-item list)
+ * @param {*} value - Value to check
+ * @param {string} where - Path of the value, for error messages
+ * @param {string[]} errors - Collected error messages
+ * @returns {string[]} - The list (invalid items dropped)
+ */
+function validateStringList(value, where, errors) {
+  const list = typeof value === 'string' ? [value] : value;
+  if (!Array.isArray(list)) {
+    errors.push(`${where}: must be a string or a list of strings`);
+    return [];
+  }
+
+  return list.filter((item, index) => {
+    if (typeof item !== 'string' || item.trim().length === 0) {
+      errors.push(`${where}[${index}]: must be a non-empty string`);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Validate a fetch backend name
+ * @param {*} value - Value to check
+ * @param {string} where - Path of the value, for error messages
+ * @param {string[]} errors - Collected error messages
+ * @returns {string|undefined} - The backend, or undefined if invalid
+ */
+function validateBackend(value, where, errors) {
+  if (!FETCH_BACKENDS.includes(value)) {
+    errors.push(`${where}: must be one of ${FETCH_BACKENDS.join(', ')} (got ${JSON.stringify(value)})`);
+    return undefined;
+  }
+  return value;
+}
+
+/**
+ * Validate a name against a pattern, after stripping a path prefix like r/ or u/
+ * @param {*} value - Value to check
+ * @param {RegExp} prefix - Prefix to strip
+ * @param {RegExp} pattern - Pattern the name must match
+ * @param {string} what - What the name is, for error messages
+ * @param {string} where - Path of the value, for error messages
+ * @param {string[]} errors - Collected error messages
+ * @returns {string|undefined} - The name, or undefined if invalid
+ */
+function validateName(value, prefix, pattern, what, where, errors) {
+  const name = typeof value === 'string' ? value.trim().replace(prefix, '') : value;
+  if (typeof name !== 'string' || !pattern.test(name)) {
+    errors.push(`${where}: ${JSON.stringify(value)} is not a valid ${what}`);
+    return undefined;
+  }
+  return name;
+}
+
+/**
+ * Read and parse a prompt template file
+ * @param {*} value - File path, relative to the base directory
+ * @param {string} where - Path of the value, for error messages
+ * @param {string} baseDir - Directory that relative paths resolve against
+ * @param {string[]} errors - Collected error messages
+ * @returns {{file: string, template: Object}|undefined} - Resolved path and parsed template, or undefined if invalid
+ */
+function loadPromptFile(value, where, baseDir, errors) {
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    errors.push(`${where}: must be a file path`);
+    return undefined;
+  }
+
+  const file = path.resolve(baseDir, value);
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    errors.push(`${where}: cannot read ${file} (${error.code || error.message})`);
+    return undefined;
+  }
+
+  if (text.trim().length === 0) {
+    errors.push(`${where}: ${file} is empty`);
+    return undefined;
+  }
+
+  try {
+    return { file, template: parsePromptTemplate(text, path.basename(file)) };
+  } catch (error) {
+    errors.push(`${where}: ${file} ${error.message}`);
+    return undefined;
+  }
+}
+
+/**
+ * Validate one source and describe it. Every source gets an id (used to key
+ * feed cursors and seen posts, so it must stay stable) and a label for logs
+ * and notifications. A subreddit's id is its name, as before other types existed.
+ * @param {Object} source - Raw source object
+ * @param {string} where - Path of the source, for error messages
+ * @param {string[]} errors - Collected error messages
+ * @returns {Object|undefined} - { type, id, label, ...options }, or undefined if invalid
+ */
+function normalizeSource(source, where, errors) {
+  const optionKeys = SOURCE_TYPES[source.type];
+  if (!optionKeys) {
+    errors.push(`${where}.type: unsupported source type ${JSON.stringify(source.type)} (expected one of: ${Object.keys(SOURCE_TYPES).join(', ')})`);
+    return undefined;
+  }
+
+  checkUnknownKeys(source, ['type', 'backend', ...optionKeys], where, errors);
+
+  switch (source.type) {
+    case 'subreddit': {
+      const name = validateName(source.name, /^\/?r\//, SUBREDDIT_PATTERN, 'subreddit name', `${where}.name`, errors);
+      return name && { type: 'subreddit', id: name, label: `r/${name}`, name };
+    }
+
+    case 'search': {
+      if (typeof source.query !== 'string' || source.query.trim().length === 0) {
+        errors.push(`${where}.query: must be a non-empty search query`);
+        return undefined;
+      }
+      const query = source.query.trim();
+      const subreddit = source.subreddit === undefined
+        ? null
+        : validateName(source.subreddit, /^\/?r\//, SUBREDDIT_PATTERN, 'subreddit name', `${where}.subreddit`, errors);
+      if (subreddit === undefined) {
+        return undefined;
+      }
+      return {
+        type: 'search',
+        id: `search:${subreddit ? `${subreddit}:` : ''}${query}`,
+        label: `search: ${query}${subreddit ? ` in r/${subreddit}` : ''}`,
+        query,
+        subreddit
+      };
+    }
+
+    case 'user': {
+      const name = validateName(source.name, /^\/?u(ser)?\//, USERNAME_PATTERN, 'Reddit username', `${where}.name`, errors);
+      return name && { type: 'user', id: `u/${name}`, label: `u/${name}`, name };
+    }
+
+    case 'multireddit': {
+      if (source.subreddits !== undefined) {
+        if (source.user !== undefined || source.name !== undefined) {
+          errors.push(`${where}: set either "subreddits" or "user" and "name", not both`);
+          return undefined;
+        }
+        const subreddits = validateStringList(source.subreddits, `${where}.subreddits`, errors)
+          .map((name, index) => validateName(name, /^\/?r\//, SUBREDDIT_PATTERN, 'subreddit name', `${where}.subreddits[${index}]`, errors));
+        if (subreddits.length < 2 || subreddits.includes(undefined)) {
+          if (subreddits.length < 2) {
+            errors.push(`${where}.subreddits: must list at least two subreddits`);
+          }
+          return undefined;
+        }
+        const id = `r/${subreddits.join('+')}`;
+        return { type: 'multireddit', id, label: id, subreddits };
+      }
+
+      const user = validateName(source.user, /^\/?u(ser)?\//, USERNAME_PATTERN, 'Reddit username', `${where}.user`, errors);
+      const name = validateName(source.name, /^\/?m\//, MULTIREDDIT_PATTERN, 'multireddit name', `${where}.name`, errors);
+      if (!user || !name) {
+        return undefined;
+      }
+      return { type: 'multireddit', id: `m/${user}/${name}`, label: `m/${user}/${name}`, user, name };
+    }
+
+    case 'feed': {
+      let url;
+      try {
+        url = new URL(source.url);
+      } catch {
+        url = null;
+      }
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        errors.push(`${where}.url: ${JSON.stringify(source.url)} is not a valid http(s) URL`);
+        return undefined;
+      }
+      if (source.name !== undefined && (typeof source.name !== 'string' || source.name.trim().length === 0)) {
+        errors.push(`${where}.name: must be a non-empty string`);
+        return undefined;
+      }
+      if (source.backend !== undefined && source.backend !== 'rss') {
+        errors.push(`${where}.backend: feed sources are always fetched as RSS/Atom`);
+        return undefined;
+      }
+      return { type: 'feed', id: `feed:${url.href}`, label: source.name?.trim() || url.hostname, url: url.href };
+    }
+  }
+}
+
+/**
+ * Normalize the source(s) of a monitor entry into a list of sources
+ * @param {Object} entry - Raw monitor entry
+ * @param {string} where - Path of the entry, for error messages
+ * @param {string[]} errors - Collected error messages
+ * @returns {Object[]} - Array of { type, id, label, backend, ...options } sources (backend only if set on the source)
+ */
+function validateSources(entry, where, errors) {
+  if (entry.source !== undefined && entry.sources !== undefined) {
+    errors.push(`${where}: set either "source" or "sources", not both`);
+    return [];
+  }
+
+  const key = entry.sources !== undefined ? 'sources' : 'source';
+  const rawSources = entry.sources !== undefined ? entry.sources : entry.source;
+
+  if (rawSources === undefined) {
+    errors.push(`${where}.source: is required`);
+    return [];
+  }
+
+  const list = Array.isArray(rawSources) ? rawSources : [rawSources];
+  if (list.length === 0) {
+    errors.push(`${where}.${key}: must contain at least one source`);
+    return [];
+  }
+
+  const sources = [];
+  list.forEach((rawSource, index) => {
+    const sourcePath = Array.isArray(rawSources) ? `${where}.${key}[${index}]` : `${where}.${key}`;
+    const source = typeof rawSource === 'string'
+      ? { type: 'subreddit', name: rawSource }
+      : rawSource;
+
+    if (!isPlainObject(source)) {
+      errors.push(`${sourcePath}: must be a subreddit name or an object like { type: search, query: ... }`);
+      return;
+    }
+
+    const normalized = normalizeSource(source, sourcePath, errors);
+    if (!normalized) {
+      return;
+    }
+
+    if (source.backend !== undefined) {
+      normalized.backend = validateBackend(source.backend, `${sourcePath}.backend`, errors);
+    }
+    sources.push(normalized);
+  });
+
+  return sources;
+}
+
+/**
+ * Validate a recipients list and split it by delivery mode. Each item is an
+ * email address (real-time) or { email, mode } with mode realtime or digest.
+ * @param {*} raw - Raw recipients value
+ * @param {string} where - Path of the value, for error messages
+ * @param {string[]} errors - Collected error messages
+ * @returns {{recipients: string[], digestRecipients: string[]}} - Addresses by mode
+ */
+function validateRecipients(raw, where, errors) {
+  const result = { recipients: [], digestRecipients: [] };
+  const list = Array.isArray(raw) ? raw : [raw];
+
+  list.forEach((item, index) => {
+    const itemPath = Array.isArray(raw) ? `${where}[${index}]` : where;
+    const recipient = typeof item === 'string' ? { email: item, mode: 'realtime' } : item;
+
+    if (!isPlainObject(recipient)) {
+      errors.push(`${itemPath}: must be an email address or an object like { email: ..., mode: digest }`);
+      return;
+    }
+
+    checkUnknownKeys(recipient, ['email', 'mode'], itemPath, errors);
+    const mode = recipient.mode === undefined ? 'realtime' : recipient.mode;
+
+    if (typeof recipient.email !== 'string' || !isValidEmail(recipient.email)) {
+      errors.push(`${itemPath}: ${JSON.stringify(recipient.email)} is not a valid email address`);
+    } else if (!['realtime', 'digest'].includes(mode)) {
+      errors.push(`${itemPath}.mode: must be "realtime" or "digest" (got ${JSON.stringify(mode)})`);
+    } else {
+      (mode === 'digest' ? result.digestRecipients : result.recipients).push(recipient.email);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Validate a single pre-filter rule
+ * @param {*} rule - Raw rule
+ * @param {string} where - Path of the rule, for error messages
+ * @param {string[]} errors - Collected error messages
+ * @returns {Object|null} - Normalized rule, or null if invalid
+ */
+function validateRule(rule, where, errors) {
+  if (!isPlainObject(rule)) {
+    errors.push(`${where}: must be an object`);
+    return null;
+  }
+
+  checkUnknownKeys(rule, RULE_KEYS, where, errors);
+  const errorCount = errors.length;
+
+  if (rule.name !== undefined && (typeof rule.name !== 'string' || rule.name.trim().length === 0)) {
+    errors.push(`${where}.name: must be a non-empty string`);
+  }
+
+  if (!['include', 'exclude'].includes(rule.action)) {
+    errors.push(`${where}.action: must be "include" or "exclude" (got ${JSON.stringify(rule.action)})`);
+  }
+
+  const keywords = rule.keywords === undefined ? [] : validateStringList(rule.keywords, `${where}.keywords`, errors);
+  const regex = rule.regex === undefined ? [] : validateStringList(rule.regex, `${where}.regex`, errors);
+  regex.forEach((pattern, index) => {
+    try {
+      parseRegex(pattern);
+    } catch (error) {
+      errors.push(`${where}.regex[${index}]: ${error.message}`);
+    }
+  });
+
+  const fields = rule.fields === undefined ? RULE_FIELDS : validateStringList(rule.fields, `${where}.fields`, errors);
+  fields.forEach((field, index) => {
+    if (!RULE_FIELDS.includes(field)) {
+      errors.push(`${where}.fields[${index}]: must be "title" or "body" (got ${JSON.stringify(field)})`);
+    }
+  });
+
+  const flair = rule.flair === undefined ? [] : validateStringList(rule.flair, `${where}.flair`, errors);
+  const minBodyLength = rule.minBodyLength === undefined
+    ? null
+    : validateInteger(rule.minBodyLength, `${where}.minBodyLength`, 0, 100000, errors);
+  const maxBodyLength = rule.maxBodyLength === undefined
+    ? null
+    : validateInteger(rule.maxBodyLength, `${where}.maxBodyLength`, 0, 100000, errors);
+
+  if (keywords.length === 0 && regex.length === 0 && flair.length === 0 && minBodyLength === null && maxBodyLength === null) {
+    errors.push(`${where}: needs at least one condition (keywords, regex, flair, minBodyLength or maxBodyLength)`);
+  }
+
+  if (errors.length > errorCount) {
+    return null;
+  }
+
+  return { name: rule.name || null, action: rule.action, keywords, regex, fields, flair, minBodyLength, maxBodyLength };
+}
+
+/**
+ * Validate a filters block and normalize it into a list of rules.
+ * The includeKeywords / excludeKeywords / minBodyLength shorthands become rules.
+ * @param {*} raw - Raw filters block
+ * @param {string} where - Path of the block, for error messages
+ * @param {string[]} errors - Collected error messages
+ * @returns {Object} - Normalized filters: { rules }
+ */
+export function validateFilters(raw, where, errors) {
+  const rules = [];
+
+  if (!isPlainObject(raw)) {
+    errors.push(`${where}: must be an object`);
+    return { rules };
+  }
+
+  checkUnknownKeys(raw, FILTER_KEYS, where, errors);
+
+  if (raw.minBodyLength !== undefined) {
+    const minBodyLength = validateInteger(raw.minBodyLength, `${where}.minBodyLength`, 1, 100000, errors);
+    if (minBodyLength !== undefined) {
+      rules.push(validateRule({ name: 'minBodyLength', action: 'exclude', maxBodyLength: minBodyLength - 1 }, where, errors));
+    }
+  }
+
+  if (raw.excludeKeywords !== undefined) {
+    const keywords = validateStringList(raw.excludeKeywords, `${where}.excludeKeywords`, errors);
+    if (keywords.length > 0) {
+      rules.push(validateRule({ name: 'excludeKeywords', action: 'exclude', keywords }, where, errors));
+    }
+  }
+
+  if (raw.includeKeywords !== undefined) {
+    const keywords = validateStringList(raw.includeKeywords, `${where}.includeKeywords`, errors);
+    if (keywords.length > 0) {
+      rules.push(validateRule({ name: 'includeKeywords', action: 'include', keywords }, where, errors));
+    }
+  }
+
+  if (raw.rules !== undefined) {
+    if (!Array.isArray(raw.rules)) {
+      errors.push(`${where}.rules: must be a list of rules`);
+    } else {
+      raw.rules.forEach((rule, index) => {
+        const normalized = validateRule(rule, `${where}.rules[${index}]`, errors);
+        if (normalized) {
+          rules.push({ ...normalized, name: normalized.name || `rules[${index}]` });
+        }
+      });
+    }
+  }
+
+  return { rules };
+}
+
+/**
+ * Validate the per-monitor settings shared by entries and the defaults block.
+ * Only settings present on the raw object are returned, so they can be layered.
+ * @param {Object} raw - Raw entry or defaults block
+ * @param {string} where - Path of the object, for error messages
+ * @param {string} baseDir - Directory that relative prompt paths resolve against
+ * @param {string[]} errors - Collected error messages
+ * @returns {Object} - Validated settings
+ */
+function validateSettings(raw, where, baseDir, errors) {
+  const settings = {};
+
+  if (raw.checkIntervalMinutes !== undefined) {
+    // Schedules use a "*/N" cron minute field, so N must stay below 60
+    settings.checkIntervalMinutes = validateInteger(raw.checkIntervalMinutes, `${where}.checkIntervalMinutes`, 1, 59, errors);
+  }
+
+  if (raw.backfillLimit !== undefined) {
+    settings.backfillLimit = validateInteger(raw.backfillLimit, `${where}.backfillLimit`, 0, 100, errors);
+  }
+
+  if (raw.backend !== undefined) {
+    settings.backend = validateBackend(raw.backend, `${where}.backend`, errors);
+  }
+
+  if (raw.promptFile !== undefined) {
+    const loaded = loadPromptFile(raw.promptFile, `${where}.promptFile`, baseDir, errors);
+    if (loaded) {
+      settings.promptFile = loaded.file;
+      settings.prompt = loaded.template;
+    }
+  }
+
+  if (raw.subredditPrompts !== undefined) {
+    if (!isPlainObject(raw.subredditPrompts)) {
+      errors.push(`${where}.subredditPrompts: must map subreddit names to prompt files, like { node: prompts/node.txt }`);
+    } else {
+      // Keyed by lowercase name: subreddit names are case-insensitive
+      settings.subredditPrompts = {};
+      for (const [key, file] of Object.entries(raw.subredditPrompts)) {
+        const name = validateName(key, /^\/?r\//, SUBREDDIT_PATTERN, 'subreddit name', `${where}.subredditPrompts`, errors);
+        const loaded = loadPromptFile(file, `${where}.subredditPrompts.${key}`, baseDir, errors);
+        if (name && loaded) {
+          settings.subredditPrompts[name.toLowerCase()] = loaded.template;
+        }
+      }
+    }
+  }
+
+  if (raw.recipients !== undefined) {
+    Object.assign(settings, validateRecipients(raw.recipients, `${where}.recipients`, errors));
+  }
+
+  if (raw.filters !== undefined) {
+    settings.filters = validateFilters(raw.filters, `${where}.filters`, errors);
+  }
+
+  if (raw.ai !== undefined) {
+    if (!isPlainObject(raw.ai)) {
+      errors.push(`${where}.ai: must be an object like { enabled: true }`);
+    } else {
+      checkUnknownKeys(raw.ai, AI_KEYS, `${where}.ai`, errors);
+      settings.ai = {};
+      if (raw.ai.enabled !== undefined) {
+        if (typeof raw.ai.enabled !== 'boolean') {
+          errors.push(`${where}.ai.enabled: must be true or false`);
+        } else {
+          settings.ai.enabled = raw.ai.enabled;
+        }
+      }
+      if (raw.ai.minRelevance !== undefined) {
+        if (typeof raw.ai.minRelevance !== 'number' || !(raw.ai.minRelevance >= 0 && raw.ai.minRelevance <= 1)) {
+          errors.push(`${where}.ai.minRelevance: must be a number between 0 and 1`);
+        } else {
+          settings.ai.minRelevance = raw.ai.minRelevance;
+        }
+      }
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Validate a monitors config and normalize it into a list of monitors
+ * @param {Object|Object[]} raw - Parsed config: { defaults, filters, monitors } or a bare list of monitors
+ * @param {Object} options - Validation options
+ * @param {Object} options.defaults - Settings every monitor inherits (from environment variables)
+ * @param {string} options.baseDir - Directory that relative prompt paths resolve against
+ * @param {string} options.label - Description of the config source, used in error messages
+ * @param {boolean} options.requireRecipients - Whether every monitor needs email recipients
+ * @returns {{monitors: Object[], filters: Object|null}} - Normalized monitors and global filters (if set)
+ * @throws {Error} - Listing every problem found
+ */
+export function validateMonitorsConfig(raw, { defaults, baseDir, label, requireRecipients = true }) {
+  const errors = [];
+  const document = Array.isArray(raw) ? { monitors: raw } : raw;
+  let fileDefaults = {};
+  let filters = null;
+  const monitors = [];
+
+  if (!isPlainObject(document)) {
+    errors.push('top level: must be an object with a "monitors" list');
+  } else {
+    checkUnknownKeys(document, ['defaults', 'filters', 'monitors'], 'top level', errors);
+
+    if (document.filters !== undefined) {
+      filters = validateFilters(document.filters, 'filters', errors);
+    }
+
+    if (document.defaults !== undefined) {
+      if (!isPlainObject(document.defaults)) {
+        errors.push('defaults: must be an object');
+      } else {
+        checkUnknownKeys(document.defaults, SETTING_KEYS, 'defaults', errors);
+        fileDefaults = validateSettings(document.defaults, 'defaults', baseDir, errors);
+      }
+    }
+
+    if (!Array.isArray(document.monitors) || document.monitors.length === 0) {
+      errors.push('monitors: must be a non-empty list');
+    } else {
+      const names = new Set();
+
+      document.monitors.forEach((entry, index) => {
+        const where = `monitors[${index}]`;
+        if (!isPlainObject(entry)) {
+          errors.push(`${where}: must be an object`);
+          return;
+        }
+
+        checkUnknownKeys(entry, MONITOR_KEYS, where, errors);
+
+        const sources = validateSources(entry, where, errors);
+        const settings = validateSettings(entry, where, baseDir, errors);
+
+        let name = entry.name;
+        if (name === undefined && sources.length === 1 && sources[0].type === 'subreddit') {
+          name = sources[0].name;
+        }
+        if (name === undefined && sources.length === 0) {
+          // The missing source has already been reported
+        } else if (typeof name !== 'string' || !MONITOR_NAME_PATTERN.test(name)) {
+          errors.push(`${where}.name: ${name === undefined ? 'is required unless the monitor watches a single subreddit' : `${JSON.stringify(name)} may only contain letters, digits, "_" and "-"`}`);
+        } else if (names.has(name)) {
+          errors.push(`${where}.name: duplicate monitor name "${name}"`);
+        } else {
+          names.add(name);
+        }
+
+        const monitor = { ...defaults, ...fileDefaults, ...settings, name };
+        // AI settings can be set one at a time, each level overriding the one above
+        monitor.ai = { ...defaults.ai, ...fileDefaults.ai, ...settings.ai };
+        // Each source uses the monitor's fetch backend unless it picks its own;
+        // external feeds can only be read as RSS/Atom
+        monitor.sources = sources.map(source => ({
+          ...source,
+          backend: source.type === 'feed' ? 'rss' : source.backend || monitor.backend
+        }));
+
+        if (requireRecipients && monitor.recipients.length === 0 && monitor.digestRecipients.length === 0) {
+          errors.push(`${where}.recipients: at least one recipient is required (set it here, in defaults, or via TO_EMAIL)`);
+        }
+
+        monitors.push(monitor);
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${label}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return { monitors, filters };
+}
+
+/**
+ * Read and parse a JSON or YAML config file (format chosen by extension)
+ * @param {string} filePath - Absolute path to the file
+ * @param {string} varName - Environment variable that named the file, for error messages
+ * @returns {*} - Parsed document
+ * @throws {Error} - If the file can't be read or parsed
+ */
+function readConfigFile(filePath, varName) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read ${varName} ${filePath}: ${error.message}`);
+  }
+
+  try {
+    return /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Cannot parse ${varName} ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Load and validate a JSON or YAML monitors file
+ * @param {string} filePath - Absolute path to the monitors file
+ * @param {Object} defaults - Settings every monitor inherits (from environment variables)
+ * @param {Object} options - Validation options
+ * @param {boolean} options.requireRecipients - Whether every monitor needs email recipients
+ * @returns {{monitors: Object[], filters: Object|null}} - Normalized monitors and global filters (if set)
+ * @throws {Error} - If the file can't be read, parsed or validated
+ */
+export function loadMonitorsFile(filePath, defaults, { requireRecipients = true } = {}) {
+  return validateMonitorsConfig(readConfigFile(filePath, 'MONITORS_FILE'), {
+    requireRecipients,
+    defaults,
+    baseDir: path.dirname(filePath),
+    label: `monitors file ${filePath}`
+  });
+}
+
+/**
+ * Load and validate a JSON or YAML file holding a global filters block
+ * @param {string} filePath - Absolute path to the filters file
+ * @returns {Object} - Normalized filters: { rules }
+ * @throws {Error} - If the file can't be read, parsed or validated
+ */
+export function loadFiltersFile(filePath) {
+  const errors = [];
+  const filters = validateFilters(readConfigFile(filePath, 'FILTERS_FILE'), 'filters', errors);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid filters file ${filePath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  return filters;
+}
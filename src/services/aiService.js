@@ -0,0 +1,461 @@
+import OpenAIProvider from './llmProviders/openaiProvider.js';
+import AnthropicProvider from './llmProviders/anthropicProvider.js';
+import OllamaProvider from './llmProviders/ollamaProvider.js';
+import { getPostOrigin } from '../utils/sources.js';
+import { describeAnalysisSchema, describeBatchSchema, validateAnalysis, validateBatch } from '../utils/analysisSchema.js';
+import { renderPrompt, selectPrompt, usesVariable } from '../utils/promptTemplate.js';
+import { createLimiter } from '../utils/concurrency.js';
+
+// Shown instead of the AI analysis once the daily budget is spent
+const BUDGET_EXCEEDED_NOTE = 'AI budget exceeded - not analyzed';
+// Answer length allowed per analyzed post
+const MAX_TOKENS_PER_POST = 600;
+
+/**
+ * An LLM provider runs a chat completion against one backend.
+ * @typedef {Object} LlmProvider
+ * @property {string} name - Provider name used in logs
+ * @property {string} model - Model the provider asks, used to price its usage
+ * @property {function(Object): Promise<Object>} complete - Send { system, user, maxTokens,
+ *   temperature }; resolves with { text, usage: { promptTokens, completionTokens } },
+ *   throws on failure (HTTP status in error.status)
+ */
+
+/**
+ * Pull the JSON object out of a model answer. Models without a JSON mode may
+ * wrap it in a code fence or add a sentence around it.
+ * @param {string} text - Answer text
+ * @returns {Object} - Parsed object
+ * @throws {SyntaxError} - If the answer contains no valid JSON object
+ */
+function extractJson(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  return JSON.parse(start >= 0 && end > start ? text.substring(start, end + 1) : text);
+}
+
+/**
+ * Analyzes posts with an LLM, scores their relevance and drafts replies. The
+ * configured providers are tried in order: when one errors or is rate limited,
+ * the next one gets the same request. Answers are validated against the
+ * analysis schema, so every provider yields the same result shape. Short posts
+ * can be analyzed several at a time in one completion (AI_BATCH_SIZE).
+ */
+class AIService {
+  /**
+   * @param {Object} config - Application config (uses config.ai)
+   * @param {Object} logger - Logger instance
+   * @param {Object} options - Optional collaborators
+   * @param {Object} options.usageTracker - Records token usage and enforces the daily budget
+   * @param {Object} options.rssService - Loads subreddit rules for prompts that use them
+   */
+  constructor(config, logger, { usageTracker = null, rssService = null } = {}) {
+    this.config = config;
+    this.logger = logger;
+    this.usageTracker = usageTracker;
+    this.rssService = rssService;
+    this.providers = AIService.createProviders(config.ai);
+    // Shared by every monitor, so a burst of posts can't flood the providers
+    this.limit = createLimiter(config.ai.concurrency);
+    this.enabled = this.providers.length > 0;
+
+    if (this.enabled) {
+      const batching = config.ai.batchSize > 1 ? `, batches of up to ${config.ai.batchSize} short posts` : '';
+      this.logger.info(`AI service initialized (providers: ${this.providers.map(p => p.name).join(' -> ')}; ${config.ai.concurrency} concurrent request(s)${batching})`);
+    } else {
+      this.logger.info('AI service disabled (no AI provider configured)');
+    }
+  }
+
+  /**
+   * Build the providers listed in config, in fallback order
+   * @param {Object} ai - AI config section
+   * @returns {LlmProvider[]} - Providers
+   */
+  static createProviders(ai) {
+    return ai.providers.map(name => {
+      switch (name) {
+        case 'openai':
+          return new OpenAIProvider(ai.openai, ai.timeoutMs);
+        case 'anthropic':
+          return new AnthropicProvider(ai.anthropic, ai.timeoutMs);
+        case 'ollama':
+          return new OllamaProvider(ai.ollama, ai.timeoutMs);
+        default:
+          throw new Error(`Unknown AI provider: ${name}`);
+      }
+    });
+  }
+
+  /**
+   * Run a completion, falling back to the next provider when one fails. The
+   * tokens of every answer are recorded against the posts' origin.
+   * @param {Object} request - Completion request ({ system, user, maxTokens, temperature })
+   * @param {string} label - What the request is about, for logs (e.g. "post abc123")
+   * @param {string} origin - Where the posts came from (e.g. r/node), for usage tracking
+   * @returns {Promise<{text: string, provider: string}>} - Answer and the provider that gave it
+   * @throws {Error} - If every provider failed
+   */
+  async complete(request, label, origin) {
+    for (const provider of this.providers) {
+      try {
+        const { text, usage } = await provider.complete(request);
+        if (this.usageTracker) {
+          const cost = this.usageTracker.record(provider.model, usage, origin);
+          this.logger.debug(`AI usage for ${label}: ${usage.promptTokens} prompt + ${usage.completionTokens} completion tokens on ${provider.model} ($${cost.toFixed(5)})`);
+        }
+        if (!text.trim()) {
+          throw new Error('empty response');
+        }
+        return { text: text.trim(), provider: provider.name };
+      } catch (error) {
+        const detail = error.status === 429 ? 'rate limited' : error.message;
+        this.logger.error(`AI provider ${provider.name} failed for ${label}: ${detail}`);
+      }
+    }
+    throw new Error('all AI providers failed');
+  }
+
+  /**
+   * Parse and validate a model answer
+   * @param {string} text - Answer text
+   * @returns {{analysis: Object|null, errors: string[]}} - See validateAnalysis
+   */
+  parseAnswer(text) {
+    try {
+      return validateAnalysis(extractJson(text));
+    } catch (parseError) {
+      return { analysis: null, errors: [`the answer is not valid JSON (${parseError.message})`] };
+    }
+  }
+
+  /**
+   * Record the prompt being sent in the audit trail, as much of it as
+   * LOG_PROMPTS asks for: nothing, its size, or the full text
+   * @param {string} label - What the prompt is about (e.g. "post abc123")
+   * @param {string} version - Prompt template version
+   * @param {string} system - System message
+   * @param {string} user - User message
+   * @param {Object} fields - Post ids and subreddit of the prompt
+   */
+  logPrompt(label, version, system, user, fields) {
+    const verbosity = this.config.logging.prompts;
+    if (verbosity === 'off') {
+      return;
+    }
+
+    this.logger.audit('prompt', `AI prompt for ${label} (prompt ${version})`, {
+      ...fields,
+      promptVersion: version,
+      systemChars: system.length,
+      userChars: user.length,
+      ...(verbosity === 'full' && { system, user })
+    });
+  }
+
+  /**
+   * Log the AI decision for a post
+   * @param {Object} post - Post object
+   * @param {Object} analysis - Validated analysis
+   * @param {string} provider - Provider that answered
+   */
+  logDecision(post, analysis, provider) {
+    const logger = this.logger.child({ postId: post.id, subreddit: post.subreddit, provider });
+    logger.info(`AI Decision for post ${post.id} (${provider}): ${analysis.shouldReply ? 'REPLY' : 'NO REPLY'}, relevance ${analysis.relevance}, ${analysis.category}`);
+    if (analysis.shouldReply) {
+      logger.debug(`AI reply: ${analysis.reply.substring(0, 50)}...`);
+    } else {
+      logger.debug(`Reason: ${analysis.reason}`);
+    }
+  }
+
+  /**
+   * Analyze a single post and draft a reply
+   * @param {Object} post - Post object with title, content, link, subreddit
+   * @param {Object} template - Prompt template to use (defaults to openai-prompt.txt)
+   * @param {Object} monitor - Monitor the post belongs to, for the {{monitor}} variable
+   * @returns {Promise<Object>} - See analyzePrompt; null if the service is disabled
+   */
+  async generateReply(post, template = this.config.ai.prompt, monitor = null) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const prompt = renderPrompt(template, await this.getPromptValues(post, template, monitor));
+    return this.analyzePrompt(post, prompt, template.version);
+  }
+
+  /**
+   * Send one post's rendered prompt and validate the answer. An answer that
+   * doesn't match the schema gets one repair attempt, with the problems
+   * pointed out to the model.
+   * @param {Object} post - Post object
+   * @param {{system: string, user: string}} prompt - Rendered prompt
+   * @param {string} version - Prompt template version, for logs
+   * @returns {Promise<Object>} - { shouldReply, reply, reason, relevance, category, sentiment,
+   *   confidence }; the scores are null if the post couldn't be analyzed
+   */
+  async analyzePrompt(post, prompt, version) {
+    const systemMessage = `${prompt.system}\n\n${describeAnalysisSchema()}`;
+    const userMessage = prompt.user;
+    const label = `post ${post.id}`;
+    const origin = getPostOrigin(post);
+    const failed = reason => ({
+      shouldReply: false, reply: null, reason, relevance: null, category: null, sentiment: null, confidence: null
+    });
+
+    this.logPrompt(label, version, systemMessage, userMessage, { postId: post.id, subreddit: post.subreddit });
+
+    const request = {
+      system: systemMessage,
+      user: userMessage,
+      maxTokens: MAX_TOKENS_PER_POST,
+      temperature: 0.2
+    };
+
+    let answer;
+    try {
+      answer = await this.complete(request, label, origin);
+    } catch (error) {
+      this.logger.error(`Failed to generate AI reply for post ${post.id}: ${error.message}`);
+      return failed('AI provider error');
+    }
+
+    let { analysis, errors } = this.parseAnswer(answer.text);
+
+    if (!analysis) {
+      this.logger.error(`Invalid AI response for post ${post.id}, retrying: ${errors.join('; ')}`);
+      this.logger.debug(`Raw response: ${answer.text}`);
+
+      try {
+        answer = await this.complete({
+          ...request,
+          user: `${userMessage}\n\n---\nYour previous answer was:\n${answer.text}\n\nIt is invalid because:\n${errors.map(error => `- ${error}`).join('\n')}\n\nAnswer again with only the corrected JSON object.`
+        }, label, origin);
+        ({ analysis, errors } = this.parseAnswer(answer.text));
+      } catch (error) {
+        errors = [error.message];
+      }
+
+      if (!analysis) {
+        this.logger.error(`AI response for post ${post.id} still invalid after repair: ${errors.join('; ')}`);
+        this.logger.error(`Raw response: ${answer.text}`);
+        return failed('AI response error');
+      }
+    }
+
+    this.logDecision(post, analysis, answer.provider);
+    return analysis;
+  }
+
+  /**
+   * Analyze several short posts with one completion. The posts must share a
+   * system prompt and an origin. Results are mapped back by post id; posts
+   * the answer leaves out or gets wrong are missing from the result, for the
+   * caller to analyze one by one.
+   * @param {Object[]} entries - Prepared posts ({ post, template, prompt })
+   * @returns {Promise<Map<string, Object>>} - Analyses by post id (see analyzePrompt)
+   */
+  async analyzeBatch(entries) {
+    const ids = entries.map(entry => String(entry.post.id));
+    const label = `batch of ${entries.length} posts (${ids.join(', ')})`;
+    const systemMessage = `${entries[0].prompt.system}\n\n${describeBatchSchema()}`;
+    const userMessage = entries.map(entry => `=== Post ${entry.post.id} ===\n${entry.prompt.user}`).join('\n\n');
+
+    this.logPrompt(label, entries[0].template.version, systemMessage, userMessage, {
+      postIds: ids,
+      subreddit: [...new Set(entries.map(entry => entry.post.subreddit))].join(',')
+    });
+
+    let answer;
+    try {
+      answer = await this.complete({
+        system: systemMessage,
+        user: userMessage,
+        maxTokens: MAX_TOKENS_PER_POST * entries.length,
+        temperature: 0.2
+      }, label, getPostOrigin(entries[0].post));
+    } catch (error) {
+      this.logger.error(`Failed to analyze ${label}: ${error.message}`);
+      return new Map();
+    }
+
+    let result;
+    try {
+      result = validateBatch(extractJson(answer.text), ids);
+    } catch (parseError) {
+      result = { analyses: new Map(), errors: [`the answer is not valid JSON (${parseError.message})`] };
+    }
+
+    if (result.errors.length > 0) {
+      this.logger.error(`Incomplete AI response for ${label}, analyzing ${ids.length - result.analyses.size} post(s) one by one: ${result.errors.join('; ')}`);
+      this.logger.debug(`Raw response: ${answer.text}`);
+    }
+
+    entries
+      .filter(entry => result.analyses.has(String(entry.post.id)))
+      .forEach(entry => this.logDecision(entry.post, result.analyses.get(String(entry.post.id)), answer.provider));
+
+    return result.analyses;
+  }
+
+  /**
+   * Split prepared posts into the groups sent per completion. Without batching
+   * every post is its own group; with it, posts whose user message is short
+   * enough are grouped by origin and system prompt, up to the batch size.
+   * @param {Object[]} entries - Prepared posts ({ post, template, prompt })
+   * @returns {Object[][]} - Groups of prepared posts
+   */
+  groupBatches(entries) {
+    const { batchSize, batchMaxChars } = this.config.ai;
+    if (batchSize <= 1) {
+      return entries.map(entry => [entry]);
+    }
+
+    const singles = [];
+    const groups = new Map();
+    for (const entry of entries) {
+      if (entry.prompt.user.length > batchMaxChars) {
+        singles.push([entry]);
+        continue;
+      }
+      const key = `${getPostOrigin(entry.post)}\n${entry.template.version}\n${entry.prompt.system}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(entry);
+    }
+
+    const batches = [...groups.values()].flatMap(group => {
+      const chunks = [];
+      for (let i = 0; i < group.length; i += batchSize) {
+        chunks.push(group.slice(i, i + batchSize));
+      }
+      return chunks;
+    });
+    return [...batches, ...singles];
+  }
+
+  /**
+   * Analyze all posts with AI, at most config.ai.concurrency completions at a
+   * time (shared by all monitors), batching short posts when configured. Posts
+   * scoring below the relevance threshold are marked as skipped (left out of
+   * notifications); posts that couldn't be analyzed have no score and are
+   * kept. Once the daily budget is spent, posts are passed through
+   * un-analyzed with a note saying so.
+   * @param {Object[]} posts - Array of post objects
+   * @param {Object} monitor - Monitor the posts belong to, for its prompt templates and
+   *   relevance threshold (defaults to openai-prompt.txt and no threshold)
+   * @returns {Promise<Object[]>} - All posts with shouldReply, aiReply, analysis, promptVersion
+   *   and skipped properties
+   */
+  async analyzeAllPosts(posts, monitor = null) {
+    if (!this.enabled || posts.length === 0) {
+      return posts;
+    }
+
+    this.logger.info(`Analyzing ${posts.length} post(s) with AI...`);
+    const minRelevance = monitor ? monitor.ai.minRelevance : 0;
+
+    // Render the prompts one post at a time, so posts from the same subreddit
+    // share a single fetch of its rules
+    const entries = [];
+    for (const post of posts) {
+      const template = monitor ? selectPrompt(monitor, post) : this.config.ai.prompt;
+      const prompt = renderPrompt(template, await this.getPromptValues(post, template, monitor));
+      entries.push({ post, template, prompt, result: null });
+    }
+
+    const batches = this.groupBatches(entries);
+    const batchCount = batches.filter(batch => batch.length > 1).length;
+    if (batchCount > 0) {
+      this.logger.info(`Sending ${batches.reduce((count, batch) => count + (batch.length > 1 ? batch.length : 0), 0)} short post(s) in ${batchCount} batch(es)`);
+    }
+
+    await Promise.all(batches.map(batch => this.limit(async () => {
+      // Checked when the completion starts, so earlier ones count against the budget
+      if (this.usageTracker && this.usageTracker.isBudgetExceeded()) {
+        return;
+      }
+
+      const analyses = batch.length > 1 ? await this.analyzeBatch(batch) : new Map();
+      for (const entry of batch) {
+        entry.result = analyses.get(String(entry.post.id))
+          || await this.analyzePrompt(entry.post, entry.prompt, entry.template.version);
+      }
+    })));
+
+    const analyzedPosts = entries.map(({ post, template, result }) => {
+      if (!result) {
+        return { ...post, aiNote: BUDGET_EXCEEDED_NOTE };
+      }
+
+      const skipped = result.relevance !== null && result.relevance < minRelevance;
+      return {
+        ...post,
+        shouldReply: result.shouldReply,
+        aiReply: result.reply,
+        skipReason: skipped
+          ? `Relevance ${result.relevance} below ${minRelevance}: ${result.reason}`
+          : (result.shouldReply ? null : result.reason),
+        analysis: result.relevance === null ? null : {
+          relevance: result.relevance,
+          category: result.category,
+          sentiment: result.sentiment,
+          confidence: result.confidence
+        },
+        promptVersion: template.version,
+        skipped
+      };
+    });
+
+    const unanalyzedCount = analyzedPosts.filter(p => p.aiNote === BUDGET_EXCEEDED_NOTE).length;
+    if (unanalyzedCount > 0) {
+      this.logger.info(`Daily AI budget of $${this.usageTracker.dailyBudget.toFixed(2)} reached, ${unanalyzedCount} post(s) sent without analysis`);
+    }
+
+    const replyCount = analyzedPosts.filter(p => p.shouldReply).length;
+    const skipCount = analyzedPosts.filter(p => p.skipped).length;
+
+    this.logger.info(`AI Analysis: ${replyCount} posts to reply to, ${skipCount} posts below relevance ${minRelevance}`);
+
+    return analyzedPosts;
+  }
+
+  /**
+   * Collect the values of the prompt template variables for a post. Subreddit
+   * rules are only loaded when the template uses them.
+   * @param {Object} post - Post object
+   * @param {Object} template - Prompt template
+   * @param {Object} monitor - Monitor the post belongs to (optional)
+   * @returns {Promise<Object>} - Values by variable name (see utils/promptTemplate.js)
+   */
+  async getPromptValues(post, template, monitor) {
+    // Use fullContent (fetched from Reddit), fallback to RSS snippet
+    const content = (post.fullContent || post.content || post.contentSnippet || '').trim();
+    const rules = post.subreddit && this.rssService && usesVariable(template, 'subreddit_rules')
+      ? await this.rssService.fetchSubredditRules(post.subreddit)
+      : '';
+
+    return {
+      subreddit: post.subreddit || '',
+      origin: getPostOrigin(post),
+      title: post.title,
+      author: post.author || '',
+      flair: post.flair || '',
+      content,
+      subreddit_rules: rules,
+      monitor: monitor ? monitor.name : ''
+    };
+  }
+
+  /**
+   * Check if the service is enabled
+   * @returns {boolean} - True if at least one AI provider is configured
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+}
+
+export default AIService;
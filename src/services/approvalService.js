@@ -0,0 +1,267 @@
+import { randomBytes } from 'crypto';
+import { getPostOrigin } from '../utils/sources.js';
+
+const APPROVALS_NAMESPACE = 'approvals';
+const AUDIT_NAMESPACE = 'auditLog';
+// Approvals older than this are dropped - the thread has moved on
+const MAX_APPROVAL_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_AUDIT_ENTRIES = 1000;
+
+/**
+ * Approval workflow for AI draft replies. Every draft gets an unguessable
+ * token; its approve/edit/reject links lead to a page on the dashboard
+ * server where a person can edit the reply and approve it, which posts it
+ * as a comment through the Reddit API. Every step is written to an audit trail.
+ */
+class ApprovalService {
+  /**
+   * @param {Object} config - Application config
+   * @param {Object} logger - Logger instance
+   * @param {Object} store - State store holding approvals and the audit trail
+   * @param {Object} redditClient - Reddit API client used to post comments
+   */
+  constructor(config, logger, store, redditClient) {
+    this.config = config;
+    this.logger = logger;
+    this.store = store; // namespaces 'approvals' (token -> approval) and 'auditLog' (entryId -> audit entry)
+    this.redditClient = redditClient;
+    this.publicUrl = config.approvals.publicUrl;
+    this.auditSequence = 0; // keeps entries written in the same millisecond in order
+  }
+
+  /**
+   * Create an approval for every post with a draft reply and attach its links
+   * @param {Object} monitor - Monitor the posts belong to
+   * @param {Object[]} posts - Analyzed posts
+   * @returns {Object[]} - Posts, those with a draft reply carrying an approval property
+   */
+  createApprovals(monitor, posts) {
+    this.prune();
+
+    return posts.map(post => {
+      // Only Reddit posts can be replied to; external feed items are left as they are
+      if (post.shouldReply === false || !post.aiReply || post.source?.type === 'feed') {
+        return post;
+      }
+
+      const approval = {
+        token: randomBytes(18).toString('base64url'),
+        status: 'pending',
+        monitor: monitor.name,
+        postId: post.id,
+        subreddit: post.subreddit,
+        origin: getPostOrigin(post),
+        title: post.title,
+        link: post.link,
+        draft: post.aiReply,
+        reply: null,
+        comment: null,
+        error: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+
+      this.store.set(APPROVALS_NAMESPACE, approval.token, approval);
+      this.audit(approval, 'created', 'system');
+
+      return { ...post, approval: this.getLinks(approval.token) };
+    });
+  }
+
+  /**
+   * Build the links for an approval
+   * @param {string} token - Approval token
+   * @returns {{approveUrl: string, editUrl: string, rejectUrl: string}} - Links to the approval page
+   */
+  getLinks(token) {
+    const base = `${this.publicUrl}/approvals/${token}`;
+    return {
+      approveUrl: `${base}/approve`,
+      editUrl: `${base}/edit`,
+      rejectUrl: `${base}/reject`
+    };
+  }
+
+  /**
+   * Look up an approval
+   * @param {string} token - Approval token
+   * @returns {Object|undefined} - Approval, if the token is known
+   */
+  get(token) {
+    return this.store.get(APPROVALS_NAMESPACE, token);
+  }
+
+  /**
+   * Approve a draft and post it as a comment on the Reddit post
+   * @param {string} token - Approval token
+   * @param {string} reply - Reply text to post (the draft, possibly edited)
+   * @param {string} actor - Who approved it (for the audit trail)
+   * @returns {Promise<Object>} - Updated approval (status posted or failed)
+   * @throws {Error} - If the token is unknown or the approval can't be approved in its state
+   */
+  async approve(token, reply, actor) {
+    const approval = this.requireApproval(token, ['pending', 'failed']);
+    const text = (reply || '').trim();
+    if (text.length === 0) {
+      throw new Error('Reply must not be empty');
+    }
+
+    const previous = { status: approval.status, reply: approval.reply };
+    approval.reply = text;
+    this.update(approval, 'posting');
+    try {
+      await this.store.flush();
+    } catch (error) {
+      // Not saved, so nothing is posted; the approval can be tried again
+      approval.reply = previous.reply;
+      this.update(approval, previous.status);
+      throw new Error(`Could not save the approval: ${error.message}`);
+    }
+    this.audit(approval, 'approved', actor, text !== approval.draft.trim() ? { edited: true, reply: text } : {});
+
+    const thingId = approval.postId.startsWith('t3_') ? approval.postId : `t3_${approval.postId}`;
+    this.audit(approval, 'post_attempt', actor, { thingId });
+
+    try {
+      approval.comment = await this.redditClient.postComment(thingId, text);
+      approval.error = null;
+      this.update(approval, 'posted');
+      this.audit(approval, 'posted', actor, approval.comment);
+      this.logger.info(`[${approval.monitor}] Approved reply posted to ${approval.link}${approval.comment.permalink ? ` (${approval.comment.permalink})` : ''}`);
+    } catch (error) {
+      approval.error = error.message;
+      this.update(approval, 'failed');
+      this.audit(approval, 'post_failed', actor, { error: error.message });
+      this.logger.error(`[${approval.monitor}] Failed to post approved reply to ${approval.link}: ${error.message}`);
+    }
+
+    await this.store.flush();
+    return approval;
+  }
+
+  /**
+   * Reject a draft
+   * @param {string} token - Approval token
+   * @param {string} actor - Who rejected it (for the audit trail)
+   * @returns {Promise<Object>} - Updated approval
+   * @throws {Error} - If the token is unknown or the approval was already handled
+   */
+  async reject(token, actor) {
+    const approval = this.requireApproval(token, ['pending', 'failed']);
+    this.update(approval, 'rejected');
+    this.audit(approval, 'rejected', actor);
+    await this.store.flush();
+
+    this.logger.info(`[${approval.monitor}] Draft reply rejected for ${approval.link}`);
+    return approval;
+  }
+
+  /**
+   * Look up an approval and check it is in one of the allowed states
+   * @param {string} token - Approval token
+   * @param {string[]} allowed - Statuses the action is allowed from
+   * @returns {Object} - Approval
+   * @throws {Error} - If the token is unknown or the status isn't allowed
+   */
+  requireApproval(token, allowed) {
+    const approval = this.get(token);
+    if (!approval) {
+      throw new Error('Unknown or expired approval link');
+    }
+    if (!allowed.includes(approval.status)) {
+      throw new Error(`This reply has already been ${approval.status}`);
+    }
+    return approval;
+  }
+
+  /**
+   * Save an approval with a new status
+   * @param {Object} approval - Approval
+   * @param {string} status - New status
+   */
+  update(approval, status) {
+    approval.status = status;
+    approval.updatedAt = new Date().toISOString();
+    this.store.set(APPROVALS_NAMESPACE, approval.token, approval);
+  }
+
+  /**
+   * Append an entry to the audit trail
+   * @param {Object} approval - Approval the action is about
+   * @param {string} action - created, approved, rejected, post_attempt, posted, post_failed
+   *   or post_interrupted
+   * @param {string} actor - Who did it (system, or the approver's address)
+   * @param {Object} details - Extra details for the entry
+   */
+  audit(approval, action, actor, details = {}) {
+    const at = new Date().toISOString();
+    const id = `${at}-${String(++this.auditSequence).padStart(6, '0')}`;
+    this.store.set(AUDIT_NAMESPACE, id, {
+      id,
+      at,
+      action,
+      actor,
+      token: approval.token,
+      monitor: approval.monitor,
+      postId: approval.postId,
+      link: approval.link,
+      ...details
+    });
+  }
+
+  /**
+   * Get audit trail entries, newest first
+   * @param {Object} query - Optional filters
+   * @param {number} query.limit - Maximum number of entries
+   * @param {string} query.token - Only entries for this approval
+   * @returns {Object[]} - Audit entries
+   */
+  getAuditTrail({ limit = MAX_AUDIT_ENTRIES, token } = {}) {
+    return Array.from(this.store.entries(AUDIT_NAMESPACE), ([, entry]) => entry)
+      .filter(entry => !token || entry.token === token)
+      .sort((a, b) => b.id.localeCompare(a.id))
+      .slice(0, limit);
+  }
+
+  /**
+   * Mark approvals left in the posting state by a crash or restart as failed,
+   * so they can be approved again or rejected. Whether the comment made it to
+   * Reddit is unknown, which the error message points out.
+   * @returns {number} - Approvals recovered
+   */
+  recoverInterrupted() {
+    let recovered = 0;
+    for (const [, approval] of this.store.entries(APPROVALS_NAMESPACE)) {
+      if (approval.status !== 'posting') {
+        continue;
+      }
+
+      approval.error = 'Interrupted while posting; check the thread before approving again';
+      this.update(approval, 'failed');
+      this.audit(approval, 'post_interrupted', 'system');
+      recovered++;
+    }
+
+    if (recovered > 0) {
+      this.logger.info(`Approvals: ${recovered} reply(s) interrupted while posting marked as failed`);
+    }
+    return recovered;
+  }
+
+  /**
+   * Drop expired approvals and audit entries beyond the limit
+   */
+  prune() {
+    const now = Date.now();
+    for (const [token, approval] of this.store.entries(APPROVALS_NAMESPACE)) {
+      if (now - new Date(approval.createdAt).getTime() > MAX_APPROVAL_AGE_MS) {
+        this.store.delete(APPROVALS_NAMESPACE, token);
+      }
+    }
+
+    this.getAuditTrail({ limit: Infinity }).slice(MAX_AUDIT_ENTRIES)
+      .forEach(entry => this.store.delete(AUDIT_NAMESPACE, entry.id));
+  }
+}
+
+export default ApprovalService;
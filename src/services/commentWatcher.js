@@ -0,0 +1,237 @@
+import { escapeRegex } from '../utils/validation.js';
+
+const THREADS_NAMESPACE = 'watchedThreads';
+const SEEN_NAMESPACE = 'seenComments';
+
+// Titles of the notification entries, per kind of comment
+const COMMENT_TITLES = {
+  reply: 'Reply to our comment',
+  mention: 'Keyword mention',
+  comment: 'New comment'
+};
+
+/**
+ * Follows the comment threads of posts we've engaged with (posts we were
+ * notified about) and notifies about new comments: direct replies to our own
+ * comments, comments mentioning one of the configured keywords, and any other
+ * new comment. Comments written by the configured Reddit account are recognized
+ * as ours. Each thread is watched for a limited time; its seen comments are
+ * tracked separately from seen posts and forgotten when the watch ends.
+ */
+class CommentWatcher {
+  /**
+   * @param {Object} config - Application config (uses config.comments and config.reddit)
+   * @param {Object} logger - Logger instance
+   * @param {Object} store - State store holding watched threads and seen comments
+   * @param {Object} services - Collaborators
+   * @param {Object} services.rssService - Loads the comment trees
+   */
+  constructor(config, logger, store, { rssService }) {
+    this.config = config;
+    this.logger = logger;
+    this.store = store; // namespaces 'watchedThreads' (threadKey -> thread) and 'seenComments' (threadKey/commentId -> timestamp)
+    this.rssService = rssService;
+    this.options = config.comments;
+    this.username = (config.reddit.username || '').toLowerCase();
+    // Keywords match whole words only, like the filter rules
+    this.keywordMatchers = this.options.keywords
+      .map(keyword => ({ keyword, regex: new RegExp(`(?<!\\w)${escapeRegex(keyword)}(?!\\w)`, 'i') }));
+  }
+
+  /**
+   * Start watching the threads of posts a monitor was notified about.
+   * Items from external feeds have no Reddit thread and are ignored.
+   * @param {Object} monitor - Monitor the posts belong to
+   * @param {Object[]} posts - Notified posts
+   */
+  watch(monitor, posts) {
+    const now = Date.now();
+
+    for (const post of posts) {
+      const key = `${monitor.name}/${post.id}`;
+      if (post.source?.type === 'feed' || this.store.get(THREADS_NAMESPACE, key)) {
+        continue;
+      }
+
+      this.store.set(THREADS_NAMESPACE, key, {
+        key,
+        monitor: monitor.name,
+        postId: post.id,
+        title: post.title,
+        link: post.link,
+        subreddit: post.subreddit,
+        source: post.source || null,
+        ownCommentIds: [],
+        watchedAt: now,
+        expiresAt: now + this.options.watchHours * 60 * 60 * 1000
+      });
+    }
+  }
+
+  /**
+   * Decide what kind of new comment this is
+   * @param {Object} thread - Watched thread
+   * @param {Object} comment - Comment from RssService.fetchComments
+   * @returns {{type: string, keywords: string[]}} - reply, mention or comment, and the matched keywords
+   */
+  classify(thread, comment) {
+    const keywords = this.keywordMatchers
+      .filter(matcher => matcher.regex.test(comment.body))
+      .map(matcher => matcher.keyword);
+
+    if (thread.ownCommentIds.includes(comment.parentId)) {
+      return { type: 'reply', keywords };
+    }
+    return { type: keywords.length > 0 ? 'mention' : 'comment', keywords };
+  }
+
+  /**
+   * Find the new comments of one thread worth notifying about. Our own
+   * comments are remembered (to recognize replies to them); comments older
+   * than the watch and kinds that aren't notified are marked as seen right away.
+   * @param {Object} thread - Watched thread
+   * @param {Set<string>} heldKeys - Keys of comments already waiting in the outbox
+   * @returns {Promise<Object[]>} - Comments to notify about, in the post shape the channels expect
+   */
+  async checkThread(thread, heldKeys) {
+    const comments = await this.rssService.fetchComments(thread.link);
+    const feedKey = `comments:${thread.key}`;
+    const found = [];
+
+    for (const comment of comments) {
+      const seenKey = `${thread.key}/${comment.id}`;
+      if (this.store.get(SEEN_NAMESPACE, seenKey) !== undefined || heldKeys.has(`${feedKey}/${comment.id}`)) {
+        continue;
+      }
+
+      if (this.username && comment.author?.toLowerCase() === this.username) {
+        if (!thread.ownCommentIds.includes(comment.id)) {
+          thread.ownCommentIds.push(comment.id);
+          this.store.set(THREADS_NAMESPACE, thread.key, thread);
+        }
+        this.store.set(SEEN_NAMESPACE, seenKey, Date.now());
+        continue;
+      }
+
+      const { type, keywords } = this.classify(thread, comment);
+      if (comment.createdAt < thread.watchedAt || !this.options.notify.includes(type)) {
+        this.store.set(SEEN_NAMESPACE, seenKey, Date.now());
+        continue;
+      }
+
+      found.push({
+        id: comment.id,
+        feedKey,
+        kind: 'comment',
+        commentType: type,
+        keywords,
+        title: `${COMMENT_TITLES[type]} on "${thread.title}"`,
+        link: comment.link,
+        threadLink: thread.link,
+        pubDate: new Date(comment.createdAt).toISOString(),
+        subreddit: thread.subreddit,
+        source: thread.source,
+        author: comment.author,
+        flair: null,
+        fullContent: comment.body,
+        contentSnippet: comment.body.substring(0, 500),
+        seenKey
+      });
+    }
+
+    return found;
+  }
+
+  /**
+   * Check every watched thread for new comments and stop watching expired
+   * threads. The comments are delivered through the outbox, which marks them
+   * as seen (see markSeen) once the delivery policy is met.
+   * @param {Set<string>} heldKeys - Keys of comments already waiting in the outbox
+   * @returns {Promise<Array<{monitor: Object, comments: Object[]}>>} - New comments per monitor
+   */
+  async checkThreads(heldKeys = new Set()) {
+    this.expireThreads();
+
+    const threads = Array.from(this.store.entries(THREADS_NAMESPACE), ([, thread]) => thread);
+    if (threads.length === 0) {
+      return [];
+    }
+
+    this.logger.info(`Checking ${threads.length} watched thread(s) for new comments...`);
+
+    const byMonitor = new Map();
+    for (const thread of threads) {
+      try {
+        const comments = await this.checkThread(thread, heldKeys);
+        if (comments.length > 0) {
+          byMonitor.set(thread.monitor, [...(byMonitor.get(thread.monitor) || []), ...comments]);
+        }
+      } catch (error) {
+        this.logger.error(`Failed to check comments of ${thread.link}: ${error.message}`);
+      }
+    }
+
+    const found = [];
+    for (const [monitorName, comments] of byMonitor) {
+      const monitor = this.config.monitors.find(m => m.name === monitorName);
+      if (monitor) {
+        this.logger.info(`[${monitorName}] ${comments.length} new comment(s) on watched threads`);
+        found.push({ monitor, comments });
+      }
+    }
+
+    await this.store.flush();
+    return found;
+  }
+
+  /**
+   * Mark delivered comments as seen. Threads whose watch ended in the
+   * meantime have already forgotten their comments and are skipped.
+   * @param {Object[]} comments - Comments from checkThreads
+   */
+  markSeen(comments) {
+    for (const comment of comments) {
+      const threadKey = comment.seenKey.substring(0, comment.seenKey.lastIndexOf('/'));
+      if (this.store.get(THREADS_NAMESPACE, threadKey)) {
+        this.store.set(SEEN_NAMESPACE, comment.seenKey, Date.now());
+      }
+    }
+  }
+
+  /**
+   * Stop watching threads whose watch period is over and forget their seen comments
+   */
+  expireThreads() {
+    const now = Date.now();
+    const expired = new Set();
+
+    for (const [key, thread] of this.store.entries(THREADS_NAMESPACE)) {
+      if (thread.expiresAt <= now) {
+        expired.add(key);
+        this.store.delete(THREADS_NAMESPACE, key);
+      }
+    }
+
+    if (expired.size === 0) {
+      return;
+    }
+
+    for (const [key] of this.store.entries(SEEN_NAMESPACE)) {
+      if (expired.has(key.substring(0, key.lastIndexOf('/')))) {
+        this.store.delete(SEEN_NAMESPACE, key);
+      }
+    }
+
+    this.logger.info(`Stopped watching ${expired.size} thread(s) after ${this.options.watchHours} hour(s)`);
+  }
+
+  /**
+   * Get the number of threads being watched
+   * @returns {number} - Watched thread count
+   */
+  getWatchedCount() {
+    return this.store.count(THREADS_NAMESPACE);
+  }
+}
+
+export default CommentWatcher;
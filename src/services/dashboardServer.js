@@ -0,0 +1,398 @@
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { timingSafeEqual } from 'crypto';
+import { fileURLToPath } from 'url';
+import { renderTemplate } from '../utils/template.js';
+import { formatAge } from '../utils/dateUtils.js';
+import { describeAnalysis } from '../utils/relevance.js';
+import { isHttpUrl } from '../utils/validation.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DASHBOARD_TEMPLATE = fs.readFileSync(path.join(__dirname, '../templates/dashboard.html'), 'utf8');
+const APPROVAL_TEMPLATE = fs.readFileSync(path.join(__dirname, '../templates/approval.html'), 'utf8');
+// Largest form body accepted (an edited reply)
+const MAX_BODY_BYTES = 64 * 1024;
+const APPROVAL_PATH = /^\/approvals\/([A-Za-z0-9_-]+)(?:\/(approve|edit|reject))?$/;
+const APPROVAL_HEADINGS = {
+  approve: 'Approve reply',
+  edit: 'Edit reply',
+  reject: 'Reject reply'
+};
+
+const RUN_ROW = `<tr>
+  <td>{{startedAt}}{{#error}}<div class="status status-failed">{{error}}</div>{{/error}}</td>
+  <td><a href="?run={{id}}{{tokenAmp}}">{{id}}</a></td>
+  <td>{{monitors}}</td>
+  <td>{{feeds}}{{#failedFeeds}}<div class="muted">failed: {{failedFeeds}}</div>{{/failedFeeds}}</td>
+  <td>{{fetched}}</td><td>{{new}}</td><td>{{filtered}}</td><td>{{skipped}}</td><td>{{notified}}</td>
+</tr>`;
+
+const POST_ROW = `<tr>
+  <td>{{#safeLink}}<a href="{{safeLink}}">{{title}}</a>{{/safeLink}}{{^safeLink}}{{title}}{{/safeLink}}
+    <div class="muted">{{source}}{{#author}} &middot; u/{{author}}{{/author}}{{#flair}} &middot; {{flair}}{{/flair}} &middot; {{age}} &middot; run <a href="?run={{runId}}{{tokenAmp}}">{{runId}}</a></div></td>
+  <td><a href="?monitor={{monitorParam}}{{tokenAmp}}">{{monitor}}</a></td>
+  <td><a class="status status-{{status}}" href="?status={{status}}{{tokenAmp}}">{{status}}</a>{{#filterRule}}<div class="muted">{{filterRule}}</div>{{/filterRule}}</td>
+  <td>{{#aiDecision}}<strong>{{aiDecision}}</strong>{{/aiDecision}}{{^aiDecision}}<span class="muted">{{#aiNote}}{{aiNote}}{{/aiNote}}{{^aiNote}}not analyzed{{/aiNote}}</span>{{/aiDecision}}{{#aiAnalysis}} <span class="muted">{{aiAnalysis}}</span>{{/aiAnalysis}}{{#promptVersion}} <a class="muted" href="?prompt={{promptParam}}{{tokenAmp}}">prompt {{promptVersion}}</a>{{/promptVersion}}
+    {{#aiReason}}<div class="muted">{{aiReason}}</div>{{/aiReason}}{{#aiReply}}<div class="reply">{{aiReply}}</div>{{/aiReply}}
+    {{#approvalUrl}}<div><a href="{{approvalUrl}}">Review reply</a></div>{{/approvalUrl}}</td>
+  <td>{{#notification}}<span class="status status-{{notification}}">{{notification}}</span><div class="muted">{{channels}}</div>{{/notification}}</td>
+</tr>`;
+
+/**
+ * Small built-in HTTP server showing recent runs and posts, with the same
+ * data as a JSON API:
+ *   GET /            - HTML dashboard (?monitor=, ?status=, ?run=, ?prompt= narrow the post list)
+ *   GET /api/runs    - Recent runs (?limit=)
+ *   GET /api/posts   - Recent posts (?limit=, ?monitor=, ?status=, ?run=, ?prompt=)
+ *   GET /api/audit   - Approval audit trail (?limit=)
+ *   GET /api/usage   - AI token usage and cost per day (?limit=)
+ *   GET /api/prompts - AI decisions per prompt version
+ * When a token is configured, requests must send it as a Bearer token or ?token=.
+ *
+ * With approvals enabled it also serves the approval pages. Their URLs carry
+ * an unguessable token of their own, so they don't need the dashboard token:
+ *   GET  /approvals/:token[/approve|/edit|/reject] - Review a draft reply
+ *   POST /approvals/:token/approve                 - Post the (edited) reply to Reddit
+ *   POST /approvals/:token/reject                  - Reject the draft
+ */
+class DashboardServer {
+  /**
+   * @param {Object} config - Application config
+   * @param {Object} logger - Logger instance
+   * @param {Object} runHistory - Run history to serve
+   * @param {Object} options - Optional collaborators
+   * @param {Object} options.approvalService - Serves the approval pages when set
+   * @param {Object} options.usageTracker - Source of the AI usage figures
+   */
+  constructor(config, logger, runHistory, { approvalService = null, usageTracker = null } = {}) {
+    this.config = config;
+    this.logger = logger;
+    this.runHistory = runHistory;
+    this.approvalService = approvalService;
+    this.usageTracker = usageTracker;
+    this.server = null;
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<void>} - Resolves once the server is listening
+   */
+  start() {
+    const { port, host } = this.config.dashboard;
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        this.logger.info(`Dashboard listening on http://${host}:${port}/`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>} - Resolves once the server is closed
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  /**
+   * Route a request
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  async handleRequest(req, res) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+
+      const approvalMatch = this.approvalService ? url.pathname.match(APPROVAL_PATH) : null;
+      if (approvalMatch) {
+        await this.handleApproval(req, res, approvalMatch[1], approvalMatch[2] || 'edit');
+        return;
+      }
+
+      if (!this.isAuthorized(req, url)) {
+        this.sendJson(res, 401, { error: 'Unauthorized' });
+        return;
+      }
+
+      if (req.method !== 'GET') {
+        this.sendJson(res, 405, { error: 'Method not allowed' });
+        return;
+      }
+
+      const query = this.parseQuery(url);
+      switch (url.pathname) {
+        case '/':
+          this.send(res, 200, 'text/html; charset=utf-8', this.renderDashboard(query, url.searchParams.get('token')));
+          return;
+        case '/api/runs':
+          this.sendJson(res, 200, { runs: this.runHistory.getRuns(query.limit) });
+          return;
+        case '/api/posts':
+          this.sendJson(res, 200, { posts: this.runHistory.getPosts(query) });
+          return;
+        case '/api/audit':
+          this.sendJson(res, 200, { audit: this.approvalService ? this.approvalService.getAuditTrail(query) : [] });
+          return;
+        case '/api/prompts':
+          this.sendJson(res, 200, { prompts: this.runHistory.getPromptStats() });
+          return;
+        case '/api/usage':
+          this.sendJson(res, 200, {
+            dailyBudget: this.config.ai.dailyBudget || null,
+            days: this.usageTracker ? this.usageTracker.getDays(query.limit) : []
+          });
+          return;
+        default:
+          this.sendJson(res, 404, { error: 'Not found' });
+      }
+    } catch (error) {
+      this.logger.error(`Dashboard request ${req.url} failed: ${error.message}`);
+      this.sendJson(res, 500, { error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Show an approval page, or carry out an approve/reject form submission
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   * @param {string} token - Approval token from the URL
+   * @param {string} action - approve, edit or reject
+   * @returns {Promise<void>}
+   */
+  async handleApproval(req, res, token, action) {
+    if (!this.approvalService.get(token)) {
+      this.send(res, 404, 'text/plain; charset=utf-8', 'Unknown or expired approval link');
+      return;
+    }
+
+    if (req.method === 'GET') {
+      this.send(res, 200, 'text/html; charset=utf-8', this.renderApproval(token, action));
+      return;
+    }
+
+    if (req.method !== 'POST' || action === 'edit') {
+      this.send(res, 405, 'text/plain; charset=utf-8', 'Method not allowed');
+      return;
+    }
+
+    const form = new URLSearchParams(await this.readBody(req));
+    const actor = this.getClientAddress(req);
+
+    let message;
+    try {
+      const approval = action === 'approve'
+        ? await this.approvalService.approve(token, form.get('reply'), actor)
+        : await this.approvalService.reject(token, actor);
+
+      message = approval.status === 'failed'
+        ? { type: 'error', text: `Posting to Reddit failed: ${approval.error}. You can try again.` }
+        : { type: 'ok', text: approval.status === 'posted' ? 'Reply posted to Reddit.' : 'Draft rejected.' };
+    } catch (error) {
+      message = { type: 'error', text: error.message };
+    }
+
+    this.send(res, 200, 'text/html; charset=utf-8', this.renderApproval(token, action, message, form.get('reply')));
+  }
+
+  /**
+   * Get the address of the client, for the audit trail. X-Forwarded-For can be
+   * set by anyone, so it is only used behind a trusted proxy, which appends
+   * the address it saw as the last entry.
+   * @param {http.IncomingMessage} req - Request
+   * @returns {string} - Client address
+   */
+  getClientAddress(req) {
+    const forwarded = this.config.dashboard.trustProxy && req.headers['x-forwarded-for'];
+    if (forwarded) {
+      return forwarded.split(',').pop().trim();
+    }
+    return req.socket.remoteAddress || 'unknown';
+  }
+
+  /**
+   * Read a request body
+   * @param {http.IncomingMessage} req - Request
+   * @returns {Promise<string>} - Body text
+   * @throws {Error} - If the body is larger than MAX_BODY_BYTES
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+          reject(new Error('Request body too large'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => resolve(body));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Render the approval page for a draft reply
+   * @param {string} token - Approval token
+   * @param {string} action - approve, edit or reject (the link that was followed)
+   * @param {Object} [message] - Result of a submission ({ type: ok|error, text })
+   * @param {string} [submittedReply] - Reply text from a failed submission, kept in the form
+   * @returns {string} - HTML page
+   */
+  renderApproval(token, action, message = null, submittedReply = null) {
+    const approval = this.approvalService.get(token);
+    const actionable = ['pending', 'failed'].includes(approval.status);
+
+    const history = this.approvalService.getAuditTrail({ token }).reverse().map(entry => renderTemplate(
+      '<li>{{at}} &middot; {{action}} by {{actor}}{{#error}} &middot; {{error}}{{/error}}</li>',
+      { ...entry, at: `${entry.at.replace('T', ' ').substring(0, 19)} UTC` }
+    )).join('\n');
+
+    return renderTemplate(APPROVAL_TEMPLATE, {
+      ...approval,
+      link: isHttpUrl(approval.link) ? approval.link : null,
+      heading: APPROVAL_HEADINGS[action],
+      message: message?.text,
+      messageType: message?.type,
+      reply: actionable ? submittedReply || approval.reply || approval.draft : approval.reply,
+      actionable,
+      focusReply: action === 'edit',
+      approveAction: `/approvals/${token}/approve`,
+      rejectAction: `/approvals/${token}/reject`,
+      commentLink: approval.comment?.permalink,
+      history
+    });
+  }
+
+  /**
+   * Check the request carries the configured token (if any)
+   * @param {http.IncomingMessage} req - Request
+   * @param {URL} url - Parsed request URL
+   * @returns {boolean} - True if the request may proceed
+   */
+  isAuthorized(req, url) {
+    const { token } = this.config.dashboard;
+    if (!token) {
+      return true;
+    }
+
+    const header = req.headers.authorization || '';
+    const given = Buffer.from(header.startsWith('Bearer ') ? header.substring(7) : url.searchParams.get('token') || '');
+    // Compared as bytes: a multibyte token can match in characters but not in bytes
+    const expected = Buffer.from(token);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+  }
+
+  /**
+   * Read the list filters from the query string
+   * @param {URL} url - Parsed request URL
+   * @returns {Object} - Query for RunHistory.getPosts
+   */
+  parseQuery(url) {
+    const params = url.searchParams;
+    const limit = parseInt(params.get('limit'), 10);
+    return {
+      limit: limit > 0 ? limit : undefined,
+      monitor: params.get('monitor') || undefined,
+      status: params.get('status') || undefined,
+      runId: params.get('run') || undefined,
+      promptVersion: params.get('prompt') || undefined
+    };
+  }
+
+  /**
+   * Render the HTML dashboard
+   * @param {Object} query - Post list filters
+   * @param {string|null} token - Token from the query string, carried over to links
+   * @returns {string} - HTML page
+   */
+  renderDashboard(query, token) {
+    const tokenParam = token ? `token=${encodeURIComponent(token)}` : '';
+    const tokenAmp = tokenParam ? `&${tokenParam}` : '';
+    const runs = this.runHistory.getRuns(20);
+    const posts = this.runHistory.getPosts({ ...query, limit: query.limit || 100 });
+
+    const runRows = runs.map(run => renderTemplate(RUN_ROW, {
+      ...run.counts,
+      id: run.id,
+      startedAt: `${run.startedAt.replace('T', ' ').substring(0, 19)} UTC`,
+      error: run.error,
+      monitors: run.monitors.join(', '),
+      feeds: run.feeds.map(feed => `${feed.source}${feed.backend === 'api' ? ' (api)' : ''}`).join(', '),
+      failedFeeds: run.feeds.filter(feed => !feed.success).map(feed => feed.source).join(', '),
+      tokenAmp
+    })).join('\n');
+
+    const postRows = posts.map(post => renderTemplate(POST_ROW, {
+      ...post,
+      source: post.source,
+      // Items from external feeds can carry any link; only web links are clickable
+      safeLink: isHttpUrl(post.link) ? post.link : null,
+      age: formatAge(post.pubDate),
+      monitorParam: encodeURIComponent(post.monitor),
+      aiDecision: post.ai ? (post.ai.shouldReply ? 'Reply' : 'No reply') : '',
+      aiAnalysis: post.ai ? describeAnalysis(post.ai) : null,
+      promptVersion: post.ai?.promptVersion,
+      promptParam: encodeURIComponent(post.ai?.promptVersion || ''),
+      aiReason: post.ai?.reason,
+      aiReply: post.ai?.reply,
+      notification: post.notification?.status,
+      channels: post.notification
+        ? Object.entries(post.notification.channels).map(([name, ok]) => `${name} ${ok ? 'ok' : 'failed'}`).join(', ')
+        : '',
+      tokenAmp
+    })).join('\n');
+
+    const filter = [
+      query.monitor && `monitor ${query.monitor}`,
+      query.status && `status ${query.status}`,
+      query.runId && `run ${query.runId}`,
+      query.promptVersion && `prompt ${query.promptVersion}`
+    ].filter(Boolean).join(', ');
+
+    return renderTemplate(DASHBOARD_TEMPLATE, {
+      summary: [
+        runs.length > 0 ? `Last run ${formatAge(runs[0].startedAt)}` : 'No runs yet',
+        this.usageTracker ? `AI usage today: ${this.usageTracker.describeToday()}` : null
+      ].filter(Boolean).join(' · '),
+      runs: runRows || '<tr><td colspan="9" class="muted">No runs yet</td></tr>',
+      posts: postRows || '<tr><td colspan="5" class="muted">No posts</td></tr>',
+      filter,
+      tokenParam,
+      tokenQuery: tokenParam ? `?${tokenParam}` : ''
+    });
+  }
+
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status code
+   * @param {Object} body - Response body
+   */
+  sendJson(res, status, body) {
+    this.send(res, status, 'application/json; charset=utf-8', JSON.stringify(body, null, 2));
+  }
+
+  /**
+   * Send a response
+   * @param {http.ServerResponse} res - Response
+   * @param {number} status - HTTP status code
+   * @param {string} contentType - Content-Type header
+   * @param {string} body - Response body
+   */
+  send(res, status, contentType, body) {
+    res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+    res.end(body);
+  }
+}
+
+export default DashboardServer;
@@ -0,0 +1,131 @@
+import EmailService from './emailService.js';
+import { compareByRelevance } from '../utils/relevance.js';
+import { getPostOrigin } from '../utils/sources.js';
+
+const DIGEST_NAMESPACE = 'digestQueue';
+// Body text kept per queued post - enough for the email excerpt
+const MAX_QUEUED_CONTENT = 1000;
+
+/**
+ * Collects posts for digest-mode recipients in the state store (so they
+ * survive restarts) and emails one summary per recipient on a schedule.
+ * Acts as a notifier: "delivering" a post means queueing it.
+ */
+class DigestService {
+  constructor(config, logger, store) {
+    this.name = 'digest';
+    this.config = config;
+    this.logger = logger;
+    this.store = store; // namespace 'digestQueue': recipient/feedKey/postId -> { recipient, monitor, post, queuedAt }
+    this.emailService = new EmailService(config, logger);
+  }
+
+  /**
+   * Check whether any monitor has digest recipients
+   * @returns {boolean} - True if digests need to be scheduled
+   */
+  isEnabled() {
+    return this.config.notifications.channels.includes('email')
+      && this.config.monitors.some(monitor => monitor.digestRecipients.length > 0);
+  }
+
+  /**
+   * Notifier interface - queue posts for the monitor's digest recipients
+   * @param {Object[]} posts - Posts to deliver
+   * @param {Object} context - Delivery context ({ monitor })
+   * @returns {Promise<boolean>} - True once the posts are safely queued
+   */
+  async send(posts, context = {}) {
+    const recipients = context.monitor?.digestRecipients || [];
+    if (recipients.length === 0) {
+      return true;
+    }
+
+    try {
+      const queuedAt = Date.now();
+      for (const recipient of recipients) {
+        for (const post of posts) {
+          this.store.set(DIGEST_NAMESPACE, `${recipient}/${post.feedKey}/${post.id}`, {
+            recipient,
+            monitor: context.monitor.name,
+            post: {
+              ...post,
+              fullContent: post.fullContent ? post.fullContent.substring(0, MAX_QUEUED_CONTENT) : post.fullContent,
+              content: undefined
+            },
+            queuedAt
+          });
+        }
+      }
+      await this.store.flush();
+
+      this.logger.info(`Queued ${posts.length} post(s) for the digest to ${recipients.join(', ')} (${this.getQueuedCount()} queued in total)`);
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to queue posts for digest: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Group posts by origin (subreddit, or feed for non-Reddit posts), most
+   * relevant first within each group. Groups are ordered by their most relevant post.
+   * @param {Object[]} posts - Posts to group
+   * @returns {Object[]} - Array of { origin, posts }
+   */
+  groupByOrigin(posts) {
+    const groups = new Map();
+    for (const post of [...posts].sort(compareByRelevance)) {
+      const origin = getPostOrigin(post);
+      if (!groups.has(origin)) {
+        groups.set(origin, []);
+      }
+      groups.get(origin).push(post);
+    }
+
+    return Array.from(groups.entries()).map(([origin, groupPosts]) => ({ origin, posts: groupPosts }));
+  }
+
+  /**
+   * Email every recipient the posts queued for them. Entries are removed only
+   * after their recipient's email went out, so failures are retried next time.
+   * @returns {Promise<void>}
+   */
+  async sendDigests() {
+    const byRecipient = new Map();
+    for (const [key, entry] of this.store.entries(DIGEST_NAMESPACE)) {
+      if (!byRecipient.has(entry.recipient)) {
+        byRecipient.set(entry.recipient, []);
+      }
+      byRecipient.get(entry.recipient).push({ key, post: entry.post });
+    }
+
+    if (byRecipient.size === 0) {
+      this.logger.info('Digest: nothing queued, no digest sent');
+      return;
+    }
+
+    for (const [recipient, entries] of byRecipient.entries()) {
+      // The same post can be queued by two monitors for one recipient
+      const uniquePosts = [...new Map(entries.map(entry => [entry.post.id, entry.post])).values()];
+      const sent = await this.emailService.sendDigest(recipient, this.groupByOrigin(uniquePosts));
+
+      if (sent) {
+        entries.forEach(entry => this.store.delete(DIGEST_NAMESPACE, entry.key));
+        await this.store.flush();
+      } else {
+        this.logger.error(`Digest to ${recipient} failed; ${entries.length} post(s) stay queued for the next digest`);
+      }
+    }
+  }
+
+  /**
+   * Get the number of queued digest entries
+   * @returns {number} - Number of queued entries
+   */
+  getQueuedCount() {
+    return this.store.count(DIGEST_NAMESPACE);
+  }
+}
+
+export default DigestService;
@@ -1,59 +1,251 @@
-import { MailerSend, EmailParams, Sender, Recipient } from 'mailersend';
+import MailerSendTransport from './emailTransports/mailerSendTransport.js';
+import SmtpTransport from './emailTransports/smtpTransport.js';
+import DryRunTransport from './emailTransports/dryRunTransport.js';
+import { renderTemplate } from '../utils/template.js';
+import { formatAge } from '../utils/dateUtils.js';
+import { getPostOrigin } from '../utils/sources.js';
+import { describeAnalysis } from '../utils/relevance.js';
+import { isHttpUrl } from '../utils/validation.js';
+
+// Characters of post body shown on each HTML card
+const EXCERPT_LENGTH = 300;
 
 class EmailService {
   constructor(config, logger) {
+    this.name = 'email';
     this.config = config;
     this.logger = logger;
-    this.mailerSend = new MailerSend({
-      apiKey: config.mailersend.apiToken
-    });
+    this.transport = EmailService.createTransport(config);
+  }
+
+  /**
+   * Build the transport selected in config; a dry run writes the emails out instead
+   * @param {Object} config - Application config
+   * @returns {MailerSendTransport|SmtpTransport|DryRunTransport} - Transport
+   */
+  static createTransport(config) {
+    if (config.dryRun.enabled) {
+      return new DryRunTransport(config);
+    }
+    return config.email.transport === 'smtp'
+      ? new SmtpTransport(config)
+      : new MailerSendTransport(config);
+  }
+
+  /**
+   * Format one post as plain text
+   * @param {Object} post - Post object
+   * @param {number} index - Position of the post in the email (0-based)
+   * @returns {string} - Formatted post
+   */
+  formatPostText(post, index) {
+    let postText = `${index + 1}.\n${getPostOrigin(post)}\n${post.title}${isHttpUrl(post.link) ? `\n${post.link}` : ''}`;
+
+    if (post.kind === 'comment') {
+      postText += `\n\n${post.author ? `u/${post.author}: ` : ''}${post.fullContent}`;
+    }
+
+    if (post.analysis || post.aiNote) {
+      postText += `\n\nAI: ${describeAnalysis(post) || post.aiNote}`;
+    }
+
+    // Check if AI decided to reply or not
+    if (post.shouldReply === false) {
+      // Relevant enough to notify, but the AI wouldn't reply
+      const reason = post.skipReason || 'Not relevant';
+      postText += `\n\nAI Decision: NO REPLY\nReason: ${reason}`;
+    } else if (post.aiReply) {
+      // AI generated a reply
+      postText += `\n\nAI Suggested Reply:\n${post.aiReply.split('\n').join('\n')}`;
+    }
+
+    if (post.approval) {
+      postText += `\n\nApprove: ${post.approval.approveUrl}\nEdit: ${post.approval.editUrl}\nReject: ${post.approval.rejectUrl}`;
+    }
+
+    return postText;
+  }
+
+  /**
+   * Describe a batch of posts for the email heading
+   * @param {Object[]} posts - Posts (or comments) in the email
+   * @param {string} event - new_posts, or new_comments for comments on watched threads
+   * @returns {string} - e.g. "You have 3 new Reddit posts"
+   */
+  getHeading(posts, event) {
+    const plural = posts.length > 1 ? 's' : '';
+    return event === 'new_comments'
+      ? `You have ${posts.length} new comment${plural} on watched threads`
+      : `You have ${posts.length} new Reddit post${plural}`;
   }
 
   /**
    * Format posts into plain text email body
    * @param {Object[]} posts - Array of post objects
+   * @param {string} event - new_posts or new_comments
    * @returns {string} - Formatted email body
    */
-  formatEmailBody(posts) {
-    const header = `You have ${posts.length} new Reddit post${posts.length > 1 ? 's' : ''}:\n\n`;
-
-    const postsList = posts.map((post, index) => {
-      let postText = `${index + 1}.\nr/${post.subreddit}\n${post.title}\n${post.link}`;
-
-      // Check if AI decided to reply or skip
-      if (post.shouldReply === false) {
-        // AI decided to skip this post
-        const reason = post.skipReason || 'Not relevant';
-        postText += `\n\nAI Decision: SKIP\nReason: ${reason}`;
-      } else if (post.aiReply) {
-        // AI generated a reply
-        postText += `\n\nAI Suggested Reply:\n${post.aiReply.split('\n').join('\n')}`;
-      }
+  formatEmailBody(posts, event = 'new_posts') {
+    const header = `${this.getHeading(posts, event)}:\n\n`;
 
-      return postText;
-    }).join('\n\n');
+    const postsList = posts.map((post, index) => this.formatPostText(post, index)).join('\n\n');
 
     const footer = `\n\n---\nReddit RSS Monitor`;
 
     return header + postsList + footer;
   }
 
+  /**
+   * Format a digest into plain text email body
+   * @param {Object[]} groups - Posts grouped by origin: [{ origin, posts }]
+   * @param {number} total - Total number of posts in the digest
+   * @returns {string} - Formatted email body
+   */
+  formatDigestBody(groups, total) {
+    const header = `Your Reddit digest: ${total} post${total > 1 ? 's' : ''} from ${groups.length} source${groups.length > 1 ? 's' : ''}\n\n`;
+
+    const sections = groups.map(group => {
+      const postsList = group.posts.map((post, index) => this.formatPostText(post, index)).join('\n\n');
+      return `== ${group.origin} (${group.posts.length}) ==\n\n${postsList}`;
+    }).join('\n\n');
+
+    const footer = `\n\n---\nReddit RSS Monitor`;
+
+    return header + sections + footer;
+  }
+
+  /**
+   * Build the template values for one post card
+   * @param {Object} post - Post object
+   * @returns {Object} - Values for the post template
+   */
+  getPostTemplateValues(post) {
+    const body = (post.fullContent || post.contentSnippet || '').trim().replace(/\s+/g, ' ');
+    const excerpt = body.length > EXCERPT_LENGTH ? `${body.substring(0, EXCERPT_LENGTH)}…` : body;
+
+    let decision = null;
+    if (post.shouldReply === true) {
+      decision = 'REPLY';
+    } else if (post.shouldReply === false) {
+      decision = 'NO REPLY';
+    }
+
+    return {
+      origin: getPostOrigin(post),
+      subreddit: post.subreddit,
+      title: post.title,
+      // External feeds can supply any link; only web links are used
+      link: isHttpUrl(post.link) ? post.link : null,
+      author: post.author,
+      flair: post.flair,
+      age: post.pubDate ? formatAge(post.pubDate) : '',
+      excerpt,
+      decision,
+      analysis: describeAnalysis(post) || post.aiNote,
+      reason: post.shouldReply === false ? post.skipReason || 'Not relevant' : null,
+      reply: post.aiReply,
+      approveUrl: post.approval?.approveUrl,
+      editUrl: post.approval?.editUrl,
+      rejectUrl: post.approval?.rejectUrl
+    };
+  }
+
+  /**
+   * Format posts into an HTML email body using the email templates
+   * @param {Object[]} posts - Array of post objects
+   * @param {Object} monitor - Monitor the posts came from (optional)
+   * @param {string} event - new_posts or new_comments
+   * @returns {string} - HTML email body
+   */
+  formatEmailHtml(posts, monitor = null, event = 'new_posts') {
+    const { templates } = this.config.email;
+    const cards = posts.map(post => renderTemplate(templates.post, this.getPostTemplateValues(post))).join('\n');
+
+    return renderTemplate(templates.layout, {
+      heading: this.getHeading(posts, event),
+      count: posts.length,
+      monitor: monitor && monitor.name !== 'default' ? monitor.name : null,
+      posts: cards
+    });
+  }
+
+  /**
+   * Format a digest into an HTML email body using the email templates
+   * @param {Object[]} groups - Posts grouped by origin: [{ origin, posts }]
+   * @param {number} total - Total number of posts in the digest
+   * @returns {string} - HTML email body
+   */
+  formatDigestHtml(groups, total) {
+    const { templates } = this.config.email;
+
+    const sections = groups.map(group => renderTemplate(templates.digestSection, {
+      origin: group.origin,
+      subreddit: group.posts[0].subreddit,
+      count: group.posts.length,
+      posts: group.posts.map(post => renderTemplate(templates.post, this.getPostTemplateValues(post))).join('\n')
+    })).join('\n');
+
+    return renderTemplate(templates.layout, {
+      heading: `Your Reddit digest: ${total} post${total > 1 ? 's' : ''}`,
+      count: total,
+      monitor: null,
+      posts: sections
+    });
+  }
+
+  /**
+   * Send one email through the configured transport, logging any failure
+   * @param {Object} message - Message with to, subject, text and html
+   * @returns {Promise<boolean>} - True if email sent successfully
+   */
+  async deliver({ to, subject, text, html }) {
+    try {
+      // Prefix with [dev] if in development mode
+      const fullSubject = this.config.env.isDevelopment ? `[dev] ${subject}` : subject;
+
+      await this.transport.send({
+        from: { email: this.config.email.fromEmail, name: this.config.email.fromName },
+        to,
+        subject: fullSubject,
+        text,
+        html
+      });
+
+      this.logger.info('Email sent successfully');
+      return true;
+
+    } catch (error) {
+      this.logger.error(`Failed to send email: ${error.message}`);
+      if (error.body) {
+        // Logged as is: JSON in the json format, one JSON.stringify in the text format
+        this.logger.error('Error details:', error.body);
+      }
+      if (error.response) {
+        this.logger.error(`SMTP response: ${error.response}`);
+      }
+      return false;
+    }
+  }
+
   /**
    * Send email notification with new posts
    * @param {Object[]} posts - Array of new posts
+   * @param {string[]} recipients - Email addresses to notify (defaults to TO_EMAIL)
+   * @param {Object} monitor - Monitor the posts came from (optional, shown in the HTML email)
+   * @param {string} event - new_posts, or new_comments for comments on watched threads
    * @returns {Promise<boolean>} - True if email sent successfully
    */
-  async sendNotification(posts) {
+  async sendNotification(posts, recipients = [this.config.email.toEmail], monitor = null, event = 'new_posts') {
     if (!posts || posts.length === 0) {
       this.logger.debug('No posts to send, skipping email');
       return false;
     }
 
-    // Filter out posts that AI decided to skip
-    const postsToEmail = posts.filter(post => post.shouldReply !== false);
+    // Filter out posts below the relevance threshold
+    const postsToEmail = posts.filter(post => !post.skipped);
 
     if (postsToEmail.length === 0) {
-      this.logger.info('All posts were skipped by AI, no email sent');
+      this.logger.info('All posts were below the relevance threshold, no email sent');
       return false;
     }
 
@@ -62,47 +254,62 @@ class EmailService {
       this.logger.info(`Filtered out ${skippedCount} skipped post(s), sending ${postsToEmail.length} post(s)`);
     }
 
-    try {
-      const sentFrom = new Sender(
-        this.config.email.fromEmail,
-        this.config.email.fromName
-      );
-
-      const recipients = [
-        new Recipient(this.config.email.toEmail)
-      ];
-
-      let subject = postsToEmail.length === 1
-        ? `New Reddit post from r/${postsToEmail[0].subreddit}`
+    let subject;
+    if (event === 'new_comments') {
+      subject = postsToEmail.length === 1
+        ? `New comment in ${getPostOrigin(postsToEmail[0])}`
+        : `${postsToEmail.length} new comments on watched threads`;
+    } else {
+      subject = postsToEmail.length === 1
+        ? `New Reddit post from ${getPostOrigin(postsToEmail[0])}`
         : `${postsToEmail.length} new Reddit posts`;
+    }
 
-      // Prefix with [dev] if in development mode
-      if (this.config.env.isDevelopment) {
-        subject = `[dev] ${subject}`;
-      }
+    this.logger.info(`Sending email notification for ${postsToEmail.length} post(s) to ${recipients.join(', ')} via ${this.transport.name}...`);
 
-      const emailBody = this.formatEmailBody(postsToEmail);
+    return this.deliver({
+      to: recipients,
+      subject,
+      text: this.formatEmailBody(postsToEmail, event),
+      html: this.formatEmailHtml(postsToEmail, monitor, event)
+    });
+  }
 
-      const emailParams = new EmailParams()
-        .setFrom(sentFrom)
-        .setTo(recipients)
-        .setSubject(subject)
-        .setText(emailBody);
+  /**
+   * Send a digest email to one recipient
+   * @param {string} recipient - Email address
+   * @param {Object[]} groups - Posts grouped by origin: [{ origin, posts }]
+   * @returns {Promise<boolean>} - True if email sent successfully
+   */
+  async sendDigest(recipient, groups) {
+    const total = groups.reduce((sum, group) => sum + group.posts.length, 0);
 
-      this.logger.info(`Sending email notification for ${postsToEmail.length} post(s)...`);
+    this.logger.info(`Sending digest of ${total} post(s) to ${recipient} via ${this.transport.name}...`);
 
-      await this.mailerSend.email.send(emailParams);
+    return this.deliver({
+      to: [recipient],
+      subject: `Reddit digest: ${total} post${total > 1 ? 's' : ''} from ${groups.map(group => group.origin).join(', ')}`,
+      text: this.formatDigestBody(groups, total),
+      html: this.formatDigestHtml(groups, total)
+    });
+  }
 
-      this.logger.info('Email sent successfully');
-      return true;
+  /**
+   * Notifier interface - email the posts to the monitor's recipients
+   * @param {Object[]} posts - Posts to deliver
+   * @param {Object} context - Delivery context ({ monitor, event })
+   * @returns {Promise<boolean>} - True if email sent successfully
+   */
+  async send(posts, context = {}) {
+    const recipients = context.monitor ? context.monitor.recipients : [this.config.email.toEmail];
 
-    } catch (error) {
-      this.logger.error(`Failed to send email: ${error.message}`);
-      if (error.body) {
-        this.logger.error('Error details:', JSON.stringify(error.body));
-      }
-      return false;
+    // Monitors whose recipients all use digest mode have nothing to send right away
+    if (recipients.length === 0) {
+      this.logger.debug('No real-time email recipients, skipping email');
+      return true;
     }
+
+    return this.sendNotification(posts, recipients, context.monitor, context.event);
   }
 }
 
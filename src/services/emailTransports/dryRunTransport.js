@@ -0,0 +1,22 @@
+import { writeDryRunMessage } from '../../utils/dryRun.js';
+
+/**
+ * Writes emails to stdout or the dry-run output file instead of sending them
+ */
+class DryRunTransport {
+  constructor(config) {
+    this.name = 'dry-run';
+    this.outputFile = config.dryRun.outputFile;
+  }
+
+  /**
+   * "Send" one email
+   * @param {Object} message - Message to send ({ from, to, subject, text, html })
+   * @returns {Promise<void>}
+   */
+  async send(message) {
+    await writeDryRunMessage(this.outputFile, 'email', message);
+  }
+}
+
+export default DryRunTransport;
@@ -0,0 +1,54 @@
+import { MailerSend, EmailParams, Sender, Recipient } from 'mailersend';
+
+/**
+ * Sends email through the MailerSend API
+ */
+class MailerSendTransport {
+  constructor(config) {
+    this.name = 'mailersend';
+    this.mailerSend = new MailerSend({
+      apiKey: config.mailersend.apiToken
+    });
+    // The SDK has no base URL option; its email module reads this on every request
+    this.mailerSend.email.baseUrl = config.mailersend.baseUrl;
+  }
+
+  /**
+   * Send one email
+   * @param {Object} message - Message to send
+   * @param {{email: string, name: string}} message.from - Sender
+   * @param {string[]} message.to - Recipient addresses
+   * @param {string} message.subject - Subject line
+   * @param {string} message.text - Plain-text body
+   * @param {string} message.html - HTML body (optional)
+   * @returns {Promise<void>}
+   * @throws {Error} - If MailerSend rejects the message (HTTP status in error.status,
+   *   response in error.body)
+   */
+  async send({ from, to, subject, text, html }) {
+    const emailParams = new EmailParams()
+      .setFrom(new Sender(from.email, from.name))
+      .setTo(to.map(email => new Recipient(email)))
+      .setSubject(subject)
+      .setText(text);
+
+    if (html) {
+      emailParams.setHtml(html);
+    }
+
+    try {
+      await this.mailerSend.email.send(emailParams);
+    } catch (error) {
+      // The SDK rejects with a plain { statusCode, body, headers } object for HTTP errors
+      if (error instanceof Error) {
+        throw error;
+      }
+      const httpError = new Error(`MailerSend returned HTTP ${error?.statusCode}`);
+      httpError.status = error?.statusCode;
+      httpError.body = error?.body;
+      throw httpError;
+    }
+  }
+}
+
+export default MailerSendTransport;
@@ -0,0 +1,44 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * Sends email through an SMTP server (corporate relay, local mail catcher, ...)
+ */
+class SmtpTransport {
+  constructor(config) {
+    const { smtp } = config;
+    this.name = 'smtp';
+    this.transporter = nodemailer.createTransport({
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure, // true = TLS from the start (port 465), false = optional STARTTLS
+      requireTLS: smtp.requireTls,
+      auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+      tls: {
+        rejectUnauthorized: smtp.tlsRejectUnauthorized
+      }
+    });
+  }
+
+  /**
+   * Send one email
+   * @param {Object} message - Message to send
+   * @param {{email: string, name: string}} message.from - Sender
+   * @param {string[]} message.to - Recipient addresses
+   * @param {string} message.subject - Subject line
+   * @param {string} message.text - Plain-text body
+   * @param {string} message.html - HTML body (optional)
+   * @returns {Promise<void>}
+   * @throws {Error} - If the server rejects the message (SMTP reply in error.response)
+   */
+  async send({ from, to, subject, text, html }) {
+    await this.transporter.sendMail({
+      from: { address: from.email, name: from.name },
+      to,
+      subject,
+      text,
+      html
+    });
+  }
+}
+
+export default SmtpTransport;
@@ -0,0 +1,138 @@
+import { escapeRegex, parseRegex } from '../utils/validation.js';
+
+/**
+ * Rule engine that decides which new posts are worth sending to AI analysis.
+ * Exclude rules are checked first; if any include rules exist, a post must
+ * match at least one of them. Global rules apply to every monitor.
+ */
+class FilterService {
+  constructor(config, logger) {
+    this.logger = logger;
+    this.globalRules = this.compileRules(config.filters.rules, 'global');
+    this.monitorRules = new Map(); // Map<monitorName, compiled rules>
+  }
+
+  /**
+   * Precompile the keyword and regex matchers of a rule list
+   * @param {Object[]} rules - Normalized rules from config
+   * @param {string} scope - "global" or the monitor name, used in log labels
+   * @returns {Object[]} - Compiled rules
+   */
+  compileRules(rules, scope) {
+    return rules.map(rule => ({
+      ...rule,
+      label: `${scope}/${rule.name}`,
+      // Keywords match whole words only, so "art" doesn't match "start"
+      keywordMatchers: rule.keywords.map(keyword => new RegExp(`(?<!\\w)${escapeRegex(keyword)}(?!\\w)`, 'i')),
+      regexMatchers: rule.regex.map(parseRegex)
+    }));
+  }
+
+  /**
+   * Get the rules that apply to a monitor (global rules first)
+   * @param {Object} monitor - Monitor config
+   * @returns {Object[]} - Compiled rules
+   */
+  rulesFor(monitor) {
+    if (!this.monitorRules.has(monitor.name)) {
+      this.monitorRules.set(monitor.name, this.compileRules(monitor.filters.rules, monitor.name));
+    }
+    return [...this.globalRules, ...this.monitorRules.get(monitor.name)];
+  }
+
+  /**
+   * Get the body text of a post
+   * @param {Object} post - Post object
+   * @returns {string} - Full content, falling back to the RSS snippet
+   */
+  getBody(post) {
+    return post.fullContent || post.contentSnippet || '';
+  }
+
+  /**
+   * Check whether a post satisfies every condition of a rule
+   * @param {Object} rule - Compiled rule
+   * @param {Object} post - Post object with title, fullContent and flair
+   * @returns {boolean} - True if all conditions match
+   */
+  matchesRule(rule, post) {
+    const texts = rule.fields.map(field => (field === 'title' ? post.title || '' : this.getBody(post)));
+    const matchesAnyText = matcher => texts.some(text => matcher.test(text));
+
+    if (rule.keywordMatchers.length > 0 && !rule.keywordMatchers.some(matchesAnyText)) {
+      return false;
+    }
+
+    if (rule.regexMatchers.length > 0 && !rule.regexMatchers.some(matchesAnyText)) {
+      return false;
+    }
+
+    if (rule.flair.length > 0) {
+      const flair = (post.flair || '').trim().toLowerCase();
+      if (!rule.flair.some(value => value.trim().toLowerCase() === flair)) {
+        return false;
+      }
+    }
+
+    const bodyLength = this.getBody(post).trim().length;
+    if (rule.minBodyLength !== null && bodyLength < rule.minBodyLength) {
+      return false;
+    }
+    if (rule.maxBodyLength !== null && bodyLength > rule.maxBodyLength) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Decide whether a post should go on to AI analysis
+   * @param {Object} post - Post object
+   * @param {Object} monitor - Monitor config the post belongs to
+   * @returns {{accepted: boolean, rule: string}} - Decision and the rule (or default) behind it
+   */
+  evaluate(post, monitor) {
+    const rules = this.rulesFor(monitor);
+
+    const excludeRule = rules.find(rule => rule.action === 'exclude' && this.matchesRule(rule, post));
+    if (excludeRule) {
+      return { accepted: false, rule: excludeRule.label };
+    }
+
+    const includeRules = rules.filter(rule => rule.action === 'include');
+    if (includeRules.length === 0) {
+      return { accepted: true, rule: 'default (no include rules)' };
+    }
+
+    const includeRule = includeRules.find(rule => this.matchesRule(rule, post));
+    if (includeRule) {
+      return { accepted: true, rule: includeRule.label };
+    }
+
+    return { accepted: false, rule: 'default (no include rule matched)' };
+  }
+
+  /**
+   * Split posts into accepted and rejected, logging the rule behind each decision
+   * @param {Object[]} posts - Posts to filter
+   * @param {Object} monitor - Monitor config the posts belong to
+   * @returns {{accepted: Object[], rejected: Object[]}} - Posts split by decision
+   */
+  applyFilters(posts, monitor) {
+    const accepted = [];
+    const rejected = [];
+
+    for (const post of posts) {
+      const decision = this.evaluate(post, monitor);
+      const title = post.title && post.title.length > 60 ? `${post.title.substring(0, 60)}...` : post.title;
+      this.logger.child({ postId: post.id, subreddit: post.subreddit, rule: decision.rule })
+        .info(`[${monitor.name}] Filter ${decision.accepted ? 'ACCEPT' : 'REJECT'} ${post.id} by ${decision.rule}: "${title}"`);
+
+      (decision.accepted ? accepted : rejected).push({ ...post, filterRule: decision.rule });
+    }
+
+    return { accepted, rejected };
+  }
+}
+
+export default FilterService;
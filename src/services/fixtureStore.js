@@ -0,0 +1,90 @@
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+
+/**
+ * Saved responses from Reddit, for replaying a check without the network.
+ * In record mode every successful response of the shared HTTP client is
+ * written to the fixtures directory, one JSON file per URL
+ * ({ url, status, headers, recordedAt, body }); in replay mode requests
+ * are answered from those files and nothing is fetched.
+ */
+class FixtureStore {
+  /**
+   * @param {Object} options - Fixture settings (config.fixtures)
+   * @param {string} options.mode - record or replay
+   * @param {string} options.dir - Fixtures directory
+   * @param {Object} logger - Logger instance
+   */
+  constructor(options, logger) {
+    this.mode = options.mode;
+    this.dir = options.dir;
+    this.logger = logger;
+  }
+
+  /**
+   * Check whether requests are answered from fixtures
+   * @returns {boolean} - True in replay mode
+   */
+  isReplaying() {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Get the fixture file for a URL: a readable name plus a hash of the full URL
+   * @param {string} url - Request URL
+   * @returns {string} - File path
+   */
+  getPath(url) {
+    const { host, pathname } = new URL(url);
+    const name = `${host}${pathname}`.replace(/[^a-zA-Z0-9.]+/g, '_').replace(/^_+|_+$/g, '').substring(0, 80);
+    const hash = createHash('sha256').update(url).digest('hex').substring(0, 10);
+    return path.join(this.dir, `${name}-${hash}.json`);
+  }
+
+  /**
+   * Answer a request from its fixture
+   * @param {string} url - Request URL
+   * @returns {Promise<Response>} - Recorded response
+   * @throws {Error} - If no fixture was recorded for the URL
+   */
+  async replay(url) {
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.promises.readFile(this.getPath(url), 'utf8'));
+    } catch (error) {
+      throw new Error(error.code === 'ENOENT'
+        ? `no fixture recorded for ${url} in ${this.dir}`
+        : `unreadable fixture for ${url}: ${error.message}`);
+    }
+
+    this.logger.debug(`Fixtures: replaying ${url}`);
+    return new Response(fixture.body, { status: fixture.status, headers: fixture.headers });
+  }
+
+  /**
+   * Save a response as the fixture for its URL. The body is read, so a copy
+   * of the response is returned for the caller to use instead.
+   * @param {string} url - Request URL
+   * @param {Response} response - Successful response
+   * @returns {Promise<Response>} - Response with the same status, headers and body
+   *   (callers read ETag, Last-Modified and rate-limit headers from it)
+   */
+  async record(url, response) {
+    const body = await response.text();
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(this.getPath(url), JSON.stringify({
+      url,
+      status: response.status,
+      headers: Object.fromEntries(response.headers),
+      recordedAt: new Date().toISOString(),
+      body
+    }, null, 2));
+    this.logger.debug(`Fixtures: recorded ${url}`);
+
+    return new Response(body, { status: response.status, headers: response.headers });
+  }
+}
+
+export default FixtureStore;
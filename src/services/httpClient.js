@@ -0,0 +1,239 @@
+import { createLimiter, sleep } from '../utils/concurrency.js';
+
+// Retry-After waits longer than this aren't worth holding a check for
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+// Status codes worth retrying (timeouts, rate limits, server errors)
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Shared HTTP client for requests to Reddit. It provides:
+ *   - bounded concurrency across all requests
+ *   - retries with jittered exponential backoff for network errors, 429s and 5xx
+ *   - Retry-After and x-ratelimit-* headers: a host that says it's out of
+ *     budget is paused until its window resets
+ *   - a per-host budget of requests per minute
+ *   - a circuit breaker per key (e.g. a subreddit) that pauses a feed after
+ *     repeated failed checks
+ *   - optional fixtures: successful responses recorded to disk, or requests
+ *     answered from them without touching the network
+ */
+class HttpClient {
+  /**
+   * @param {Object} options - Client settings (config.http)
+   * @param {number} options.concurrency - Requests in flight at once
+   * @param {number} options.maxRetries - Retries after the first attempt
+   * @param {number} options.retryBaseMs - Backoff before the first retry (doubles each retry)
+   * @param {number} options.retryMaxMs - Longest backoff between retries
+   * @param {number} options.timeoutMs - Timeout per attempt
+   * @param {number} options.hostBudgetPerMinute - Requests per host per minute
+   * @param {number} options.breakerThreshold - Consecutive failures that open a circuit
+   * @param {number} options.breakerCooldownMinutes - How long an open circuit pauses its key
+   * @param {Object} logger - Logger instance
+   * @param {Object} collaborators - Optional collaborators
+   * @param {Object} collaborators.fixtures - Fixture store that records or replays responses
+   */
+  constructor(options, logger, { fixtures = null } = {}) {
+    this.options = options;
+    this.logger = logger;
+    this.fixtures = fixtures;
+    this.limit = createLimiter(options.concurrency);
+    this.hosts = new Map(); // host -> { requests: timestamps in the last minute, pausedUntil }
+    this.circuits = new Map(); // key -> { failures, openUntil }
+  }
+
+  /**
+   * Get the rate-limit state for a host
+   * @param {string} host - Host name
+   * @returns {{requests: number[], pausedUntil: number}} - Host state
+   */
+  getHost(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, { requests: [], pausedUntil: 0 });
+    }
+    return this.hosts.get(host);
+  }
+
+  /**
+   * Wait until the host may receive another request, then count it against the budget
+   * @param {string} host - Host name
+   * @returns {Promise<void>}
+   */
+  async acquireHostSlot(host) {
+    const state = this.getHost(host);
+
+    for (;;) {
+      const now = Date.now();
+      state.requests = state.requests.filter(time => now - time < 60 * 1000);
+
+      let waitMs = Math.max(0, state.pausedUntil - now);
+      if (waitMs === 0 && state.requests.length >= this.options.hostBudgetPerMinute) {
+        waitMs = state.requests[0] + 60 * 1000 - now;
+      }
+
+      if (waitMs <= 0) {
+        state.requests.push(now);
+        return;
+      }
+
+      this.logger.debug(`HTTP: waiting ${Math.ceil(waitMs / 1000)}s for the ${host} request budget`);
+      await sleep(waitMs);
+    }
+  }
+
+  /**
+   * Read Retry-After and x-ratelimit-* headers. If the host says its budget is
+   * spent, pause it until the window resets.
+   * @param {string} host - Host name
+   * @param {Response} response - Response to inspect
+   * @returns {number|null} - Milliseconds the server asked us to wait, if any
+   */
+  applyRateLimitHeaders(host, response) {
+    let waitMs = null;
+
+    // Retry-After is either a number of seconds or an HTTP date
+    const retryAfter = response.headers.get('retry-after');
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const ms = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+      waitMs = Number.isNaN(ms) ? null : Math.max(0, ms);
+    }
+
+    const remaining = parseFloat(response.headers.get('x-ratelimit-remaining'));
+    const reset = parseFloat(response.headers.get('x-ratelimit-reset'));
+    if (remaining < 1 && reset >= 0) {
+      waitMs = Math.max(waitMs || 0, reset * 1000);
+    }
+
+    if (waitMs !== null && waitMs > 0) {
+      const state = this.getHost(host);
+      state.pausedUntil = Math.max(state.pausedUntil, Date.now() + waitMs);
+      this.logger.info(`HTTP: ${host} rate limit reached, pausing requests for ${Math.ceil(waitMs / 1000)}s`);
+    }
+
+    return waitMs;
+  }
+
+  /**
+   * Calculate a backoff with "full jitter": a random wait up to the
+   * exponential delay for this retry
+   * @param {number} retry - Retry number (1 for the first retry)
+   * @returns {number} - Delay in milliseconds
+   */
+  getBackoff(retry) {
+    const ceiling = Math.min(this.options.retryBaseMs * 2 ** (retry - 1), this.options.retryMaxMs);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Make a request, retrying failures that are likely temporary
+   * @param {string} url - URL to request
+   * @param {Object} init - fetch options
+   * @param {Object} options - Request options
+   * @param {number} options.retries - Override the number of retries (0 for non-idempotent requests)
+   * @returns {Promise<Response>} - Successful (2xx) or 304 Not Modified response
+   * @throws {Error} - With status (if any) and attempts properties, once retries are exhausted
+   */
+  async request(url, init = {}, { retries = this.options.maxRetries } = {}) {
+    if (this.fixtures && this.fixtures.isReplaying()) {
+      return this.fixtures.replay(url);
+    }
+
+    const host = new URL(url).host;
+    let lastError = null;
+    let attempts = 0;
+
+    while (attempts <= retries) {
+      attempts++;
+      await this.acquireHostSlot(host);
+
+      let response;
+      try {
+        response = await this.limit(() => fetch(url, {
+          ...init,
+          signal: AbortSignal.timeout(this.options.timeoutMs)
+        }));
+      } catch (error) {
+        lastError = new Error(error.name === 'TimeoutError'
+          ? `timed out after ${this.options.timeoutMs}ms`
+          : `network error: ${error.message}`);
+      }
+
+      if (response) {
+        const serverWaitMs = this.applyRateLimitHeaders(host, response);
+        // 304 only comes back for conditional requests, which expect it
+        if (response.ok && this.fixtures) {
+          return this.fixtures.record(url, response);
+        }
+        if (response.ok || response.status === 304) {
+          return response;
+        }
+
+        const body = await response.text().catch(() => '');
+        lastError = new Error(`HTTP ${response.status}${body ? `: ${body.substring(0, 200).trim()}` : ''}`);
+        lastError.status = response.status;
+
+        if (!RETRYABLE_STATUSES.includes(response.status)) {
+          break;
+        }
+        if (serverWaitMs !== null && serverWaitMs > MAX_RETRY_AFTER_MS) {
+          lastError.message += ` (server asked to wait ${Math.ceil(serverWaitMs / 1000)}s)`;
+          break;
+        }
+      }
+
+      if (attempts <= retries) {
+        // A rate-limited host is already paused; the backoff only adds jitter
+        const delay = this.getBackoff(attempts);
+        this.logger.debug(`HTTP: ${url} failed (${lastError.message}), retry ${attempts}/${retries} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+
+    lastError.attempts = attempts;
+    lastError.message += ` (after ${attempts} attempt${attempts > 1 ? 's' : ''})`;
+    throw lastError;
+  }
+
+  /**
+   * Check whether a key's circuit is open
+   * @param {string} key - Circuit key (e.g. r/subreddit)
+   * @returns {number|null} - Time the circuit closes again (ms), or null if requests may go ahead
+   */
+  getCircuitOpenUntil(key) {
+    const circuit = this.circuits.get(key);
+    if (!circuit || circuit.openUntil <= Date.now()) {
+      // After the cooldown one trial request goes through ("half-open")
+      return null;
+    }
+    return circuit.openUntil;
+  }
+
+  /**
+   * Record the outcome of a check for a circuit key. After breakerThreshold
+   * consecutive failures the circuit opens for the cooldown; a failure right
+   * after a cooldown reopens it immediately.
+   * @param {string} key - Circuit key (e.g. r/subreddit)
+   * @param {boolean} success - Whether the check succeeded
+   */
+  recordResult(key, success) {
+    if (success) {
+      if (this.circuits.get(key)?.openUntil) {
+        this.logger.info(`HTTP: ${key} recovered, circuit closed`);
+      }
+      this.circuits.delete(key);
+      return;
+    }
+
+    const circuit = this.circuits.get(key) || { failures: 0, openUntil: 0 };
+    circuit.failures++;
+
+    if (circuit.failures >= this.options.breakerThreshold) {
+      circuit.openUntil = Date.now() + this.options.breakerCooldownMinutes * 60 * 1000;
+      this.logger.error(`HTTP: ${key} failed ${circuit.failures} times in a row, pausing it until ${new Date(circuit.openUntil).toISOString()}`);
+    }
+
+    this.circuits.set(key, circuit);
+  }
+}
+
+export default HttpClient;
@@ -0,0 +1,69 @@
+// API version sent with every request
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Claude models through the Anthropic Messages API
+ */
+class AnthropicProvider {
+  /**
+   * @param {Object} settings - Provider settings (config.ai.anthropic)
+   * @param {number} timeoutMs - Request timeout
+   */
+  constructor(settings, timeoutMs) {
+    this.name = 'anthropic';
+    this.apiKey = settings.apiKey;
+    this.model = settings.model;
+    this.baseUrl = settings.baseUrl;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Run one chat completion
+   * @param {Object} request - Completion request
+   * @param {string} request.system - System prompt
+   * @param {string} request.user - User message
+   * @param {number} request.maxTokens - Maximum length of the answer
+   * @param {number} request.temperature - Sampling temperature
+   * @returns {Promise<{text: string, usage: Object}>} - Text of the answer and its
+   *   token usage ({ promptTokens, completionTokens })
+   * @throws {Error} - If the request fails (HTTP status in error.status)
+   */
+  async complete({ system, user, maxTokens, temperature }) {
+    const response = await fetch(`${this.baseUrl}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION
+      },
+      body: JSON.stringify({
+        model: this.model,
+        system,
+        messages: [{ role: 'user', content: user }],
+        max_tokens: maxTokens,
+        temperature
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(`Anthropic API error: HTTP ${response.status}${data.error?.message ? ` (${data.error.message})` : ''}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return {
+      text: (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      usage: {
+        promptTokens: data.usage?.input_tokens || 0,
+        completionTokens: data.usage?.output_tokens || 0
+      }
+    };
+  }
+}
+
+export default AnthropicProvider;
@@ -0,0 +1,61 @@
+/**
+ * Local models served by Ollama, through its chat endpoint in JSON mode
+ */
+class OllamaProvider {
+  /**
+   * @param {Object} settings - Provider settings (config.ai.ollama)
+   * @param {number} timeoutMs - Request timeout
+   */
+  constructor(settings, timeoutMs) {
+    this.name = 'ollama';
+    this.model = settings.model;
+    this.baseUrl = settings.baseUrl;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Run one chat completion
+   * @param {Object} request - Completion request
+   * @param {string} request.system - System prompt
+   * @param {string} request.user - User message
+   * @param {number} request.maxTokens - Maximum length of the answer
+   * @param {number} request.temperature - Sampling temperature
+   * @returns {Promise<{text: string, usage: Object}>} - Text of the answer and its
+   *   token usage ({ promptTokens, completionTokens })
+   * @throws {Error} - If the request fails (HTTP status in error.status)
+   */
+  async complete({ system, user, maxTokens, temperature }) {
+    const response = await fetch(`${this.baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: this.model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: user }
+        ],
+        format: 'json',
+        stream: false,
+        options: { num_predict: maxTokens, temperature }
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const error = new Error(`Ollama error: HTTP ${response.status}${data.error ? ` (${data.error})` : ''}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return {
+      text: data.message?.content || '',
+      usage: {
+        promptTokens: data.prompt_eval_count || 0,
+        completionTokens: data.eval_count || 0
+      }
+    };
+  }
+}
+
+export default OllamaProvider;
@@ -0,0 +1,61 @@
+import OpenAI from 'openai';
+
+/**
+ * Chat completions through the OpenAI API, or any server that speaks the same
+ * protocol (vLLM, LM Studio, ...) when a base URL is configured.
+ */
+class OpenAIProvider {
+  /**
+   * @param {Object} settings - Provider settings (config.ai.openai)
+   * @param {number} timeoutMs - Request timeout
+   */
+  constructor(settings, timeoutMs) {
+    this.name = settings.baseUrl ? `openai-compatible (${settings.baseUrl})` : 'openai';
+    this.model = settings.model;
+    // Compatible servers vary in what they support, so they get the classic
+    // request shape and the JSON is pulled out of the answer instead
+    this.compatible = !!settings.baseUrl;
+    this.client = new OpenAI({
+      // Local servers usually don't check the key, but the SDK requires one
+      apiKey: settings.apiKey || 'not-needed',
+      baseURL: settings.baseUrl || undefined,
+      timeout: timeoutMs,
+      fetch: globalThis.fetch
+    });
+  }
+
+  /**
+   * Run one chat completion
+   * @param {Object} request - Completion request
+   * @param {string} request.system - System prompt
+   * @param {string} request.user - User message
+   * @param {number} request.maxTokens - Maximum length of the answer
+   * @param {number} request.temperature - Sampling temperature
+   * @returns {Promise<{text: string, usage: Object}>} - Text of the answer and its
+   *   token usage ({ promptTokens, completionTokens })
+   * @throws {Error} - If the request fails (HTTP status in error.status)
+   */
+  async complete({ system, user, maxTokens, temperature }) {
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: user }
+      ],
+      ...(this.compatible
+        ? { max_tokens: maxTokens }
+        : { response_format: { type: 'json_object' }, max_completion_tokens: maxTokens }),
+      temperature
+    });
+
+    return {
+      text: completion.choices[0]?.message?.content || '',
+      usage: {
+        promptTokens: completion.usage?.prompt_tokens || 0,
+        completionTokens: completion.usage?.completion_tokens || 0
+      }
+    };
+  }
+}
+
+export default OpenAIProvider;
@@ -0,0 +1,125 @@
+import EmailService from './emailService.js';
+import SlackNotifier from './notifiers/slackNotifier.js';
+import DiscordNotifier from './notifiers/discordNotifier.js';
+import WebhookNotifier from './notifiers/webhookNotifier.js';
+import DryRunNotifier from './notifiers/dryRunNotifier.js';
+
+/**
+ * A notifier delivers a batch of posts to one channel. The event is new_posts
+ * (the default) or new_comments for comments on watched threads.
+ * @typedef {Object} Notifier
+ * @property {string} name - Channel name used in logs and config
+ * @property {function(Object[], Object): Promise<boolean>} send - Deliver posts with a
+ *   context ({ monitor, event, progress }); resolves true on success and never throws.
+ *   Channels that send several messages record the posts already delivered in
+ *   progress[name], so a retry does not repeat them.
+ */
+
+/**
+ * Fans notifications out to every enabled channel and applies the delivery
+ * policy: "any" counts posts as delivered if one channel succeeded, "all"
+ * only if every channel did.
+ */
+class NotificationService {
+  /**
+   * @param {Object} config - Application config
+   * @param {Object} logger - Logger instance
+   * @param {Object} options - Optional collaborators
+   * @param {Object} options.digestService - Queues posts for digest-mode email recipients
+   */
+  constructor(config, logger, { digestService = null } = {}) {
+    this.config = config;
+    this.logger = logger;
+    this.policy = config.notifications.policy;
+    this.notifiers = NotificationService.createNotifiers(config, logger, digestService);
+  }
+
+  /**
+   * Build the notifiers for the channels enabled in config
+   * @param {Object} config - Application config
+   * @param {Object} logger - Logger instance
+   * @param {Object} digestService - Digest queue, added alongside email when any monitor uses it
+   * @returns {Notifier[]} - Enabled notifiers
+   */
+  static createNotifiers(config, logger, digestService) {
+    const { notifications, dryRun } = config;
+    // In a dry run webhook payloads are written out; email does the same through its transport
+    const webhook = notifier => (dryRun.enabled ? new DryRunNotifier(notifier, dryRun.outputFile, logger) : notifier);
+
+    return notifications.channels.flatMap(channel => {
+      switch (channel) {
+        case 'email':
+          return digestService && digestService.isEnabled()
+            ? [new EmailService(config, logger), digestService]
+            : [new EmailService(config, logger)];
+        case 'slack':
+          return webhook(new SlackNotifier(notifications.slack.webhookUrl, logger, config.http.timeoutMs));
+        case 'discord':
+          return webhook(new DiscordNotifier(notifications.discord.webhookUrl, logger, config.http.timeoutMs));
+        case 'webhook':
+          return webhook(new WebhookNotifier('webhook', notifications.webhook.url, logger, notifications.webhook.headers, config.http.timeoutMs));
+        default:
+          throw new Error(`Unknown notification channel: ${channel}`);
+      }
+    });
+  }
+
+  /**
+   * Get the names of the enabled channels
+   * @returns {string[]} - Channel names
+   */
+  getChannelNames() {
+    return this.notifiers.map(notifier => notifier.name);
+  }
+
+  /**
+   * Check whether the channels that succeeded satisfy the delivery policy
+   * @param {string[]} succeeded - Names of the channels that delivered the posts
+   * @returns {boolean} - True if the posts count as delivered
+   */
+  meetsPolicy(succeeded) {
+    return this.policy === 'all'
+      ? this.getChannelNames().every(name => succeeded.includes(name))
+      : succeeded.length > 0;
+  }
+
+  /**
+   * Send posts to every enabled channel, or only to the given ones
+   * @param {Object[]} posts - Analyzed posts (posts below the relevance threshold are left out)
+   * @param {Object} context - Delivery context ({ monitor, event })
+   * @param {string[]} channels - Channels to send to (defaults to all enabled channels)
+   * @returns {Promise<{delivered: boolean, results: Object<string, boolean>}>} - Whether the
+   *   policy was met by these channels, and the outcome per channel
+   */
+  async send(posts, context = {}, channels = this.getChannelNames()) {
+    const postsToSend = posts.filter(post => !post.skipped);
+
+    if (postsToSend.length === 0) {
+      this.logger.info('All posts were below the relevance threshold, no notification sent');
+      return { delivered: true, results: {} };
+    }
+
+    if (postsToSend.length < posts.length) {
+      this.logger.info(`Filtered out ${posts.length - postsToSend.length} skipped post(s), sending ${postsToSend.length} post(s)`);
+    }
+
+    const notifiers = this.notifiers.filter(notifier => channels.includes(notifier.name));
+    const outcomes = await Promise.all(
+      notifiers.map(notifier => notifier.send(postsToSend, context))
+    );
+
+    const results = Object.fromEntries(notifiers.map((notifier, i) => [notifier.name, outcomes[i]]));
+    const delivered = this.policy === 'all'
+      ? outcomes.every(Boolean)
+      : outcomes.some(Boolean);
+
+    if (!delivered) {
+      const failed = Object.keys(results).filter(name => !results[name]);
+      this.logger.error(`Notification not delivered (policy: ${this.policy}, failed: ${failed.join(', ')})`);
+    }
+
+    return { delivered, results };
+  }
+}
+
+export default NotificationService;
@@ -0,0 +1,81 @@
+import WebhookNotifier, { truncate, chunk, describeBatch } from './webhookNotifier.js';
+import { getPostOrigin } from '../../utils/sources.js';
+import { describeAnalysis } from '../../utils/relevance.js';
+import { isHttpUrl } from '../../utils/validation.js';
+
+// Discord allows 10 embeds per message
+const EMBEDS_PER_MESSAGE = 10;
+const REDDIT_ORANGE = 0xff4500;
+
+/**
+ * Discord webhook channel. Each post becomes an embed with the AI draft
+ * reply as its description.
+ */
+class DiscordNotifier extends WebhookNotifier {
+  /**
+   * @param {string} webhookUrl - Incoming webhook URL
+   * @param {Object} logger - Logger instance
+   * @param {number} timeoutMs - Timeout per request
+   */
+  constructor(webhookUrl, logger, timeoutMs) {
+    super('discord', webhookUrl, logger, {}, timeoutMs);
+    this.postsPerMessage = EMBEDS_PER_MESSAGE;
+  }
+
+  /**
+   * Build the embed text: the comment itself for comment notifications,
+   * otherwise the AI draft reply (if any)
+   * @param {Object} post - Post object
+   * @returns {string|undefined} - Embed description
+   */
+  buildDescription(post) {
+    if (post.kind === 'comment') {
+      return truncate(post.fullContent, 4096);
+    }
+    return post.aiReply ? truncate(`**AI Suggested Reply:**\n${post.aiReply}`, 4096) : undefined;
+  }
+
+  /**
+   * Build the embed for one post
+   * @param {Object} post - Post object
+   * @returns {Object} - Discord embed
+   */
+  buildEmbed(post) {
+    const fields = [{ name: post.subreddit ? 'Subreddit' : 'Source', value: getPostOrigin(post), inline: true }];
+    if (post.author) {
+      fields.push({ name: 'Author', value: `u/${post.author}`, inline: true });
+    }
+    if (post.flair) {
+      fields.push({ name: 'Flair', value: truncate(post.flair, 1024), inline: true });
+    }
+    const ai = describeAnalysis(post) || post.aiNote;
+    if (ai) {
+      fields.push({ name: 'AI', value: ai, inline: true });
+    }
+    if (post.approval) {
+      const { approveUrl, editUrl, rejectUrl } = post.approval;
+      fields.push({ name: 'Reply', value: `[Approve](${approveUrl}) · [Edit](${editUrl}) · [Reject](${rejectUrl})` });
+    }
+
+    return {
+      title: truncate(post.title, 256),
+      // External feeds can supply any link; only web links are used
+      url: isHttpUrl(post.link) ? post.link : undefined,
+      color: REDDIT_ORANGE,
+      description: this.buildDescription(post),
+      fields,
+      timestamp: post.pubDate ? new Date(post.pubDate).toISOString() : undefined
+    };
+  }
+
+  buildPayloads(posts, context) {
+    const heading = describeBatch(posts, context);
+
+    return chunk(posts, this.postsPerMessage).map((batch, index) => ({
+      content: index === 0 ? heading : undefined,
+      embeds: batch.map(post => this.buildEmbed(post))
+    }));
+  }
+}
+
+export default DiscordNotifier;
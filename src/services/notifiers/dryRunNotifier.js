@@ -0,0 +1,41 @@
+import { writeDryRunMessage } from '../../utils/dryRun.js';
+
+/**
+ * Stands in for a webhook channel (slack, discord, webhook) during a dry run:
+ * builds the channel's payloads as usual and writes them out instead of
+ * posting them.
+ */
+class DryRunNotifier {
+  /**
+   * @param {Object} notifier - Webhook notifier whose payloads are written
+   * @param {string} outputFile - Dry-run output file (empty for stdout)
+   * @param {Object} logger - Logger instance
+   */
+  constructor(notifier, outputFile, logger) {
+    this.name = notifier.name;
+    this.notifier = notifier;
+    this.outputFile = outputFile;
+    this.logger = logger;
+  }
+
+  /**
+   * Write the payloads the channel would post
+   * @param {Object[]} posts - Posts to deliver
+   * @param {Object} context - Delivery context ({ monitor, event })
+   * @returns {Promise<boolean>} - True once written
+   */
+  async send(posts, context = {}) {
+    try {
+      for (const payload of this.notifier.buildPayloads(posts, context)) {
+        await writeDryRunMessage(this.outputFile, this.name, payload);
+      }
+      this.logger.info(`Dry run: ${this.name} notification for ${posts.length} post(s) written`);
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to write dry-run ${this.name} notification: ${error.message}`);
+      return false;
+    }
+  }
+}
+
+export default DryRunNotifier;
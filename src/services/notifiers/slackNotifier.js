@@ -0,0 +1,107 @@
+import WebhookNotifier, { truncate, chunk, describeBatch } from './webhookNotifier.js';
+import { getPostOrigin } from '../../utils/sources.js';
+import { describeAnalysis } from '../../utils/relevance.js';
+import { isHttpUrl } from '../../utils/validation.js';
+
+// Slack allows 50 blocks per message; each post uses up to 3
+const POSTS_PER_MESSAGE = 15;
+// Section text is limited to 3000 characters
+const MAX_SECTION_LENGTH = 2900;
+// Longer titles and links are cut or dropped, so the heading link always fits in its section
+const MAX_TITLE_LENGTH = 250;
+const MAX_LINK_LENGTH = 1000;
+
+/**
+ * Escape text for Slack mrkdwn
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeSlack(text) {
+  return (text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Slack incoming-webhook channel. Each post becomes a section with the AI
+ * draft reply shown inline as a code block, ready to copy.
+ */
+class SlackNotifier extends WebhookNotifier {
+  /**
+   * @param {string} webhookUrl - Incoming webhook URL
+   * @param {Object} logger - Logger instance
+   * @param {number} timeoutMs - Timeout per request
+   */
+  constructor(webhookUrl, logger, timeoutMs) {
+    super('slack', webhookUrl, logger, {}, timeoutMs);
+    this.postsPerMessage = POSTS_PER_MESSAGE;
+  }
+
+  /**
+   * Build the Block Kit blocks for one post
+   * @param {Object} post - Post object
+   * @returns {Object[]} - Slack blocks
+   */
+  buildPostBlocks(post) {
+    const byline = [getPostOrigin(post), post.author ? `u/${post.author}` : null, post.flair]
+      .filter(Boolean)
+      .map(escapeSlack)
+      .join(' • ');
+    const ai = describeAnalysis(post) || post.aiNote;
+    // External feeds can supply any link; only web links are used, with "|" encoded
+    // so it can't end the link early
+    const link = isHttpUrl(post.link) && post.link.length <= MAX_LINK_LENGTH
+      ? escapeSlack(post.link.replace(/\|/g, '%7C'))
+      : null;
+    const title = escapeSlack(truncate(post.title, MAX_TITLE_LENGTH));
+    const heading = link ? `*<${link}|${title}>*` : `*${title}*`;
+
+    const blocks = [
+      {
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `${heading}\n${truncate(`${byline}${ai ? `\n_${escapeSlack(ai)}_` : ''}`, MAX_SECTION_LENGTH - heading.length - 1)}`
+        }
+      }
+    ];
+
+    if (post.kind === 'comment') {
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: truncate(`>${escapeSlack(post.fullContent).split('\n').join('\n>')}`, MAX_SECTION_LENGTH)
+        }
+      });
+    }
+
+    if (post.aiReply) {
+      const links = post.approval
+        ? `\n<${post.approval.approveUrl}|Approve> • <${post.approval.editUrl}|Edit> • <${post.approval.rejectUrl}|Reject>`
+        : '';
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          text: `*AI Suggested Reply:*\n\`\`\`${truncate(escapeSlack(post.aiReply), MAX_SECTION_LENGTH - 40 - links.length)}\`\`\`${links}`
+        }
+      });
+    }
+
+    blocks.push({ type: 'divider' });
+    return blocks;
+  }
+
+  buildPayloads(posts, context) {
+    const heading = describeBatch(posts, context);
+
+    return chunk(posts, this.postsPerMessage).map((batch, index) => ({
+      text: heading,
+      blocks: [
+        ...(index === 0 ? [{ type: 'header', text: { type: 'plain_text', text: heading } }] : []),
+        ...batch.flatMap(post => this.buildPostBlocks(post))
+      ]
+    }));
+  }
+}
+
+export default SlackNotifier;
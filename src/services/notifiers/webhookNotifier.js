@@ -0,0 +1,169 @@
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Generic JSON webhook channel - POSTs the posts and AI results to a URL.
+ * Also the base class for chat webhooks, which override buildPayloads() and
+ * split the posts into messages of postsPerMessage posts.
+ */
+class WebhookNotifier {
+  /**
+   * @param {string} name - Channel name used in logs
+   * @param {string} url - Webhook URL
+   * @param {Object} logger - Logger instance
+   * @param {Object} headers - Extra request headers (e.g. authorization)
+   * @param {number} timeoutMs - Timeout per request
+   */
+  constructor(name, url, logger, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS) {
+    this.name = name;
+    this.url = url;
+    this.logger = logger;
+    this.headers = headers;
+    this.timeoutMs = timeoutMs;
+    // All posts go in one request
+    this.postsPerMessage = Infinity;
+  }
+
+  /**
+   * Convert a post to the plain object sent to webhooks
+   * @param {Object} post - Post object
+   * @returns {Object} - Serializable post summary
+   */
+  serializePost(post) {
+    return {
+      id: post.id,
+      title: post.title,
+      link: post.link,
+      subreddit: post.subreddit,
+      source: post.source || null,
+      author: post.author || null,
+      flair: post.flair || null,
+      pubDate: post.pubDate,
+      ai: post.shouldReply === undefined ? null : {
+        shouldReply: post.shouldReply,
+        reply: post.aiReply || null,
+        reason: post.skipReason || null,
+        ...(post.analysis || { relevance: null, category: null, sentiment: null, confidence: null }),
+        promptVersion: post.promptVersion || null
+      },
+      aiNote: post.aiNote || null,
+      approval: post.approval || null,
+      comment: post.kind === 'comment'
+        ? { type: post.commentType, keywords: post.keywords, body: post.fullContent, threadLink: post.threadLink }
+        : undefined
+    };
+  }
+
+  /**
+   * Build the request bodies for a batch of posts: one per postsPerMessage
+   * posts, in order
+   * @param {Object[]} posts - Posts to deliver
+   * @param {Object} context - Delivery context ({ monitor, event })
+   * @returns {Object[]} - One JSON body per request
+   */
+  buildPayloads(posts, context) {
+    return [{
+      event: context.event || 'new_posts',
+      monitor: context.monitor?.name || null,
+      sentAt: new Date().toISOString(),
+      posts: posts.map(post => this.serializePost(post))
+    }];
+  }
+
+  /**
+   * POST one JSON body to the webhook
+   * @param {Object} payload - Request body
+   * @returns {Promise<void>}
+   * @throws {Error} - If the request fails or returns a non-2xx status
+   */
+  async postPayload(payload) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...this.headers
+      },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`HTTP ${response.status}${body ? `: ${body.substring(0, 200)}` : ''}`);
+    }
+  }
+
+  /**
+   * Deliver posts to the webhook. When a message fails, the ids of the posts
+   * in the messages already sent are kept in context.progress, so a retry
+   * with the same progress object sends only the rest.
+   * @param {Object[]} posts - Posts to deliver
+   * @param {Object} context - Delivery context ({ monitor, event, progress })
+   * @returns {Promise<boolean>} - True if every request succeeded
+   */
+  async send(posts, context = {}) {
+    const progress = context.progress || {};
+    const delivered = new Set(progress[this.name] || []);
+    const remaining = posts.filter(post => !delivered.has(String(post.id)));
+    if (remaining.length === 0) {
+      return true;
+    }
+
+    const batches = chunk(remaining, this.postsPerMessage);
+    const payloads = this.buildPayloads(remaining, context);
+
+    try {
+      this.logger.info(`Sending ${this.name} notification for ${remaining.length} post(s)...`);
+      for (const [index, payload] of payloads.entries()) {
+        await this.postPayload(payload);
+        progress[this.name] = [...(progress[this.name] || []), ...batches[index].map(post => String(post.id))];
+      }
+      this.logger.info(`${this.name} notification sent successfully`);
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to send ${this.name} notification: ${error.message}`);
+      return false;
+    }
+  }
+}
+
+/**
+ * Describe a batch of notifications for a message heading
+ * @param {Object[]} posts - Posts (or comments) being delivered
+ * @param {Object} context - Delivery context ({ monitor, event })
+ * @returns {string} - e.g. "3 new Reddit posts"
+ */
+export function describeBatch(posts, context = {}) {
+  const plural = posts.length > 1 ? 's' : '';
+  return context.event === 'new_comments'
+    ? `${posts.length} new comment${plural} on watched threads`
+    : `${posts.length} new Reddit post${plural}`;
+}
+
+/**
+ * Shorten text to a maximum length, marking the cut with an ellipsis
+ * @param {string} text - Text to shorten
+ * @param {number} maxLength - Maximum length including the ellipsis
+ * @returns {string} - Shortened text
+ */
+export function truncate(text, maxLength) {
+  if (!text || text.length <= maxLength) {
+    return text || '';
+  }
+  return `${text.substring(0, maxLength - 1)}…`;
+}
+
+/**
+ * Split an array into chunks of at most size items
+ * @param {Array} items - Items to split
+ * @param {number} size - Maximum chunk size
+ * @returns {Array[]} - Chunks
+ */
+export function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+export default WebhookNotifier;
@@ -0,0 +1,244 @@
+import { randomUUID } from 'crypto';
+import { compareByRelevance } from '../utils/relevance.js';
+
+const OUTBOX_NAMESPACE = 'outbox';
+const DEAD_LETTER_NAMESPACE = 'outboxDeadLetters';
+// Oldest dead letters are dropped beyond this many
+const MAX_DEAD_LETTERS = 200;
+
+/**
+ * Durable outbox for notifications. Every batch of posts is stored before the
+ * first delivery attempt; channels that fail are retried by a background
+ * worker with exponential backoff until they succeed or run out of attempts,
+ * at which point the batch moves to the dead-letter list.
+ *
+ * Posts are marked as seen only once the delivery policy is met, and posts
+ * still in the outbox (or dead-lettered) are kept out of new-post selection
+ * so they are never queued twice.
+ */
+class OutboxService {
+  /**
+   * @param {Object} config - Application config
+   * @param {Object} logger - Logger instance
+   * @param {Object} store - State store holding the outbox
+   * @param {Object} services - Collaborators
+   * @param {Object} services.notificationService - Sends posts to the channels
+   * @param {Object} services.postTracker - Marks posts as seen once delivered
+   * @param {Object} services.runHistory - Records the notification status per post (optional)
+   * @param {Object} services.commentWatcher - Watches the threads of delivered posts and marks delivered comments as seen (optional)
+   */
+  constructor(config, logger, store, { notificationService, postTracker, runHistory = null, commentWatcher = null }) {
+    this.config = config;
+    this.logger = logger;
+    this.store = store; // namespaces 'outbox' (entryId -> entry) and 'outboxDeadLetters' (entryId -> entry)
+    this.notificationService = notificationService;
+    this.postTracker = postTracker;
+    this.runHistory = runHistory;
+    this.commentWatcher = commentWatcher;
+    this.maxAttempts = config.outbox.maxAttempts;
+    this.baseDelayMs = config.outbox.retryBaseMinutes * 60 * 1000;
+    this.maxDelayMs = config.outbox.retryMaxMinutes * 60 * 1000;
+  }
+
+  /**
+   * Build the key a post is held under (matches the seen-post key)
+   * @param {Object} post - Post object with id and feedKey
+   * @returns {string} - Post key
+   */
+  postKey(post) {
+    return `${post.feedKey}/${post.id}`;
+  }
+
+  /**
+   * Get the keys of posts that are waiting in the outbox or were dead-lettered
+   * @returns {Set<string>} - Keys in feedKey/postId form
+   */
+  getHeldPostKeys() {
+    const keys = new Set();
+    for (const namespace of [OUTBOX_NAMESPACE, DEAD_LETTER_NAMESPACE]) {
+      for (const [, entry] of this.store.entries(namespace)) {
+        entry.posts.forEach(post => keys.add(this.postKey(post)));
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Store a batch of posts for delivery, most relevant first. Posts below the
+   * monitor's relevance threshold are left out.
+   * @param {Object} monitor - Monitor the posts belong to
+   * @param {Object[]} posts - Analyzed posts
+   * @param {string} event - new_posts, or new_comments for comments on watched threads
+   * @returns {Object|null} - Outbox entry, or null if there is nothing to deliver
+   */
+  enqueue(monitor, posts, event = 'new_posts') {
+    const postsToSend = posts.filter(post => !post.skipped).sort(compareByRelevance);
+    if (postsToSend.length === 0) {
+      return null;
+    }
+
+    const entry = {
+      id: randomUUID(),
+      monitor: monitor.name,
+      event,
+      // The raw feed HTML isn't used by any channel
+      posts: postsToSend.map(post => ({ ...post, content: undefined })),
+      channels: this.notificationService.getChannelNames(),
+      succeeded: [],
+      // Post ids already sent per channel, for channels that send several messages
+      progress: {},
+      markedSeen: false,
+      attempts: 0,
+      createdAt: Date.now(),
+      nextAttemptAt: Date.now(),
+      lastError: null
+    };
+
+    this.store.set(OUTBOX_NAMESPACE, entry.id, entry);
+    return entry;
+  }
+
+  /**
+   * Calculate the wait before the next attempt: base delay doubled per
+   * attempt made so far, capped at the maximum delay
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} - Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.baseDelayMs * 2 ** (attempts - 1), this.maxDelayMs);
+  }
+
+  /**
+   * Try to deliver an outbox entry to the channels that haven't received it yet
+   * @param {Object} entry - Outbox entry
+   * @returns {Promise<boolean>} - True if every channel has now received the posts
+   */
+  async attempt(entry) {
+    const monitor = this.config.monitors.find(m => m.name === entry.monitor);
+    if (!monitor) {
+      this.deadLetter(entry, `monitor "${entry.monitor}" no longer exists`);
+      await this.store.flush();
+      return false;
+    }
+
+    // Channels removed from config since the entry was queued are dropped
+    const pending = entry.channels.filter(name =>
+      !entry.succeeded.includes(name) && this.notificationService.getChannelNames().includes(name)
+    );
+
+    const { results } = await this.notificationService.send(entry.posts, { monitor, event: entry.event, progress: entry.progress }, pending);
+    entry.succeeded.push(...pending.filter(name => results[name]));
+    entry.attempts++;
+
+    // Delivered posts are marked as seen, and their threads watched for new comments
+    if (!entry.markedSeen && this.notificationService.meetsPolicy(entry.succeeded)) {
+      if (entry.event === 'new_comments') {
+        this.commentWatcher?.markSeen(entry.posts);
+      } else {
+        entry.posts.forEach(post => this.postTracker.markAsSeen(post));
+        this.commentWatcher?.watch(monitor, entry.posts);
+      }
+      entry.markedSeen = true;
+    }
+
+    const failed = pending.filter(name => !results[name]);
+    const status = failed.length === 0 ? 'delivered' : entry.attempts >= this.maxAttempts ? 'failed' : 'pending';
+    this.runHistory?.recordNotification(entry.posts, status,
+      Object.fromEntries(entry.channels.map(name => [name, entry.succeeded.includes(name)])));
+
+    if (failed.length === 0) {
+      this.store.delete(OUTBOX_NAMESPACE, entry.id);
+      if (entry.attempts > 1) {
+        this.logger.info(`[${entry.monitor}] Outbox: delivered ${entry.posts.length} post(s) on attempt ${entry.attempts}`);
+      }
+      await this.store.flush();
+      return true;
+    }
+
+    entry.lastError = `failed channels: ${failed.join(', ')}`;
+
+    if (entry.attempts >= this.maxAttempts) {
+      this.deadLetter(entry, entry.lastError);
+    } else {
+      const delay = this.getRetryDelay(entry.attempts);
+      entry.nextAttemptAt = Date.now() + delay;
+      this.store.set(OUTBOX_NAMESPACE, entry.id, entry);
+      this.logger.info(`[${entry.monitor}] Outbox: ${entry.posts.length} post(s) not delivered to ${failed.join(', ')}; attempt ${entry.attempts + 1}/${this.maxAttempts} in ${Math.round(delay / 60000)} minute(s)`);
+    }
+
+    await this.store.flush();
+    return false;
+  }
+
+  /**
+   * Retry every outbox entry whose backoff has elapsed, oldest first
+   * @returns {Promise<void>}
+   */
+  async processDue() {
+    const now = Date.now();
+    const due = Array.from(this.store.entries(OUTBOX_NAMESPACE), ([, entry]) => entry)
+      .filter(entry => entry.nextAttemptAt <= now)
+      .sort((a, b) => a.createdAt - b.createdAt);
+
+    if (due.length === 0) {
+      this.logger.debug(`Outbox: nothing due (${this.getQueuedCount()} waiting)`);
+      return;
+    }
+
+    this.logger.info(`Outbox: retrying ${due.length} notification(s)`);
+    for (const entry of due) {
+      await this.attempt(entry);
+    }
+  }
+
+  /**
+   * Give up on an entry: move it to the dead-letter list and report it
+   * @param {Object} entry - Outbox entry
+   * @param {string} reason - Why delivery failed
+   */
+  deadLetter(entry, reason) {
+    this.store.delete(OUTBOX_NAMESPACE, entry.id);
+    this.store.set(DEAD_LETTER_NAMESPACE, entry.id, { ...entry, reason, failedAt: Date.now() });
+
+    const titles = entry.posts.map(post => `"${post.title}" (${post.link})`).join(', ');
+    this.logger.error(`[${entry.monitor}] Outbox: giving up on ${entry.posts.length} post(s) after ${entry.attempts} attempt(s) (${reason}): ${titles}`);
+
+    const deadLetters = this.getDeadLetters();
+    deadLetters.slice(0, Math.max(0, deadLetters.length - MAX_DEAD_LETTERS))
+      .forEach(old => this.store.delete(DEAD_LETTER_NAMESPACE, old.id));
+  }
+
+  /**
+   * Get the permanently failed deliveries, oldest first
+   * @returns {Object[]} - Dead-lettered entries with reason and failedAt
+   */
+  getDeadLetters() {
+    return Array.from(this.store.entries(DEAD_LETTER_NAMESPACE), ([, entry]) => entry)
+      .sort((a, b) => a.failedAt - b.failedAt);
+  }
+
+  /**
+   * Log a summary of pending and permanently failed deliveries
+   */
+  report() {
+    const deadLetters = this.getDeadLetters();
+    if (this.getQueuedCount() === 0 && deadLetters.length === 0) {
+      return;
+    }
+
+    this.logger.info(`Outbox: ${this.getQueuedCount()} notification(s) awaiting retry, ${deadLetters.length} permanently failed`);
+    for (const entry of deadLetters) {
+      this.logger.info(`  - ${new Date(entry.failedAt).toISOString()} [${entry.monitor}] ${entry.posts.length} post(s), ${entry.attempts} attempt(s): ${entry.reason}`);
+    }
+  }
+
+  /**
+   * Get the number of entries waiting for delivery
+   * @returns {number} - Number of outbox entries
+   */
+  getQueuedCount() {
+    return this.store.count(OUTBOX_NAMESPACE);
+  }
+}
+
+export default OutboxService;
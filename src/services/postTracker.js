@@ -1,62 +1,188 @@
-import { isWithinTimeWindow } from '../utils/dateUtils.js';
+import { toTimestamp } from '../utils/dateUtils.js';
+
+const SEEN_NAMESPACE = 'seenPosts';
+const CURSOR_NAMESPACE = 'feedCursors';
 
 class PostTracker {
-  constructor(logger) {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} store - State store used to persist seen posts and feed cursors
+   * @param {Object} options - Tracker options
+   * @param {number} options.retentionMinutes - How long to remember seen posts
+   */
+  constructor(logger, store, options = {}) {
     this.logger = logger;
-    this.seenPosts = new Map(); // Map<postId, timestamp>
-    this.MAX_AGE_MS = 60 * 60 * 1000; // Keep posts for 1 hour
+    this.store = store; // namespaces 'seenPosts' (feedKey/postId -> timestamp) and 'feedCursors' (feedKey -> cursor)
+    this.retentionMs = (options.retentionMinutes || 60) * 60 * 1000;
+  }
+
+  /**
+   * Build the key a post is tracked under. Seen posts are scoped per feed so
+   * two monitors watching the same subreddit each get their own notifications.
+   * @param {Object} post - Post object with id and feedKey
+   * @returns {string} - Tracking key
+   */
+  seenKey(post) {
+    return `${post.feedKey}/${post.id}`;
+  }
+
+  /**
+   * Get the high-water mark for a feed
+   * @param {string} feedKey - Feed identifier (monitor name and source)
+   * @returns {{id: string, timestamp: number}|undefined} - Newest delivered post, if any
+   */
+  getCursor(feedKey) {
+    return this.store.get(CURSOR_NAMESPACE, feedKey);
+  }
+
+  /**
+   * Move a feed's high-water mark forward (never backwards)
+   * @param {string} feedKey - Feed identifier (monitor name and source)
+   * @param {string} postId - ID of the post at the new mark
+   * @param {number} timestamp - Publication time of that post in milliseconds
+   */
+  advanceCursor(feedKey, postId, timestamp) {
+    const cursor = this.getCursor(feedKey);
+    if (!cursor || timestamp > cursor.timestamp) {
+      this.store.set(CURSOR_NAMESPACE, feedKey, { id: postId, timestamp });
+      this.logger.debug(`Cursor for ${feedKey} moved to ${postId} (${new Date(timestamp).toISOString()})`);
+    }
   }
 
   /**
-   * Check if a post is new (recent and not seen before)
-   * @param {Object} post - Post object with id and pubDate
-   * @param {number} timeWindowMinutes - Time window in minutes
+   * Check if a post is new (newer than its feed's cursor and not seen before)
+   * @param {Object} post - Post object with id, pubDate and feedKey
    * @returns {boolean} - True if the post is new
    */
-  isNewPost(post, timeWindowMinutes) {
+  isNewPost(post) {
     if (!post.id || !post.pubDate) {
       this.logger.error('Invalid post object:', post);
       return false;
     }
 
-    const isRecent = isWithinTimeWindow(post.pubDate, timeWindowMinutes);
-    const notSeen = !this.seenPosts.has(post.id);
+    if (this.store.get(SEEN_NAMESPACE, this.seenKey(post)) !== undefined) {
+      return false;
+    }
+
+    const cursor = this.getCursor(post.feedKey);
+    if (cursor && (post.id === cursor.id || toTimestamp(post.pubDate) < cursor.timestamp)) {
+      return false;
+    }
+
+    this.logger.debug(`New post detected: ${post.id}`);
+    return true;
+  }
+
+  /**
+   * Select the new posts from a feed. On the first run for a feed (no cursor yet)
+   * only the newest backfillLimit posts are returned and the cursor is placed
+   * just behind them, so older history is never delivered.
+   * @param {string} feedKey - Feed identifier (monitor name and source)
+   * @param {Object[]} posts - Posts fetched from the feed, tagged with feedKey
+   * @param {number} backfillLimit - Maximum number of posts to deliver on the first run
+   * @returns {Object[]} - New posts, oldest first
+   */
+  selectNewPosts(feedKey, posts, backfillLimit) {
+    const sorted = posts
+      .filter(post => post.id && post.pubDate)
+      .sort((a, b) => toTimestamp(b.pubDate) - toTimestamp(a.pubDate));
+
+    if (!this.getCursor(feedKey) && sorted.length > backfillLimit) {
+      const boundary = sorted[backfillLimit];
+      this.advanceCursor(feedKey, boundary.id, toTimestamp(boundary.pubDate));
+      this.logger.info(`First run for ${feedKey}: backfilling ${backfillLimit} of ${sorted.length} post(s)`);
+    }
 
-    if (isRecent && notSeen) {
-      this.logger.debug(`New post detected: ${post.id}`);
-      return true;
+    const cursor = this.getCursor(feedKey);
+    if (cursor && sorted.length > 0 && toTimestamp(sorted[sorted.length - 1].pubDate) > cursor.timestamp) {
+      this.logger.info(`All ${sorted.length} fetched post(s) from ${feedKey} are newer than the cursor; older posts may have been missed`);
     }
 
-    return false;
+    return sorted.filter(post => this.isNewPost(post)).reverse();
+  }
+
+  /**
+   * Mark a post as seen and advance its feed's cursor
+   * @param {Object} post - Post object with id, pubDate and feedKey
+   */
+  markAsSeen(post) {
+    this.store.set(SEEN_NAMESPACE, this.seenKey(post), Date.now());
+    this.advanceCursor(post.feedKey, post.id, toTimestamp(post.pubDate));
+    this.logger.debug(`Post marked as seen: ${post.id} (total tracked: ${this.getTrackedCount()})`);
   }
 
   /**
-   * Mark a post as seen
-   * @param {string} postId - The ID of the post
+   * Persist seen posts and cursors to the state store
+   * @returns {Promise<void>}
    */
-  markAsSeen(postId) {
-    this.seenPosts.set(postId, Date.now());
-    this.logger.debug(`Post marked as seen: ${postId} (total tracked: ${this.seenPosts.size})`);
+  async flush() {
+    await this.store.flush();
   }
 
   /**
-   * Clean up old posts from memory to prevent unbounded growth
-   * Removes posts older than MAX_AGE_MS
+   * Forget posts older than the retention period to prevent unbounded growth
    */
   cleanup() {
     const now = Date.now();
     let removedCount = 0;
 
-    for (const [postId, timestamp] of this.seenPosts.entries()) {
-      if (now - timestamp > this.MAX_AGE_MS) {
-        this.seenPosts.delete(postId);
+    for (const [key, timestamp] of this.store.entries(SEEN_NAMESPACE)) {
+      if (now - timestamp > this.retentionMs) {
+        this.store.delete(SEEN_NAMESPACE, key);
         removedCount++;
       }
     }
 
     if (removedCount > 0) {
-      this.logger.info(`Cleaned up ${removedCount} old posts from memory (remaining: ${this.seenPosts.size})`);
+      this.logger.info(`Cleaned up ${removedCount} old posts from tracking (remaining: ${this.getTrackedCount()})`);
+    }
+  }
+
+  /**
+   * Get the tracked feeds with their cursor and seen posts
+   * @param {string} monitorName - Only the feeds of this monitor (optional)
+   * @returns {Object[]} - Feeds sorted by key: { feedKey, cursor, posts: [{ id, seenAt }] },
+   *   posts newest first
+   */
+  getFeeds(monitorName = null) {
+    // Every seen post has moved its feed's cursor, so the cursors name all feeds
+    const feeds = Array.from(this.store.entries(CURSOR_NAMESPACE), ([feedKey, cursor]) => ({ feedKey, cursor, posts: [] }))
+      .filter(feed => !monitorName || feed.feedKey.startsWith(`${monitorName}:`))
+      .sort((a, b) => a.feedKey.localeCompare(b.feedKey));
+    // Feed keys can contain slashes too, so the longest matching one wins
+    const byLength = [...feeds].sort((a, b) => b.feedKey.length - a.feedKey.length);
+
+    for (const [key, seenAt] of this.store.entries(SEEN_NAMESPACE)) {
+      const feed = byLength.find(candidate => key.startsWith(`${candidate.feedKey}/`));
+      if (feed) {
+        feed.posts.push({ id: key.substring(feed.feedKey.length + 1), seenAt });
+      }
+    }
+    feeds.forEach(feed => feed.posts.sort((a, b) => b.seenAt - a.seenAt));
+
+    return feeds;
+  }
+
+  /**
+   * Forget the seen posts and cursors of every feed, or of one monitor's feeds
+   * @param {string} monitorName - Only the feeds of this monitor (optional)
+   * @returns {{feeds: number, posts: number}} - How many feeds and seen posts were forgotten
+   */
+  clear(monitorName = null) {
+    const feeds = this.getFeeds(monitorName);
+    const prefix = monitorName ? `${monitorName}:` : '';
+    let posts = 0;
+
+    for (const [key] of this.store.entries(SEEN_NAMESPACE)) {
+      if (key.startsWith(prefix)) {
+        this.store.delete(SEEN_NAMESPACE, key);
+        posts++;
+      }
     }
+    feeds.forEach(feed => this.store.delete(CURSOR_NAMESPACE, feed.feedKey));
+
+    this.logger.info(`Cleared ${posts} seen post(s) and ${feeds.length} feed cursor(s)${monitorName ? ` of monitor ${monitorName}` : ''}`);
+    return { feeds: feeds.length, posts };
   }
 
   /**
@@ -64,7 +190,7 @@ class PostTracker {
    * @returns {number} - Number of tracked posts
    */
   getTrackedCount() {
-    return this.seenPosts.size;
+    return this.store.count(SEEN_NAMESPACE);
   }
 }
 
@@ -0,0 +1,141 @@
+/**
+ * Minimal Reddit OAuth API client for a "script" app: authenticates with the
+ * app's client id/secret and the account's username/password, reads listings
+ * and posts comments as that account. Without a username/password it falls
+ * back to an app-only token, which is enough for reading. Base URLs are
+ * configurable so a local mock server can stand in for Reddit.
+ */
+class RedditClient {
+  /**
+   * @param {Object} config - Application config (uses config.reddit)
+   * @param {Object} logger - Logger instance
+   * @param {Object} httpClient - Shared HTTP client (retries, rate limits)
+   */
+  constructor(config, logger, httpClient) {
+    this.config = config.reddit;
+    this.logger = logger;
+    this.httpClient = httpClient;
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+  }
+
+  /**
+   * Get an access token, requesting a new one when the cached token is about to expire
+   * @returns {Promise<string>} - Bearer token
+   * @throws {Error} - If authentication fails
+   */
+  async getAccessToken() {
+    // Replayed requests are answered from fixtures, which need no token
+    if (this.httpClient.fixtures && this.httpClient.fixtures.isReplaying()) {
+      return 'replay';
+    }
+
+    // Refresh a minute early so a token never expires mid-request
+    if (this.accessToken && Date.now() < this.tokenExpiresAt - 60 * 1000) {
+      return this.accessToken;
+    }
+
+    const { clientId, clientSecret, username, password, authBaseUrl, userAgent } = this.config;
+    const grant = username && password
+      ? { grant_type: 'password', username, password }
+      : { grant_type: 'client_credentials' };
+
+    const response = await fetch(`${authBaseUrl}/api/v1/access_token`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'User-Agent': userAgent
+      },
+      body: new URLSearchParams(grant).toString()
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.access_token) {
+      throw new Error(`Reddit authentication failed: HTTP ${response.status}${data.error ? ` (${data.error})` : ''}`);
+    }
+
+    this.accessToken = data.access_token;
+    this.tokenExpiresAt = Date.now() + (data.expires_in || 3600) * 1000;
+    this.logger.debug(`Reddit access token obtained (${username && password ? `u/${username}` : 'app-only'})`);
+    return this.accessToken;
+  }
+
+  /**
+   * Make an authenticated GET request to the API
+   * @param {string} apiPath - Path under the API base URL (e.g. /r/node/new)
+   * @param {Object} params - Query string parameters (undefined values are left out)
+   * @returns {Promise<Object>} - Parsed JSON response
+   * @throws {Error} - If the request fails
+   */
+  async get(apiPath, params = {}) {
+    const token = await this.getAccessToken();
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null)
+    ).toString();
+
+    try {
+      const response = await this.httpClient.request(`${this.config.apiBaseUrl}${apiPath}${query ? `?${query}` : ''}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'User-Agent': this.config.userAgent
+        }
+      });
+      return await response.json();
+    } catch (error) {
+      if (error.status === 401) {
+        // Token revoked or expired early - the next request fetches a new one
+        this.accessToken = null;
+      }
+      throw new Error(`Reddit API ${apiPath} failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Post a comment replying to a post or comment
+   * @param {string} thingId - Fullname of the parent (e.g. t3_abc123 for a post)
+   * @param {string} text - Comment text (markdown)
+   * @returns {Promise<{id: string, permalink: string|null}>} - The new comment
+   * @throws {Error} - If the request fails or Reddit rejects the comment
+   */
+  async postComment(thingId, text) {
+    const token = await this.getAccessToken();
+    const response = await fetch(`${this.config.apiBaseUrl}/api/comment`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'User-Agent': this.config.userAgent
+      },
+      body: new URLSearchParams({ api_type: 'json', thing_id: thingId, text }).toString()
+    });
+
+    if (response.status === 401) {
+      // Token revoked or expired early - the next attempt fetches a new one
+      this.accessToken = null;
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Reddit comment failed: HTTP ${response.status}`);
+    }
+
+    // Reddit reports validation errors (rate limits, locked threads...) with a 200 status
+    const errors = data.json?.errors || [];
+    if (errors.length > 0) {
+      throw new Error(`Reddit rejected the comment: ${errors.map(error => error.join(' ')).join('; ')}`);
+    }
+
+    const comment = data.json?.data?.things?.[0]?.data;
+    if (!comment) {
+      throw new Error('Reddit comment failed: unexpected response');
+    }
+
+    return {
+      id: comment.name || comment.id,
+      permalink: comment.permalink ? `https://www.reddit.com${comment.permalink}` : null
+    };
+  }
+}
+
+export default RedditClient;
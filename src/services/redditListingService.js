@@ -0,0 +1,199 @@
+// Reddit returns at most 100 items per listing page
+const PAGE_SIZE = 100;
+// Pages fetched per check when catching up after a busy period
+const MAX_PAGES = 5;
+
+/**
+ * Fetch backend that reads a source's listing (subreddit, search, user or
+ * multireddit, newest first) through the OAuth API.
+ * One request returns the full post data (selftext, author, flair, score,
+ * comments, media), so no per-post follow-up requests are needed. Posts are
+ * normalized to the same shape as RssService posts, with the details filled in.
+ */
+class RedditListingService {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} redditClient - Authenticated Reddit API client
+   * @param {Object} httpClient - Shared HTTP client, for its circuit breaker
+   */
+  constructor(logger, redditClient, httpClient) {
+    this.logger = logger;
+    this.redditClient = redditClient;
+    this.httpClient = httpClient;
+  }
+
+  /**
+   * Describe a post's media or link target
+   * @param {Object} data - Listing item data
+   * @returns {Object|null} - { type, url } or null for text posts
+   */
+  getMedia(data) {
+    if (data.is_self) {
+      return null;
+    }
+    if (data.is_video) {
+      return { type: 'video', url: data.media?.reddit_video?.fallback_url || data.url };
+    }
+    if (data.is_gallery) {
+      return { type: 'gallery', url: data.url };
+    }
+    if (data.post_hint === 'image') {
+      return { type: 'image', url: data.url };
+    }
+    return { type: 'link', url: data.url };
+  }
+
+  /**
+   * Convert a listing item into the post shape used across the app
+   * @param {Object} data - Listing item data (t3 thing)
+   * @param {Object} source - Source the listing belongs to
+   * @returns {Object} - Normalized post
+   */
+  normalizePost(data, source) {
+    const selftext = data.selftext || '';
+    const crosspost = data.crosspost_parent_list?.[0];
+
+    return {
+      id: data.name,
+      title: data.title,
+      link: `https://www.reddit.com${data.permalink}`,
+      pubDate: new Date(data.created_utc * 1000).toISOString(),
+      // Keep the configured spelling for subreddit sources
+      subreddit: source.type === 'subreddit' ? source.name : data.subreddit,
+      source: { type: source.type, id: source.id, label: source.label },
+      author: data.author || null,
+      content: data.selftext_html || '',
+      contentSnippet: selftext.substring(0, 500),
+      // Details the RSS path has to fetch per post
+      fullContent: selftext,
+      flair: data.link_flair_text || null,
+      score: data.score,
+      numComments: data.num_comments,
+      media: this.getMedia(data),
+      crosspost: crosspost ? {
+        id: crosspost.name,
+        subreddit: crosspost.subreddit,
+        title: crosspost.title,
+        link: `https://www.reddit.com${crosspost.permalink}`
+      } : null
+    };
+  }
+
+  /**
+   * Build the API path and query of a source's listing, newest first
+   * @param {Object} source - Source (see config/monitors.js)
+   * @returns {{path: string, params: Object}} - Listing path and query parameters
+   */
+  getListing(source) {
+    switch (source.type) {
+      case 'search':
+        return source.subreddit
+          ? { path: `/r/${source.subreddit}/search`, params: { q: source.query, sort: 'new', restrict_sr: 1, type: 'link' } }
+          : { path: '/search', params: { q: source.query, sort: 'new', type: 'link' } };
+      case 'user':
+        return { path: `/user/${source.name}/submitted`, params: { sort: 'new' } };
+      case 'multireddit':
+        return source.subreddits
+          ? { path: `/r/${source.subreddits.join('+')}/new`, params: {} }
+          : { path: `/user/${source.user}/m/${source.name}/new`, params: {} };
+      default:
+        return { path: `/r/${source.name}/new`, params: {} };
+    }
+  }
+
+  /**
+   * Fetch one listing page
+   * @param {Object} source - Source to fetch
+   * @param {string} [before] - Only return posts newer than this fullname
+   * @returns {Promise<Object[]>} - Listing item data, newest first
+   */
+  async fetchPage(source, before) {
+    const { path, params } = this.getListing(source);
+    const listing = await this.redditClient.get(path, {
+      ...params,
+      limit: PAGE_SIZE,
+      before,
+      raw_json: 1
+    });
+    return (listing.data?.children || []).map(child => child.data);
+  }
+
+  /**
+   * Check whether a post has left the listings. Reddit returns nothing before
+   * a deleted or removed post, so it can't be used as a cursor any more.
+   * @param {string} name - Fullname of the post
+   * @returns {Promise<boolean>} - True if the post is deleted, removed or unknown
+   */
+  async isPostGone(name) {
+    const listing = await this.redditClient.get(`/by_id/${name}`, { raw_json: 1 });
+    const data = listing.data?.children?.[0]?.data;
+    return !data || Boolean(data.removed_by_category) || data.author === '[deleted]';
+  }
+
+  /**
+   * Fetch the posts newer than a cursor. With a cursor, pages are followed
+   * towards the newest post so bursts of more than one page aren't missed.
+   * An empty result only falls back to the latest page when the cursor post
+   * is gone (the post tracker drops duplicates); otherwise there is nothing new.
+   * @param {Object} source - Source to fetch (see config/monitors.js)
+   * @param {string} [before] - Fullname of the newest post already handled
+   * @returns {Promise<Object>} - Object with success status, the source and the posts array (same shape as RssService)
+   */
+  async fetchFeed(source, before) {
+    // A source that keeps failing is paused for a while instead of retried every check
+    const circuitKey = source.id;
+    const pausedUntil = this.httpClient.getCircuitOpenUntil(circuitKey);
+    if (pausedUntil) {
+      const error = `paused after repeated failures until ${new Date(pausedUntil).toISOString()}`;
+      this.logger.info(`Skipping listing for ${source.label}: ${error}`);
+      return {
+        success: false,
+        source,
+        error,
+        posts: []
+      };
+    }
+
+    try {
+      let items = [];
+
+      if (before) {
+        let anchor = before;
+        for (let page = 0; page < MAX_PAGES; page++) {
+          const pageItems = await this.fetchPage(source, anchor);
+          items = [...pageItems, ...items];
+          if (pageItems.length < PAGE_SIZE) {
+            break;
+          }
+          anchor = pageItems[0].name;
+        }
+      }
+
+      if (items.length === 0 && (!before || await this.isPostGone(before))) {
+        items = await this.fetchPage(source);
+      }
+
+      const posts = items.map(data => this.normalizePost(data, source));
+      this.logger.debug(`Fetched ${posts.length} posts from ${source.label} via the API${before ? ` (before ${before})` : ''}`);
+      this.httpClient.recordResult(circuitKey, true);
+
+      return {
+        success: true,
+        source,
+        posts
+      };
+
+    } catch (error) {
+      this.logger.error(`Failed to fetch listing for ${source.label}: ${error.message}`);
+      this.httpClient.recordResult(circuitKey, false);
+      return {
+        success: false,
+        source,
+        error: error.message,
+        posts: []
+      };
+    }
+  }
+}
+
+export default RedditListingService;
@@ -1,46 +1,81 @@
 import Parser from 'rss-parser';
+import TtlCache from '../utils/ttlCache.js';
+
+const REDDIT_URL = 'https://www.reddit.com';
+// Subreddit rules rarely change; they are fetched at most once a day per subreddit
+const RULES_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_CACHED_RULES = 200;
+
+const FEED_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+  'Accept-Language': 'en-US,en;q=0.9',
+  'DNT': '1',
+  'Upgrade-Insecure-Requests': '1'
+};
 
 class RssService {
-  constructor(logger) {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} httpClient - Shared HTTP client (retries, rate limits, circuit breaker)
+   * @param {Object} cacheOptions - Cache settings (config.cache)
+   * @param {number} cacheOptions.postTtlMinutes - How long fetched post details are reused
+   * @param {number} cacheOptions.maxPosts - Maximum number of post details cached
+   * @param {Object} options - Optional settings
+   * @param {string} options.baseUrl - Reddit web URL the feeds and rules are fetched from
+   *   (a mock server in tests)
+   */
+  constructor(logger, httpClient, cacheOptions, { baseUrl = REDDIT_URL } = {}) {
     this.logger = logger;
-    this.parser = new Parser({
-      timeout: 30000, // 30 second timeout
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.9',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'DNT': '1',
-        'Connection': 'keep-alive',
-        'Upgrade-Insecure-Requests': '1'
-      }
-    });
+    this.httpClient = httpClient;
+    this.baseUrl = baseUrl;
+    this.parser = new Parser();
+    this.feedCache = new Map(); // feed URL -> { etag, lastModified, posts } of the last full response
+    this.postCache = new TtlCache(cacheOptions.postTtlMinutes * 60 * 1000, cacheOptions.maxPosts);
+    this.rulesCache = new TtlCache(RULES_TTL_MS, MAX_CACHED_RULES);
+    this.cacheStats = this.emptyCacheStats();
   }
 
   /**
-   * Fetch full post content from Reddit JSON API
+   * @returns {Object} - Zeroed cache counters
+   */
+  emptyCacheStats() {
+    return { feedHits: 0, feedMisses: 0, postHits: 0, postMisses: 0 };
+  }
+
+  /**
+   * Get the cache hit/miss counts since the last call and reset them
+   * @returns {{feedHits: number, feedMisses: number, postHits: number, postMisses: number}} - Counts
+   * (a feed hit is a 304 Not Modified response)
+   */
+  takeCacheStats() {
+    const stats = this.cacheStats;
+    this.cacheStats = this.emptyCacheStats();
+    return stats;
+  }
+
+  /**
+   * Fetch post details (full text, flair, author) from Reddit JSON API
    * @param {string} postUrl - Reddit post URL
-   * @returns {Promise<string|null>} - Full post text or null if failed
+   * @returns {Promise<Object|null>} - { selftext, flair, author, id, title, subreddit } or null if failed
    */
-  async fetchFullPostContent(postUrl) {
+  async fetchPostDetails(postUrl) {
     try {
       // Convert post URL to JSON endpoint
       const jsonUrl = postUrl.endsWith('.json') ? postUrl : `${postUrl}.json`;
 
-      this.logger.debug(`Fetching full post content: ${jsonUrl}`);
-
-      const response = await fetch(jsonUrl, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-        }
-      });
-
-      if (!response.ok) {
-        this.logger.error(`Failed to fetch post JSON: ${response.status}`);
-        return null;
+      // Retries and re-analysis of the same post reuse the details fetched earlier
+      const cached = this.postCache.get(jsonUrl);
+      if (cached) {
+        this.cacheStats.postHits++;
+        this.logger.debug(`Using cached post content: ${jsonUrl}`);
+        return cached;
       }
+      this.cacheStats.postMisses++;
+
+      this.logger.debug(`Fetching full post content: ${jsonUrl}`);
 
-      const data = await response.json();
+      const data = await this.fetchPostJson(jsonUrl);
       const postData = data[0]?.data?.children?.[0]?.data;
 
       if (!postData) {
@@ -48,51 +83,246 @@ class RssService {
         return null;
       }
 
-      // Return selftext (text posts) or empty if it's a link/media post
-      return postData.selftext || '';
+      const details = {
+        // selftext is empty for link/media posts
+        selftext: postData.selftext || '',
+        flair: postData.link_flair_text || null,
+        author: postData.author || null,
+        id: postData.name || null,
+        title: postData.title || '',
+        subreddit: postData.subreddit || null
+      };
+      this.postCache.set(jsonUrl, details);
+
+      return details;
 
     } catch (error) {
-      this.logger.error(`Error fetching full post content: ${error.message}`);
+      this.logger.error(`Error fetching full post content for ${postUrl}: ${error.message}`);
       return null;
     }
   }
 
   /**
-   * Fetch and parse RSS feed for a subreddit
-   * @param {string} subreddit - Name of the subreddit (without r/)
-   * @returns {Promise<Object>} - Object with success status and posts array
+   * Load one of Reddit's public JSON pages (a post: [post listing, comment tree listing])
+   * @param {string} jsonUrl - URL of the post's .json page
+   * @returns {Promise<Object[]>} - Parsed JSON
+   * @throws {Error} - If the request fails
+   */
+  async fetchPostJson(jsonUrl) {
+    const response = await this.httpClient.request(jsonUrl, {
+      headers: {
+        'User-Agent': FEED_HEADERS['User-Agent']
+      }
+    });
+    return response.json();
+  }
+
+  /**
+   * Fetch a subreddit's rules as plain text, one numbered rule per line
+   * @param {string} subreddit - Subreddit name
+   * @returns {Promise<string>} - Rules text, or an empty string if they can't be loaded
+   */
+  async fetchSubredditRules(subreddit) {
+    const key = subreddit.toLowerCase();
+    const cached = this.rulesCache.get(key);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    try {
+      const data = await this.fetchPostJson(`${this.baseUrl}/r/${subreddit}/about/rules.json`);
+      const rules = (data.rules || [])
+        .map((rule, index) => `${index + 1}. ${rule.short_name}${rule.description ? `: ${rule.description.replace(/\s+/g, ' ').trim()}` : ''}`)
+        .join('\n');
+      this.rulesCache.set(key, rules);
+      return rules;
+    } catch (error) {
+      this.logger.error(`Error fetching rules of r/${subreddit}: ${error.message}`);
+      return '';
+    }
+  }
+
+  /**
+   * Fetch the comments of a post, fresh (never cached), flattened in tree
+   * order so a parent always comes before its replies. Comments hidden behind
+   * "load more" links in very large threads aren't included.
+   * @param {string} postUrl - Reddit post URL
+   * @returns {Promise<Object[]>} - Comments: { id, parentId, author, body, createdAt, link }
+   * @throws {Error} - If the request fails
+   */
+  async fetchComments(postUrl) {
+    const jsonUrl = postUrl.endsWith('.json') ? postUrl : `${postUrl}.json`;
+    const data = await this.fetchPostJson(`${jsonUrl}?sort=new&limit=500&raw_json=1`);
+
+    const comments = [];
+    const walk = children => {
+      for (const child of children || []) {
+        if (child.kind !== 't1') {
+          continue;
+        }
+        const comment = child.data;
+        comments.push({
+          id: comment.name,
+          parentId: comment.parent_id,
+          author: comment.author || null,
+          body: comment.body || '',
+          createdAt: comment.created_utc * 1000,
+          link: `${this.baseUrl}${comment.permalink}`
+        });
+        walk(comment.replies?.data?.children);
+      }
+    };
+    walk(data[1]?.data?.children);
+
+    return comments;
+  }
+
+  /**
+   * Fetch full post content from Reddit JSON API
+   * @param {string} postUrl - Reddit post URL
+   * @returns {Promise<string|null>} - Full post text or null if failed
+   */
+  async fetchFullPostContent(postUrl) {
+    const details = await this.fetchPostDetails(postUrl);
+    return details ? details.selftext : null;
+  }
+
+  /**
+   * Build the feed URL of a source. Reddit listings are requested newest
+   * first, which the per-feed cursor relies on.
+   * @param {Object} source - Source (see config/monitors.js)
+   * @returns {string} - RSS/Atom URL
+   */
+  getFeedUrl(source) {
+    switch (source.type) {
+      case 'search': {
+        const query = new URLSearchParams({ q: source.query, sort: 'new' });
+        if (source.subreddit) {
+          query.set('restrict_sr', 'on');
+          return `${this.baseUrl}/r/${source.subreddit}/search.rss?${query}`;
+        }
+        return `${this.baseUrl}/search.rss?${query}`;
+      }
+      case 'user':
+        return `${this.baseUrl}/user/${source.name}/submitted/.rss?sort=new`;
+      case 'multireddit':
+        return source.subreddits
+          ? `${this.baseUrl}/r/${source.subreddits.join('+')}/new/.rss`
+          : `${this.baseUrl}/user/${source.user}/m/${source.name}/new/.rss`;
+      case 'feed':
+        return source.url;
+      default:
+        return `${this.baseUrl}/r/${source.name}/new/.rss`;
+    }
+  }
+
+  /**
+   * Convert a feed item into the post shape used across the app
+   * @param {Object} item - Parsed feed item
+   * @param {Object} source - Source the item came from
+   * @returns {Object} - Post
    */
-  async fetchFeed(subreddit) {
+  normalizeItem(item, source) {
+    const post = {
+      id: item.id || item.guid || item.link,
+      title: item.title,
+      link: item.link,
+      pubDate: item.pubDate || item.isoDate,
+      subreddit: source.type === 'subreddit' ? source.name : null,
+      source: { type: source.type, id: source.id, label: source.label },
+      author: item.author ? item.author.replace(/^\/u\//, '') : null,
+      content: item.content,
+      contentSnippet: item.contentSnippet
+    };
+
+    if (source.type === 'feed') {
+      // Not a Reddit post - there is no .json page to fetch the details from,
+      // and the author isn't a Reddit user
+      return { ...post, author: null, flair: null, fullContent: item.contentSnippet || '' };
+    }
+
+    if (!post.subreddit) {
+      // Search, user and multireddit results span subreddits
+      post.subreddit = item.link?.match(/\/r\/([A-Za-z0-9_]+)\/comments\//)?.[1] || null;
+    }
+    return post;
+  }
+
+  /**
+   * Fetch and parse the RSS/Atom feed of a source
+   * @param {Object} source - Source to fetch (see config/monitors.js)
+   * @returns {Promise<Object>} - Object with success status, the source and the posts array
+   */
+  async fetchFeed(source) {
+    // A source that keeps failing is paused for a while instead of retried every check
+    const circuitKey = source.id;
+    const pausedUntil = this.httpClient.getCircuitOpenUntil(circuitKey);
+    if (pausedUntil) {
+      const error = `paused after repeated failures until ${new Date(pausedUntil).toISOString()}`;
+      this.logger.info(`Skipping RSS for ${source.label}: ${error}`);
+      return {
+        success: false,
+        source,
+        error,
+        posts: []
+      };
+    }
+
     try {
-      const url = `https://www.reddit.com/r/${subreddit}/.rss`;
+      const url = this.getFeedUrl(source);
       this.logger.debug(`Fetching RSS feed: ${url}`);
 
-      const feed = await this.parser.parseURL(url);
+      // Send the validators of the last response so an unchanged feed comes back as a bodyless 304
+      const cached = this.feedCache.get(url);
+      const headers = { ...FEED_HEADERS };
+      if (cached?.etag) {
+        headers['If-None-Match'] = cached.etag;
+      }
+      if (cached?.lastModified) {
+        headers['If-Modified-Since'] = cached.lastModified;
+      }
 
-      // Parse posts from feed items
-      const posts = feed.items.map(item => ({
-        id: item.id || item.guid,
-        title: item.title,
-        link: item.link,
-        pubDate: item.pubDate || item.isoDate,
-        subreddit: subreddit,
-        content: item.content,
-        contentSnippet: item.contentSnippet
-      }));
+      const response = await this.httpClient.request(url, { headers });
 
-      this.logger.debug(`Fetched ${posts.length} posts from r/${subreddit}`);
+      if (response.status === 304 && cached) {
+        this.cacheStats.feedHits++;
+        this.logger.debug(`${source.label} not modified, reusing ${cached.posts.length} posts`);
+        this.httpClient.recordResult(circuitKey, true);
+        return {
+          success: true,
+          source,
+          notModified: true,
+          posts: cached.posts
+        };
+      }
+      this.cacheStats.feedMisses++;
+
+      const feed = await this.parser.parseString(await response.text());
+      const posts = feed.items.map(item => this.normalizeItem(item, source));
+
+      this.logger.debug(`Fetched ${posts.length} posts from ${source.label}`);
+      this.httpClient.recordResult(circuitKey, true);
+
+      const etag = response.headers.get('etag');
+      const lastModified = response.headers.get('last-modified');
+      if (etag || lastModified) {
+        this.feedCache.set(url, { etag, lastModified, posts });
+      } else {
+        this.feedCache.delete(url);
+      }
 
       return {
         success: true,
-        subreddit,
+        source,
         posts
       };
 
     } catch (error) {
-      this.logger.error(`Failed to fetch RSS for r/${subreddit}: ${error.message}`);
+      this.logger.error(`Failed to fetch RSS for ${source.label}: ${error.message}`);
+      this.httpClient.recordResult(circuitKey, false);
       return {
         success: false,
-        subreddit,
+        source,
         error: error.message,
         posts: []
       };
@@ -100,21 +330,22 @@ class RssService {
   }
 
   /**
-   * Fetch RSS feeds for multiple subreddits
-   * @param {string[]} subreddits - Array of subreddit names
-   * @returns {Promise<Object[]>} - Array of results from each subreddit
+   * Fetch RSS feeds for multiple sources
+   * @param {Object[]} sources - Sources to fetch
+   * @returns {Promise<Object[]>} - Array of results from each source
    */
-  async fetchMultipleFeeds(subreddits) {
-    this.logger.info(`Fetching RSS feeds for ${subreddits.length} subreddits: ${subreddits.join(', ')}`);
+  async fetchMultipleFeeds(sources) {
+    this.logger.info(`Fetching RSS feeds for ${sources.length} source(s): ${sources.map(source => source.label).join(', ')}`);
 
     const results = await Promise.all(
-      subreddits.map(subreddit => this.fetchFeed(subreddit))
+      sources.map(source => this.fetchFeed(source))
     );
 
     const successCount = results.filter(r => r.success).length;
     const failureCount = results.filter(r => !r.success).length;
 
-    this.logger.info(`Fetch complete: ${successCount} succeeded, ${failureCount} failed`);
+    const failures = results.filter(r => !r.success).map(r => `${r.source.label}: ${r.error}`);
+    this.logger.info(`Fetch complete: ${successCount} succeeded, ${failureCount} failed${failures.length > 0 ? ` (${failures.join('; ')})` : ''}`);
 
     return results;
   }
@@ -0,0 +1,246 @@
+import { randomUUID } from 'crypto';
+import { toTimestamp } from '../utils/dateUtils.js';
+import { getPostOrigin } from '../utils/sources.js';
+
+const RUNS_NAMESPACE = 'runs';
+const POSTS_NAMESPACE = 'postLog';
+// How much history the dashboard keeps
+const MAX_RUNS = 100;
+const MAX_POSTS = 500;
+// Body text kept per post - enough for an excerpt
+const MAX_EXCERPT = 300;
+
+/**
+ * Records what each feed check did - the feeds fetched, every new post, the
+ * filter and AI decisions and the notification status - in the state store,
+ * for the dashboard and its JSON API.
+ */
+class RunHistory {
+  /**
+   * @param {Object} logger - Logger instance
+   * @param {Object} store - State store used to persist the history
+   */
+  constructor(logger, store) {
+    this.logger = logger;
+    this.store = store; // namespaces 'runs' (runId -> run) and 'postLog' (feedKey/postId -> post record)
+  }
+
+  /**
+   * Start recording a feed check
+   * @param {Object[]} monitors - Monitors being checked
+   * @returns {Object} - Run record, passed to the other record methods
+   */
+  startRun(monitors) {
+    const run = {
+      id: randomUUID().substring(0, 8),
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      monitors: monitors.map(monitor => monitor.name),
+      feeds: [],
+      counts: { fetched: 0, new: 0, filtered: 0, skipped: 0, notified: 0 },
+      cache: null,
+      error: null
+    };
+
+    this.store.set(RUNS_NAMESPACE, run.id, run);
+    return run;
+  }
+
+  /**
+   * Record the outcome of fetching each feed
+   * @param {Object} run - Run record
+   * @param {Object[]} results - Feed results from RssService
+   */
+  recordFeeds(run, results) {
+    run.feeds = results.map(result => ({
+      source: result.source.label,
+      type: result.source.type,
+      backend: result.backend,
+      success: result.success,
+      notModified: Boolean(result.notModified),
+      posts: result.success ? result.posts.length : 0,
+      error: result.error || null
+    }));
+    run.counts.fetched = run.feeds.reduce((sum, feed) => sum + feed.posts, 0);
+    this.store.set(RUNS_NAMESPACE, run.id, run);
+  }
+
+  /**
+   * Record the feed and post-detail cache hits and misses of a run
+   * @param {Object} run - Run record
+   * @param {Object} stats - Counts from RssService.takeCacheStats()
+   */
+  recordCache(run, stats) {
+    run.cache = stats;
+    this.store.set(RUNS_NAMESPACE, run.id, run);
+  }
+
+  /**
+   * Record the new posts a monitor processed and what happened to each
+   * @param {Object} run - Run record
+   * @param {Object} monitor - Monitor the posts belong to
+   * @param {Object[]} rejected - Posts rejected by the pre-filter rules
+   * @param {Object[]} analyzed - Accepted posts, with AI results if AI ran
+   */
+  recordPosts(run, monitor, rejected, analyzed) {
+    const recordedAt = new Date().toISOString();
+    const record = (post, status) => {
+      this.store.set(POSTS_NAMESPACE, this.postKey(post), {
+        key: this.postKey(post),
+        runId: run.id,
+        recordedAt,
+        monitor: monitor.name,
+        subreddit: post.subreddit,
+        source: getPostOrigin(post),
+        id: post.id,
+        title: post.title,
+        link: post.link,
+        author: post.author || null,
+        flair: post.flair || null,
+        pubDate: post.pubDate,
+        excerpt: (post.fullContent || post.contentSnippet || '').substring(0, MAX_EXCERPT),
+        status,
+        filterRule: post.filterRule || null,
+        aiNote: post.aiNote || null,
+        ai: post.shouldReply === undefined ? null : {
+          shouldReply: post.shouldReply,
+          reason: post.skipReason || null,
+          reply: post.aiReply || null,
+          analysis: post.analysis || null,
+          promptVersion: post.promptVersion || null
+        },
+        approvalUrl: post.approval?.editUrl || null,
+        notification: status === 'queued' ? { status: 'pending', channels: {} } : null
+      });
+    };
+
+    rejected.forEach(post => record(post, 'filtered'));
+    analyzed.forEach(post => record(post, post.skipped ? 'skipped' : 'queued'));
+
+    run.counts.new += rejected.length + analyzed.length;
+    run.counts.filtered += rejected.length;
+    run.counts.skipped += analyzed.filter(post => post.skipped).length;
+    run.counts.notified += analyzed.filter(post => !post.skipped).length;
+    this.store.set(RUNS_NAMESPACE, run.id, run);
+  }
+
+  /**
+   * Record the result of a delivery attempt for posts in the outbox
+   * @param {Object[]} posts - Posts that were sent
+   * @param {string} status - pending, delivered or failed
+   * @param {Object<string, boolean>} channels - Outcome per channel so far
+   */
+  recordNotification(posts, status, channels) {
+    for (const post of posts) {
+      const entry = this.store.get(POSTS_NAMESPACE, this.postKey(post));
+      if (entry) {
+        entry.notification = { status, channels, updatedAt: new Date().toISOString() };
+        this.store.set(POSTS_NAMESPACE, entry.key, entry);
+      }
+    }
+  }
+
+  /**
+   * Finish recording a feed check and drop history beyond the limits
+   * @param {Object} run - Run record
+   * @param {Error} [error] - Error that aborted the check, if any
+   */
+  finishRun(run, error = null) {
+    run.finishedAt = new Date().toISOString();
+    run.error = error ? error.message : null;
+    this.store.set(RUNS_NAMESPACE, run.id, run);
+
+    this.prune(RUNS_NAMESPACE, MAX_RUNS, 'startedAt');
+    this.prune(POSTS_NAMESPACE, MAX_POSTS, 'recordedAt');
+  }
+
+  /**
+   * Drop the oldest records of a namespace beyond a limit
+   * @param {string} namespace - Namespace to prune
+   * @param {number} limit - Number of records to keep
+   * @param {string} field - ISO date field to order by
+   */
+  prune(namespace, limit, field) {
+    const records = Array.from(this.store.entries(namespace))
+      .sort(([, a], [, b]) => a[field].localeCompare(b[field]));
+
+    records.slice(0, Math.max(0, records.length - limit))
+      .forEach(([key]) => this.store.delete(namespace, key));
+  }
+
+  /**
+   * Build the key a post is recorded under
+   * @param {Object} post - Post object with id and feedKey
+   * @returns {string} - Record key
+   */
+  postKey(post) {
+    return `${post.feedKey}/${post.id}`;
+  }
+
+  /**
+   * Get recent runs, newest first
+   * @param {number} limit - Maximum number of runs
+   * @returns {Object[]} - Run records
+   */
+  getRuns(limit = MAX_RUNS) {
+    return Array.from(this.store.entries(RUNS_NAMESPACE), ([, run]) => run)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Get recently processed posts, newest first
+   * @param {Object} query - Optional filters
+   * @param {number} query.limit - Maximum number of posts
+   * @param {string} query.monitor - Only posts from this monitor
+   * @param {string} query.status - Only posts with this status (filtered, skipped, queued)
+   * @param {string} query.runId - Only posts from this run
+   * @param {string} query.promptVersion - Only posts analyzed with this prompt version
+   * @returns {Object[]} - Post records
+   */
+  getPosts({ limit = MAX_POSTS, monitor, status, runId, promptVersion } = {}) {
+    return Array.from(this.store.entries(POSTS_NAMESPACE), ([, post]) => post)
+      .filter(post => (!monitor || post.monitor === monitor)
+        && (!status || post.status === status)
+        && (!runId || post.runId === runId)
+        && (!promptVersion || post.ai?.promptVersion === promptVersion))
+      .sort((a, b) => b.recordedAt.localeCompare(a.recordedAt) || toTimestamp(b.pubDate) - toTimestamp(a.pubDate))
+      .slice(0, limit);
+  }
+
+  /**
+   * Summarize the AI decisions per prompt version, to compare versions
+   * @returns {Object[]} - Per version: { promptVersion, analyzed, replies, skipped,
+   *   averageRelevance, categories }, most used first
+   */
+  getPromptStats() {
+    const stats = new Map();
+    for (const [, post] of this.store.entries(POSTS_NAMESPACE)) {
+      const version = post.ai?.promptVersion;
+      if (!version) {
+        continue;
+      }
+      if (!stats.has(version)) {
+        stats.set(version, { promptVersion: version, analyzed: 0, replies: 0, skipped: 0, relevanceSum: 0, scored: 0, categories: {} });
+      }
+      const entry = stats.get(version);
+      entry.analyzed += 1;
+      entry.replies += post.ai.shouldReply ? 1 : 0;
+      entry.skipped += post.status === 'skipped' ? 1 : 0;
+      if (post.ai.analysis) {
+        entry.scored += 1;
+        entry.relevanceSum += post.ai.analysis.relevance;
+        entry.categories[post.ai.analysis.category] = (entry.categories[post.ai.analysis.category] || 0) + 1;
+      }
+    }
+
+    return [...stats.values()]
+      .map(({ relevanceSum, scored, ...entry }) => ({
+        ...entry,
+        averageRelevance: scored > 0 ? Math.round((relevanceSum / scored) * 100) / 100 : null
+      }))
+      .sort((a, b) => b.analyzed - a.analyzed);
+  }
+}
+
+export default RunHistory;
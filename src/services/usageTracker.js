@@ -0,0 +1,146 @@
+const USAGE_NAMESPACE = 'aiUsage';
+// Days of usage history kept
+const MAX_DAYS = 90;
+
+/**
+ * Create an empty usage counter
+ * @returns {Object} - { requests, promptTokens, completionTokens, cost }
+ */
+function emptyTotals() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+}
+
+/**
+ * Add one completion to a usage counter
+ * @param {Object} totals - Counter to update
+ * @param {Object} usage - Token counts of the completion
+ * @param {number} cost - Estimated cost of the completion
+ */
+function addUsage(totals, usage, cost) {
+  totals.requests += 1;
+  totals.promptTokens += usage.promptTokens;
+  totals.completionTokens += usage.completionTokens;
+  totals.cost += cost;
+}
+
+/**
+ * Records the tokens used by every AI completion and their estimated cost,
+ * with daily totals per model and per post origin (subreddit or feed), and
+ * enforces the daily budget. Days are UTC calendar days.
+ */
+class UsageTracker {
+  /**
+   * @param {Object} config - Application config (uses config.ai.dailyBudget and config.ai.prices)
+   * @param {Object} logger - Logger instance
+   * @param {Object} store - State store used to persist the usage
+   */
+  constructor(config, logger, store) {
+    this.logger = logger;
+    this.store = store; // namespace 'aiUsage' (YYYY-MM-DD -> day totals)
+    this.dailyBudget = config.ai.dailyBudget;
+    this.prices = config.ai.prices;
+    this.unpricedModels = new Set();
+  }
+
+  /**
+   * Get today's key
+   * @returns {string} - UTC date, e.g. 2025-01-31
+   */
+  today() {
+    return new Date().toISOString().substring(0, 10);
+  }
+
+  /**
+   * Estimate the cost of a completion
+   * @param {string} model - Model name
+   * @param {Object} usage - { promptTokens, completionTokens }
+   * @returns {number} - Cost in USD; 0 for models without a known price (e.g. local models)
+   */
+  estimateCost(model, usage) {
+    const price = this.prices[model];
+    if (!price) {
+      if (!this.unpricedModels.has(model)) {
+        this.unpricedModels.add(model);
+        this.logger.info(`No price known for AI model ${model}, counting its usage as free (set AI_MODEL_PRICES to price it)`);
+      }
+      return 0;
+    }
+    return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1000000;
+  }
+
+  /**
+   * Record the usage of one completion
+   * @param {string} model - Model that answered
+   * @param {Object} usage - { promptTokens, completionTokens }
+   * @param {string} origin - Where the analyzed post came from (e.g. r/node)
+   * @returns {number} - Estimated cost of the completion
+   */
+  record(model, usage, origin) {
+    const date = this.today();
+    const day = this.store.get(USAGE_NAMESPACE, date) || { date, ...emptyTotals(), models: {}, origins: {} };
+    const cost = this.estimateCost(model, usage);
+
+    addUsage(day, usage, cost);
+    if (!day.models[model]) {
+      day.models[model] = emptyTotals();
+    }
+    addUsage(day.models[model], usage, cost);
+    if (!day.origins[origin]) {
+      day.origins[origin] = emptyTotals();
+    }
+    addUsage(day.origins[origin], usage, cost);
+
+    this.store.set(USAGE_NAMESPACE, date, day);
+    this.cleanup();
+    return cost;
+  }
+
+  /**
+   * Drop the oldest days beyond the history limit
+   */
+  cleanup() {
+    const dates = Array.from(this.store.entries(USAGE_NAMESPACE), ([date]) => date).sort();
+    dates.slice(0, Math.max(0, dates.length - MAX_DAYS))
+      .forEach(date => this.store.delete(USAGE_NAMESPACE, date));
+  }
+
+  /**
+   * Get the usage of one day
+   * @param {string} date - UTC date (defaults to today)
+   * @returns {Object} - Day totals, with per-model and per-origin breakdowns
+   */
+  getDay(date = this.today()) {
+    return this.store.get(USAGE_NAMESPACE, date) || { date, ...emptyTotals(), models: {}, origins: {} };
+  }
+
+  /**
+   * Get the usage of the most recent days
+   * @param {number} limit - Maximum number of days
+   * @returns {Object[]} - Day totals, newest first
+   */
+  getDays(limit = 30) {
+    return Array.from(this.store.entries(USAGE_NAMESPACE), ([, day]) => day)
+      .sort((a, b) => b.date.localeCompare(a.date))
+      .slice(0, limit);
+  }
+
+  /**
+   * Check whether today's spend has reached the daily budget
+   * @returns {boolean} - True if no more AI requests should be made today
+   */
+  isBudgetExceeded() {
+    return this.dailyBudget > 0 && this.getDay().cost >= this.dailyBudget;
+  }
+
+  /**
+   * Describe today's usage for logs
+   * @returns {string} - e.g. "12 request(s), 8400 tokens, $0.0021 of $1.00 budget"
+   */
+  describeToday() {
+    const day = this.getDay();
+    const budget = this.dailyBudget > 0 ? ` of $${this.dailyBudget.toFixed(2)} budget` : '';
+    return `${day.requests} request(s), ${day.promptTokens + day.completionTokens} tokens, $${day.cost.toFixed(4)}${budget}`;
+  }
+}
+
+export default UsageTracker;
@@ -0,0 +1,22 @@
+import MemoryStore from './memoryStore.js';
+import JsonFileStore from './jsonFileStore.js';
+import SqliteStore from './sqliteStore.js';
+
+/**
+ * Create the state store selected in config
+ * @param {Object} config - Application config
+ * @param {Object} logger - Logger instance
+ * @returns {MemoryStore|JsonFileStore|SqliteStore} - Store instance (call load() before use)
+ */
+export function createStateStore(config, logger) {
+  switch (config.state.backend) {
+    case 'json':
+      return new JsonFileStore(config.state.path, logger);
+    case 'sqlite':
+      return new SqliteStore(config.state.path, logger);
+    case 'memory':
+      return new MemoryStore(logger);
+    default:
+      throw new Error(`Unknown state backend: ${config.state.backend}`);
+  }
+}
@@ -0,0 +1,107 @@
+import fs from 'fs';
+import path from 'path';
+import MemoryStore from './memoryStore.js';
+
+/**
+ * State store backed by a single JSON file.
+ * Reads and writes happen in memory; flush() writes the whole file atomically.
+ */
+class JsonFileStore extends MemoryStore {
+  constructor(filePath, logger) {
+    super(logger);
+    this.filePath = filePath;
+    this.dirty = false;
+    // Flushes run one at a time: they share the temp file
+    this.pendingFlush = Promise.resolve();
+  }
+
+  /**
+   * Load state from the JSON file (missing file means empty state)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.logger.info(`No state file at ${this.filePath}, starting with empty state`);
+        return;
+      }
+      throw error;
+    }
+
+    try {
+      const parsed = JSON.parse(raw);
+      for (const [namespace, values] of Object.entries(parsed)) {
+        this.data.set(namespace, new Map(Object.entries(values)));
+      }
+      this.logger.info(`Loaded state from ${this.filePath}`);
+    } catch (error) {
+      // Keep the unreadable file around for inspection rather than overwriting it
+      const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+      await fs.promises.rename(this.filePath, backupPath);
+      this.logger.error(`State file ${this.filePath} is not valid JSON (${error.message}), moved to ${backupPath}`);
+    }
+  }
+
+  set(namespace, key, value) {
+    super.set(namespace, key, value);
+    this.dirty = true;
+  }
+
+  delete(namespace, key) {
+    if (this.namespace(namespace).has(key)) {
+      super.delete(namespace, key);
+      this.dirty = true;
+    }
+  }
+
+  /**
+   * Write state to disk if anything changed since the last flush. Flushes
+   * requested while one is running (e.g. an approval during a check) wait for it.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    const flush = this.pendingFlush.then(() => this.write());
+    // A failed flush must not block the ones after it
+    this.pendingFlush = flush.catch(() => {});
+    return flush;
+  }
+
+  /**
+   * Write the state file (called through flush())
+   * @returns {Promise<void>}
+   */
+  async write() {
+    if (!this.dirty) {
+      return;
+    }
+
+    // Changes made while the file is written are picked up by the next flush
+    this.dirty = false;
+    const snapshot = {};
+    for (const [namespace, values] of this.data.entries()) {
+      snapshot[namespace] = Object.fromEntries(values);
+    }
+
+    // Write to a temp file and rename so a crash mid-write never truncates the state
+    const tempPath = `${this.filePath}.tmp`;
+    try {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, JSON.stringify(snapshot), 'utf8');
+      await fs.promises.rename(tempPath, this.filePath);
+    } catch (error) {
+      this.dirty = true;
+      throw error;
+    }
+
+    this.logger.debug(`State flushed to ${this.filePath}`);
+  }
+
+  async close() {
+    await this.flush();
+  }
+}
+
+export default JsonFileStore;
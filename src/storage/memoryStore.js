@@ -0,0 +1,91 @@
+/**
+ * Volatile state store - keeps everything in memory and loses it on restart.
+ * Implements the same interface as the persistent stores.
+ */
+class MemoryStore {
+  constructor(logger) {
+    this.logger = logger;
+    this.data = new Map(); // Map<namespace, Map<key, value>>
+  }
+
+  /**
+   * Load state (nothing to load for the memory store)
+   * @returns {Promise<void>}
+   */
+  async load() {
+    this.logger.debug('Using in-memory state store (state is lost on restart)');
+  }
+
+  /**
+   * Get the map backing a namespace, creating it if needed
+   * @param {string} namespace - Namespace name
+   * @returns {Map<string, *>} - Map of keys to values
+   */
+  namespace(namespace) {
+    if (!this.data.has(namespace)) {
+      this.data.set(namespace, new Map());
+    }
+    return this.data.get(namespace);
+  }
+
+  /**
+   * Get a value
+   * @param {string} namespace - Namespace name
+   * @param {string} key - Key within the namespace
+   * @returns {*} - Stored value or undefined
+   */
+  get(namespace, key) {
+    return this.namespace(namespace).get(key);
+  }
+
+  /**
+   * Set a value
+   * @param {string} namespace - Namespace name
+   * @param {string} key - Key within the namespace
+   * @param {*} value - JSON-serializable value
+   */
+  set(namespace, key, value) {
+    this.namespace(namespace).set(key, value);
+  }
+
+  /**
+   * Delete a value
+   * @param {string} namespace - Namespace name
+   * @param {string} key - Key within the namespace
+   */
+  delete(namespace, key) {
+    this.namespace(namespace).delete(key);
+  }
+
+  /**
+   * List all entries in a namespace
+   * @param {string} namespace - Namespace name
+   * @returns {Array<[string, *]>} - Array of [key, value] pairs
+   */
+  entries(namespace) {
+    return Array.from(this.namespace(namespace).entries());
+  }
+
+  /**
+   * Count the entries in a namespace
+   * @param {string} namespace - Namespace name
+   * @returns {number} - Number of entries
+   */
+  count(namespace) {
+    return this.namespace(namespace).size;
+  }
+
+  /**
+   * Persist pending changes (no-op for the memory store)
+   * @returns {Promise<void>}
+   */
+  async flush() {}
+
+  /**
+   * Release resources (no-op for the memory store)
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+export default MemoryStore;
@@ -0,0 +1,118 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * State store backed by an embedded SQLite database (better-sqlite3).
+ * Every write is committed immediately, so flush() has nothing to do.
+ */
+class SqliteStore {
+  constructor(filePath, logger) {
+    this.filePath = filePath;
+    this.logger = logger;
+    this.db = null;
+  }
+
+  /**
+   * Open the database and create the state table if needed
+   * @returns {Promise<void>}
+   */
+  async load() {
+    let Database;
+    try {
+      // Optional dependency - only required when the sqlite backend is selected
+      Database = (await import('better-sqlite3')).default;
+    } catch (error) {
+      throw new Error(`STATE_BACKEND=sqlite requires the better-sqlite3 package: ${error.message}`);
+    }
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS state (
+        namespace TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (namespace, key)
+      )
+    `);
+
+    this.statements = {
+      get: this.db.prepare('SELECT value FROM state WHERE namespace = ? AND key = ?'),
+      set: this.db.prepare('INSERT OR REPLACE INTO state (namespace, key, value) VALUES (?, ?, ?)'),
+      delete: this.db.prepare('DELETE FROM state WHERE namespace = ? AND key = ?'),
+      entries: this.db.prepare('SELECT key, value FROM state WHERE namespace = ?'),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM state WHERE namespace = ?')
+    };
+
+    this.logger.info(`Opened SQLite state store at ${this.filePath}`);
+  }
+
+  /**
+   * Get a value
+   * @param {string} namespace - Namespace name
+   * @param {string} key - Key within the namespace
+   * @returns {*} - Stored value or undefined
+   */
+  get(namespace, key) {
+    const row = this.statements.get.get(namespace, key);
+    return row ? JSON.parse(row.value) : undefined;
+  }
+
+  /**
+   * Set a value
+   * @param {string} namespace - Namespace name
+   * @param {string} key - Key within the namespace
+   * @param {*} value - JSON-serializable value
+   */
+  set(namespace, key, value) {
+    this.statements.set.run(namespace, key, JSON.stringify(value));
+  }
+
+  /**
+   * Delete a value
+   * @param {string} namespace - Namespace name
+   * @param {string} key - Key within the namespace
+   */
+  delete(namespace, key) {
+    this.statements.delete.run(namespace, key);
+  }
+
+  /**
+   * List all entries in a namespace
+   * @param {string} namespace - Namespace name
+   * @returns {Array<[string, *]>} - Array of [key, value] pairs
+   */
+  entries(namespace) {
+    return this.statements.entries.all(namespace).map(row => [row.key, JSON.parse(row.value)]);
+  }
+
+  /**
+   * Count the entries in a namespace
+   * @param {string} namespace - Namespace name
+   * @returns {number} - Number of entries
+   */
+  count(namespace) {
+    return this.statements.count.get(namespace).count;
+  }
+
+  /**
+   * Persist pending changes (writes are already committed)
+   * @returns {Promise<void>}
+   */
+  async flush() {}
+
+  /**
+   * Close the database
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+export default SqliteStore;
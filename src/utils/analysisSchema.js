@@ -0,0 +1,149 @@
+/**
+ * Fields the AI must answer with, in the JSON object it returns
+ */
+export const ANALYSIS_SCHEMA = {
+  should_reply: { type: 'boolean', description: 'true if a reply is worth posting' },
+  reply: { type: 'string', nullable: true, description: 'draft reply if should_reply is true, otherwise an empty string' },
+  reason: { type: 'string', description: 'brief explanation of the decision' },
+  relevance: { type: 'number', min: 0, max: 1, description: 'how relevant the post is, from 0 (unrelated) to 1 (exactly what we look for)' },
+  category: { type: 'string', description: 'short lowercase topic label, e.g. "question", "showcase", "discussion"' },
+  sentiment: { type: 'string', enum: ['positive', 'neutral', 'negative'], description: 'tone of the post' },
+  confidence: { type: 'number', min: 0, max: 1, description: 'how sure you are of this assessment, from 0 to 1' }
+};
+
+/**
+ * Describe the schema for the system prompt
+ * @returns {string} - Instructions listing every field
+ */
+export function describeAnalysisSchema() {
+  const fields = Object.entries(ANALYSIS_SCHEMA).map(([name, field]) => {
+    const type = field.enum ? field.enum.map(value => JSON.stringify(value)).join(' | ') : field.type;
+    return `  "${name}": ${type}${field.nullable ? ' | null' : ''} - ${field.description}`;
+  });
+  return `Answer with only a JSON object with exactly these fields:\n{\n${fields.join(',\n')}\n}`;
+}
+
+/**
+ * Check one field value against its schema entry
+ * @param {*} value - Value from the AI answer
+ * @param {Object} field - Schema entry
+ * @returns {string|null} - What is wrong, or null if the value is valid
+ */
+function checkField(value, field) {
+  if (value === undefined) {
+    return 'is missing';
+  }
+  if (value === null) {
+    return field.nullable ? null : 'must not be null';
+  }
+  if (typeof value !== field.type) {
+    return `must be a ${field.type}`;
+  }
+  if (field.enum && !field.enum.includes(value)) {
+    return `must be one of ${field.enum.join(', ')}`;
+  }
+  if (field.min !== undefined && !(value >= field.min && value <= field.max)) {
+    return `must be between ${field.min} and ${field.max}`;
+  }
+  return null;
+}
+
+/**
+ * Validate a parsed AI answer against the schema
+ * @param {*} data - Parsed JSON answer
+ * @returns {{analysis: Object|null, errors: string[]}} - The normalized analysis
+ *   ({ shouldReply, reply, reason, relevance, category, sentiment, confidence })
+ *   when valid, otherwise the problems found
+ */
+export function validateAnalysis(data) {
+  if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+    return { analysis: null, errors: ['the answer must be a JSON object'] };
+  }
+
+  const errors = Object.entries(ANALYSIS_SCHEMA)
+    .map(([name, field]) => {
+      const problem = checkField(data[name], field);
+      return problem ? `"${name}" ${problem}` : null;
+    })
+    .filter(Boolean);
+
+  if (data.should_reply === true && !(typeof data.reply === 'string' && data.reply.trim().length > 0)) {
+    errors.push('"reply" must contain the draft reply when "should_reply" is true');
+  }
+
+  if (errors.length > 0) {
+    return { analysis: null, errors };
+  }
+
+  return {
+    analysis: {
+      shouldReply: data.should_reply,
+      reply: data.should_reply ? data.reply.trim() : null,
+      reason: data.reason || 'Not relevant',
+      relevance: data.relevance,
+      category: data.category.trim().toLowerCase(),
+      sentiment: data.sentiment,
+      confidence: data.confidence
+    },
+    errors: []
+  };
+}
+
+/**
+ * Describe the answer format for a batch of posts, one schema object per post
+ * @returns {string} - Instructions listing every field
+ */
+export function describeBatchSchema() {
+  const fields = Object.entries(ANALYSIS_SCHEMA).map(([name, field]) => {
+    const type = field.enum ? field.enum.map(value => JSON.stringify(value)).join(' | ') : field.type;
+    return `      "${name}": ${type}${field.nullable ? ' | null' : ''} - ${field.description}`;
+  });
+  return `You are given several posts, each starting with a "=== Post <id> ===" line. Judge every post on its own.
+Answer with only a JSON object holding one result per post, in this shape:
+{
+  "results": [
+    {
+      "id": string - the id from the post's "=== Post <id> ===" line,
+${fields.join(',\n')}
+    }
+  ]
+}`;
+}
+
+/**
+ * Validate a parsed AI answer for a batch of posts. Results are matched to
+ * the posts by id; each one is validated on its own, so one bad entry doesn't
+ * spoil the others.
+ * @param {*} data - Parsed JSON answer
+ * @param {string[]} ids - Ids of the posts in the batch
+ * @returns {{analyses: Map<string, Object>, errors: string[]}} - Valid analyses by
+ *   post id (see validateAnalysis), and the problems found with the rest
+ */
+export function validateBatch(data, ids) {
+  const analyses = new Map();
+  if (data === null || typeof data !== 'object' || !Array.isArray(data.results)) {
+    return { analyses, errors: ['the answer must be a JSON object with a "results" array'] };
+  }
+
+  const errors = [];
+  for (const entry of data.results) {
+    const id = entry && typeof entry === 'object' ? String(entry.id) : null;
+    if (!id || !ids.includes(id)) {
+      errors.push(`result for unknown post id ${JSON.stringify(id)}`);
+      continue;
+    }
+    const { analysis, errors: entryErrors } = validateAnalysis(entry);
+    if (analysis) {
+      analyses.set(id, analysis);
+    } else {
+      errors.push(`post ${id}: ${entryErrors.join('; ')}`);
+    }
+  }
+
+  const missing = ids.filter(id => !analyses.has(id) && !data.results.some(entry => entry && String(entry.id) === id));
+  if (missing.length > 0) {
+    errors.push(`no result for post(s) ${missing.join(', ')}`);
+  }
+
+  return { analyses, errors };
+}
@@ -32,3 +32,26 @@ export function getAgeInMinutes(postDate) {
   const postTime = new Date(postDate).getTime();
   return Math.floor((now - postTime) / (60 * 1000));
 }
+
+/**
+ * Describe the age of a post in words (e.g. "12 min ago", "3 h ago")
+ * @param {Date|string} postDate - The publication date of the post
+ * @returns {string} - Human-readable age
+ */
+export function formatAge(postDate) {
+  const minutes = getAgeInMinutes(postDate);
+
+  if (Number.isNaN(minutes)) {
+    return '';
+  }
+  if (minutes < 1) {
+    return 'just now';
+  }
+  if (minutes < 60) {
+    return `${minutes} min ago`;
+  }
+  if (minutes < 24 * 60) {
+    return `${Math.floor(minutes / 60)} h ago`;
+  }
+  return `${Math.floor(minutes / (24 * 60))} d ago`;
+}
@@ -0,0 +1,34 @@
+import fs from 'fs';
+
+/**
+ * Format a would-be notification for reading on the console
+ * @param {string} channel - Channel name (email, slack, ...)
+ * @param {Object} message - Email message ({ to, subject, text, html }) or webhook payload
+ * @returns {string} - Readable text
+ */
+function formatForConsole(channel, message) {
+  const heading = `${'='.repeat(30)} DRY RUN: ${channel} ${'='.repeat(30)}`;
+  const body = channel === 'email'
+    ? `To: ${message.to.join(', ')}\nSubject: ${message.subject}\n\n${message.text}`
+    : JSON.stringify(message, null, 2);
+  return `${heading}\n${body}\n${'='.repeat(heading.length)}\n`;
+}
+
+/**
+ * Write a notification that a dry run would have sent. Without an output file
+ * it is printed to stdout; with one, it is appended as a JSON line
+ * ({ channel, writtenAt, message }), HTML body included, so runs can be diffed.
+ * @param {string} outputFile - File to append to (empty for stdout)
+ * @param {string} channel - Channel name (email, slack, ...)
+ * @param {Object} message - Email message or webhook payload
+ * @returns {Promise<void>}
+ */
+export async function writeDryRunMessage(outputFile, channel, message) {
+  if (!outputFile) {
+    process.stdout.write(formatForConsole(channel, message));
+    return;
+  }
+
+  const line = JSON.stringify({ channel, writtenAt: new Date().toISOString(), message });
+  await fs.promises.appendFile(outputFile, `${line}\n`);
+}
@@ -1,39 +1,248 @@
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import { escapeRegex } from './validation.js';
+
 const LOG_LEVELS = {
   debug: 0,
   info: 1,
   error: 2
 };
 
+// Fields added to every line logged inside withContext() (e.g. the run id of a check)
+const context = new AsyncLocalStorage();
+
+// Secrets shorter than this aren't redacted; replacing them would mangle ordinary words
+const MIN_SECRET_LENGTH = 4;
+// Credentials recognizable by their shape, whether or not they are in config
+const SECRET_PATTERNS = [
+  /\bBearer\s+[A-Za-z0-9._~+/=-]+/g,
+  /\bsk-[A-Za-z0-9_-]{16,}/g,
+  /\bmlsn\.[A-Za-z0-9]+/g
+];
+const EMAIL_PATTERN = /\b([A-Za-z0-9])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})\b/g;
+// Audit details longer than this are printed as blocks in the text format
+const MAX_INLINE_LENGTH = 120;
+
+/**
+ * Convert a log argument into something JSON.stringify keeps: errors become
+ * their message plus the HTTP details transports attach to them
+ * @param {*} value - Log argument
+ * @returns {*} - Serializable value
+ */
+function serialize(value) {
+  if (value instanceof Error) {
+    return {
+      error: value.message,
+      ...(value.status !== undefined && { status: value.status }),
+      ...(value.body !== undefined && { body: value.body })
+    };
+  }
+  return value;
+}
+
+/**
+ * Logger with two formats: readable text lines (the default) or one JSON
+ * object per line for log shippers. Lines can go to a size-rotated file as
+ * well as the console, and known secrets, credential-shaped strings and email
+ * addresses are masked before anything is written.
+ *
+ * Structured fields are attached with child() (per call site, e.g. a post id)
+ * or withContext() (for everything logged while a function runs, e.g. the run
+ * id of a check); they appear in the JSON format only.
+ */
 class Logger {
-  constructor(level = 'info') {
-    this.level = LOG_LEVELS[level] || LOG_LEVELS.info;
+  /**
+   * @param {string} level - Minimum level: debug, info or error
+   * @param {Object} options - Output options (config.logging)
+   * @param {string} options.format - text or json
+   * @param {string} options.file - Log file to append to as well as the console (optional)
+   * @param {number} options.fileMaxBytes - Size at which the log file is rotated
+   * @param {number} options.fileMaxFiles - Rotated files kept (file.1 is the newest)
+   * @param {string[]} options.secrets - Values to mask wherever they appear
+   */
+  constructor(level = 'info', { format = 'text', file = '', fileMaxBytes = 10 * 1024 * 1024, fileMaxFiles = 5, secrets = [] } = {}) {
+    this.level = LOG_LEVELS[level] !== undefined ? LOG_LEVELS[level] : LOG_LEVELS.info;
+    this.format = format;
+    this.fields = {};
+    this.secretPatterns = [...new Set(secrets)]
+      .filter(secret => typeof secret === 'string' && secret.length >= MIN_SECRET_LENGTH)
+      // Longest first, so a secret containing another one is masked whole
+      .sort((a, b) => b.length - a.length)
+      .map(secret => new RegExp(escapeRegex(secret), 'g'));
+    // Shared with child loggers
+    this.output = file ? { file, maxBytes: fileMaxBytes, maxFiles: fileMaxFiles, size: null } : null;
+  }
+
+  /**
+   * Create a logger that adds fields to every line it writes
+   * @param {Object} fields - Fields such as postId or subreddit
+   * @returns {Logger} - Logger sharing this one's settings and output
+   */
+  child(fields) {
+    const child = Object.create(this);
+    child.fields = { ...this.fields, ...fields };
+    return child;
   }
 
-  formatMessage(level, message, ...args) {
+  /**
+   * Run a function with fields added to every line logged until it finishes,
+   * including lines logged by other services it calls
+   * @param {Object} fields - Fields such as runId or monitor
+   * @param {function(): Promise<*>} fn - Function to run
+   * @returns {Promise<*>} - What the function returns
+   */
+  withContext(fields, fn) {
+    return context.run({ ...context.getStore(), ...fields }, fn);
+  }
+
+  /**
+   * Mask secrets and email addresses
+   * @param {string} text - Formatted line
+   * @returns {string} - Line safe to write
+   */
+  redact(text) {
+    let result = text;
+    for (const pattern of [...this.secretPatterns, ...SECRET_PATTERNS]) {
+      result = result.replace(pattern, '[REDACTED]');
+    }
+    return result.replace(EMAIL_PATTERN, '$1***@$2');
+  }
+
+  /**
+   * Format a log line
+   * @param {string} level - Level name (or "audit")
+   * @param {string} message - Message
+   * @param {Array} args - Extra values logged with the message
+   * @param {Object} details - Audit details (audit lines only)
+   * @returns {string} - Line without the trailing newline
+   */
+  formatMessage(level, message, args = [], details = null) {
     const timestamp = new Date().toISOString();
-    const formattedArgs = args.length > 0 ? ' ' + args.map(arg =>
+    const values = args.map(serialize);
+
+    if (this.format === 'json') {
+      return JSON.stringify({
+        time: timestamp,
+        level,
+        msg: message,
+        ...context.getStore(),
+        ...this.fields,
+        ...details,
+        ...(values.length > 0 && { details: values })
+      });
+    }
+
+    const formattedArgs = values.length > 0 ? ' ' + values.map(arg =>
       typeof arg === 'object' ? JSON.stringify(arg) : arg
     ).join(' ') : '';
-    return `[${timestamp}] [${level.toUpperCase()}] ${message}${formattedArgs}`;
+    let line = `[${timestamp}] [${level.toUpperCase()}] ${message}${formattedArgs}`;
+
+    if (details) {
+      // The [AUDIT] label already says what the line is
+      const entries = Object.entries(details).filter(([key, value]) => key !== 'audit' && value !== undefined && value !== null);
+      const isBlock = value => typeof value === 'string' && (value.includes('\n') || value.length > MAX_INLINE_LENGTH);
+      const inline = entries.filter(([, value]) => !isBlock(value));
+      if (inline.length > 0) {
+        line += ` (${inline.map(([key, value]) => `${key}=${Array.isArray(value) ? value.join(',') : value}`).join(' ')})`;
+      }
+      entries.filter(([, value]) => isBlock(value)).forEach(([key, value]) => {
+        line += `\n--- ${key} ---\n${value}`;
+      });
+    }
+
+    return line;
+  }
+
+  /**
+   * Write a line to the console and the log file
+   * @param {string} line - Formatted line
+   * @param {boolean} isError - Whether it goes to stderr
+   */
+  write(line, isError = false) {
+    const safe = this.redact(line);
+    if (isError) {
+      console.error(safe);
+    } else {
+      console.log(safe);
+    }
+    if (this.output) {
+      this.writeFile(`${safe}\n`);
+    }
+  }
+
+  /**
+   * Append a line to the log file, rotating it first if the line would take
+   * it over the size limit. Writes are synchronous so the last lines before
+   * process.exit() aren't lost.
+   * @param {string} text - Line with its newline
+   */
+  writeFile(text) {
+    const output = this.output;
+    try {
+      if (output.size === null) {
+        fs.mkdirSync(path.dirname(output.file), { recursive: true });
+        output.size = fs.existsSync(output.file) ? fs.statSync(output.file).size : 0;
+      }
+
+      const bytes = Buffer.byteLength(text);
+      if (output.size > 0 && output.size + bytes > output.maxBytes) {
+        this.rotate();
+      }
+
+      fs.appendFileSync(output.file, text);
+      output.size += bytes;
+    } catch (error) {
+      // Logging must never take the monitor down; the console still has the line
+      console.error(`Could not write to log file ${output.file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Shift the rotated files up by one (file.1 -> file.2, ...), dropping the
+   * oldest, and move the current file to file.1
+   */
+  rotate() {
+    const { file, maxFiles } = this.output;
+    fs.rmSync(`${file}.${maxFiles}`, { force: true });
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(`${file}.${index}`)) {
+        fs.renameSync(`${file}.${index}`, `${file}.${index + 1}`);
+      }
+    }
+    fs.renameSync(file, `${file}.1`);
+    this.output.size = 0;
   }
 
   debug(message, ...args) {
     if (this.level <= LOG_LEVELS.debug) {
-      console.log(this.formatMessage('debug', message, ...args));
+      this.write(this.formatMessage('debug', message, args));
     }
   }
 
   info(message, ...args) {
     if (this.level <= LOG_LEVELS.info) {
-      console.log(this.formatMessage('info', message, ...args));
+      this.write(this.formatMessage('info', message, args));
     }
   }
 
   error(message, ...args) {
     if (this.level <= LOG_LEVELS.error) {
-      console.error(this.formatMessage('error', message, ...args));
+      this.write(this.formatMessage('error', message, args), true);
     }
   }
+
+  /**
+   * Write an audit trail entry (e.g. a prompt sent to the AI). Audit entries
+   * have their own verbosity setting, so they are written at any log level.
+   * @param {string} kind - What is audited, e.g. "prompt"; the "audit" field of the line
+   * @param {string} message - Message
+   * @param {Object} details - Fields of the entry; in the text format long or
+   *   multi-line values are printed as blocks below the message
+   */
+  audit(kind, message, details = {}) {
+    this.write(this.formatMessage('audit', message, [], { audit: kind, ...details }));
+  }
 }
 
 export default Logger;
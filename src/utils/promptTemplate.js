@@ -0,0 +1,110 @@
+import { createHash } from 'crypto';
+import { renderTemplate } from './template.js';
+
+// Variables a prompt template can use
+export const PROMPT_VARIABLES = ['subreddit', 'origin', 'title', 'author', 'flair', 'content', 'subreddit_rules', 'monitor'];
+
+// Separates the system prompt from the user message in a template file
+const USER_SECTION = /^===\s*user\s*===\s*$/im;
+// Optional header block at the top of a template file: "---\nversion: v2\n---"
+const FRONT_MATTER = /^---\s*\n([\s\S]*?)\n---\s*(?:\n|$)/;
+
+// User message for templates that don't define their own
+export const DEFAULT_USER_TEMPLATE = `{{#subreddit}}Subreddit: r/{{subreddit}}{{/subreddit}}{{^subreddit}}Source: {{origin}}{{/subreddit}}
+
+Post Title: {{title}}
+
+{{#content}}Post Content:
+{{content}}{{/content}}{{^content}}Post Content: [No text content - may be link/image/video post]{{/content}}`;
+
+/**
+ * List the variable names a template refers to
+ * @param {string} text - Template text
+ * @returns {string[]} - Variable names, without duplicates
+ */
+function findVariables(text) {
+  const names = Array.from(text.matchAll(/\{\{\{?\s*[#^/]?\s*(\w+)\s*\}?\}\}/g), match => match[1]);
+  return [...new Set(names)];
+}
+
+/**
+ * Parse a prompt template file. The file holds the system prompt, optionally
+ * followed by a "=== user ===" line and the user message template, and may
+ * start with a header block giving the template's version:
+ *
+ *   ---
+ *   version: musebox-v2
+ *   ---
+ *   You are ... posts in r/{{subreddit}} ...
+ *
+ * Without a version the file name plus a hash of its content is used, so
+ * every edit gets a new version id.
+ * @param {string} text - Template file content
+ * @param {string} name - File name, for the default version id
+ * @returns {{version: string, system: string, user: string}} - Parsed template
+ * @throws {Error} - If the template is empty or uses an unknown variable
+ */
+export function parsePromptTemplate(text, name) {
+  let body = text.trim();
+  let version = null;
+
+  const header = body.match(FRONT_MATTER);
+  if (header) {
+    const line = header[1].split('\n').find(entry => /^\s*version\s*:/.test(entry));
+    version = line ? line.substring(line.indexOf(':') + 1).trim() : null;
+    body = body.substring(header[0].length).trim();
+  }
+
+  const [system, user] = body.split(USER_SECTION).map(part => part.trim());
+  if (!system) {
+    throw new Error('the system prompt is empty');
+  }
+
+  const unknown = findVariables(body).filter(variable => !PROMPT_VARIABLES.includes(variable));
+  if (unknown.length > 0) {
+    throw new Error(`unknown variable(s) ${unknown.map(variable => `{{${variable}}}`).join(', ')} (expected ${PROMPT_VARIABLES.join(', ')})`);
+  }
+
+  return {
+    version: version || `${name}@${createHash('sha256').update(text).digest('hex').substring(0, 8)}`,
+    system,
+    user: user || DEFAULT_USER_TEMPLATE
+  };
+}
+
+/**
+ * Check whether a template refers to a variable
+ * @param {Object} template - Parsed template
+ * @param {string} variable - Variable name
+ * @returns {boolean} - True if the system prompt or user message uses it
+ */
+export function usesVariable(template, variable) {
+  return findVariables(`${template.system}\n${template.user}`).includes(variable);
+}
+
+/**
+ * Render a template's system prompt and user message. Values are inserted as
+ * they are - prompts are plain text.
+ * @param {Object} template - Parsed template
+ * @param {Object} values - Variable values
+ * @returns {{system: string, user: string}} - Rendered messages
+ */
+export function renderPrompt(template, values) {
+  const options = { escape: value => String(value) };
+  return {
+    system: renderTemplate(template.system, values, options).trim(),
+    user: renderTemplate(template.user, values, options).trim()
+  };
+}
+
+/**
+ * Pick the template for a post: the monitor's template for the post's
+ * subreddit if it has one, otherwise the monitor's template
+ * @param {Object} monitor - Monitor config (prompt and subredditPrompts)
+ * @param {Object} post - Post object
+ * @returns {Object} - Parsed template
+ */
+export function selectPrompt(monitor, post) {
+  const prompts = monitor.subredditPrompts || {};
+  return (post.subreddit && prompts[post.subreddit.toLowerCase()]) || monitor.prompt;
+}
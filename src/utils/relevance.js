@@ -0,0 +1,40 @@
+/**
+ * Score a post by how relevant the AI judged it. Posts without a relevance
+ * score fall back to the reply decision: posts the AI wants to reply to rank
+ * highest, then posts that weren't analyzed, then posts it skipped.
+ * @param {Object} post - Post object
+ * @returns {number} - Score from 0 to 1 (higher is more relevant)
+ */
+export function getRelevanceScore(post) {
+  if (typeof post.analysis?.relevance === 'number') {
+    return post.analysis.relevance;
+  }
+  if (post.shouldReply === true) {
+    return 1;
+  }
+  return post.skipped ? 0 : 0.5;
+}
+
+/**
+ * Compare two posts for sorting, most relevant first and newest first within a score
+ * @param {Object} a - First post
+ * @param {Object} b - Second post
+ * @returns {number} - Negative if a sorts first
+ */
+export function compareByRelevance(a, b) {
+  return getRelevanceScore(b) - getRelevanceScore(a)
+    || new Date(b.pubDate).getTime() - new Date(a.pubDate).getTime();
+}
+
+/**
+ * Summarize the AI's scores for display
+ * @param {Object} post - Post object
+ * @returns {string|null} - e.g. "82% relevant · question · positive", or null if not scored
+ */
+export function describeAnalysis(post) {
+  if (!post.analysis) {
+    return null;
+  }
+  const { relevance, category, sentiment } = post.analysis;
+  return `${Math.round(relevance * 100)}% relevant · ${category} · ${sentiment}`;
+}
@@ -0,0 +1,12 @@
+/**
+ * Describe where a post came from: its subreddit for Reddit posts, otherwise
+ * the label of the feed it was found in
+ * @param {Object} post - Post object with subreddit and source
+ * @returns {string} - e.g. "r/node" or "news.ycombinator.com"
+ */
+export function getPostOrigin(post) {
+  if (post.subreddit) {
+    return `r/${post.subreddit}`;
+  }
+  return post.source?.label || 'unknown source';
+}
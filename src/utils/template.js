@@ -0,0 +1,50 @@
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped text
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a template with a small mustache-like syntax:
+ *   {{name}}                  - value, HTML-escaped
+ *   {{{name}}}                - value, inserted as-is
+ *   {{#name}}...{{/name}}     - block rendered only if value is truthy
+ *   {{^name}}...{{/name}}     - block rendered only if value is falsy
+ * Missing values render as empty strings.
+ * @param {string} template - Template text
+ * @param {Object} values - Values by name
+ * @param {Object} options - Rendering options
+ * @param {function(*): string} options.escape - Escape function for {{name}} (defaults to HTML)
+ * @returns {string} - Rendered text
+ */
+export function renderTemplate(template, values, { escape = escapeHtml } = {}) {
+  const lookup = name => {
+    const value = values[name];
+    return value === undefined || value === null ? '' : value;
+  };
+
+  // Resolve blocks repeatedly so nested blocks are handled too
+  const sectionPattern = /\{\{([#^])\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g;
+  let text = template;
+  let previous;
+  do {
+    previous = text;
+    text = text.replace(sectionPattern, (match, type, name, inner) => {
+      const truthy = Boolean(lookup(name));
+      return (type === '#') === truthy ? inner : '';
+    });
+  } while (text !== previous);
+
+  // One pass over the template, so braces inside inserted values are left alone
+  return text.replace(/\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g, (match, rawName, name) => (
+    rawName ? String(lookup(rawName)) : escape(lookup(name))
+  ));
+}
@@ -0,0 +1,48 @@
+/**
+ * In-memory cache whose entries expire a fixed time after they were stored.
+ * When it is full the oldest entry is dropped to make room.
+ */
+class TtlCache {
+  /**
+   * @param {number} ttlMs - How long an entry stays valid
+   * @param {number} maxEntries - Maximum number of entries kept
+   */
+  constructor(ttlMs, maxEntries) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // key -> { value, expiresAt }, oldest first
+  }
+
+  /**
+   * Look up an entry
+   * @param {string} key - Cache key
+   * @returns {*} - Cached value, or undefined if missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Store an entry, replacing any existing one
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+export default TtlCache;
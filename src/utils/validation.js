@@ -0,0 +1,57 @@
+/**
+ * Validate email format
+ * @param {string} email - Email address to validate
+ * @returns {boolean} - True if valid email format
+ */
+export function isValidEmail(email) {
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return emailRegex.test(email);
+}
+
+/**
+ * Check that a value is a plain object (not null or an array)
+ * @param {*} value - Value to check
+ * @returns {boolean} - True if value is a plain object
+ */
+export function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Escape a string for literal use inside a regex
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+export function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check that a value is an absolute http(s) URL, safe to use as a link target
+ * (unlike javascript: or data: URLs from untrusted feeds)
+ * @param {string} value - URL to check
+ * @returns {boolean} - True for http: and https: URLs
+ */
+export function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Compile a regex written either as a bare pattern (matched case-insensitively)
+ * or in /pattern/flags form
+ * @param {string} value - Pattern text
+ * @returns {RegExp} - Compiled regex
+ * @throws {SyntaxError} - If the pattern is invalid
+ */
+export function parseRegex(value) {
+  const literal = value.match(/^\/(.+)\/([a-z]*)$/s);
+  if (!literal) {
+    return new RegExp(value, 'i');
+  }
+  // Stateful flags would make repeated test() calls skip matches
+  return new RegExp(literal[1], literal[2].replace(/[gy]/g, ''));
+}
@@ -0,0 +1,168 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import AIService from '../src/services/aiService.js';
+import UsageTracker from '../src/services/usageTracker.js';
+import MemoryStore from '../src/storage/memoryStore.js';
+import { parsePromptTemplate } from '../src/utils/promptTemplate.js';
+import { createTestConfig, createTestLogger, createTestMonitor } from './helpers/testConfig.js';
+import { startMockOpenAI, aiAnswer } from './helpers/mockApis.js';
+
+const post = fields => ({
+  id: 't3_abc',
+  title: 'How do I stream a file?',
+  subreddit: 'node',
+  author: 'alice',
+  flair: 'Help',
+  fullContent: 'I need to stream a large file.',
+  ...fields
+});
+
+describe('AIService', () => {
+  let openai;
+  // Answers for the next completions, in order; the default answer once they run out
+  let answers = [];
+
+  before(async () => {
+    openai = await startMockOpenAI(() => (answers.length > 0 ? answers.shift() : aiAnswer()));
+  });
+
+  after(() => openai.close());
+
+  beforeEach(() => {
+    answers = [];
+    openai.requests.length = 0;
+  });
+
+  /**
+   * @param {Object} ai - Settings to override (config.ai)
+   * @param {Object} options - Collaborators (usageTracker, rssService)
+   * @param {Object} logging - Settings to override (config.logging)
+   * @param {Object} logger - Logger (a new test logger by default)
+   * @returns {AIService} - Service using the mock OpenAI server
+   */
+  function createService(ai = {}, options = {}, logging = {}, logger = createTestLogger()) {
+    const config = createTestConfig();
+    return new AIService(createTestConfig({
+      ai: { providers: ['openai'], openai: { ...config.ai.openai, baseUrl: `${openai.url}/v1` }, ...ai },
+      logging
+    }), logger, options);
+  }
+
+  it('is disabled without providers', async () => {
+    const service = new AIService(createTestConfig(), createTestLogger());
+    const posts = [post()];
+
+    assert.equal(service.isEnabled(), false);
+    assert.equal(await service.analyzeAllPosts(posts), posts);
+  });
+
+  it('renders the monitor prompt and maps the answer onto the post', async () => {
+    const monitor = createTestMonitor({ ai: { enabled: true, minRelevance: 0.5 } });
+    const [analyzed] = await createService().analyzeAllPosts([post()], monitor);
+
+    const [request] = openai.requests;
+    assert.equal(request.json.model, 'gpt-4o-mini');
+    assert.equal(request.json.messages[0].role, 'system');
+    assert.ok(request.json.messages[0].content.startsWith('You review posts in r/node.\n\nAnswer with only a JSON object'));
+    assert.ok(request.json.messages[1].content.includes('Post Title: How do I stream a file?'));
+    assert.ok(request.json.messages[1].content.includes('I need to stream a large file.'));
+
+    assert.equal(analyzed.shouldReply, true);
+    assert.equal(analyzed.aiReply, 'Use fs.createReadStream and pipe it into the response.');
+    assert.deepEqual(analyzed.analysis, { relevance: 0.9, category: 'question', sentiment: 'neutral', confidence: 0.8 });
+    assert.match(analyzed.promptVersion, /^test-prompt@[0-9a-f]{8}$/);
+    assert.equal(analyzed.skipped, false);
+  });
+
+  it('marks posts below the relevance threshold as skipped', async () => {
+    answers = [aiAnswer({ should_reply: false, reply: '', reason: 'Off topic', relevance: 0.2 })];
+    const [analyzed] = await createService().analyzeAllPosts([post()], createTestMonitor({ ai: { enabled: true, minRelevance: 0.5 } }));
+
+    assert.equal(analyzed.skipped, true);
+    assert.equal(analyzed.skipReason, 'Relevance 0.2 below 0.5: Off topic');
+  });
+
+  it('asks once more when the answer does not match the schema', async () => {
+    answers = ['{"should_reply": "yes"}', `Here you go: ${JSON.stringify(aiAnswer({ relevance: 0.7 }))}`];
+    const result = await createService().generateReply(post());
+
+    assert.equal(result.relevance, 0.7);
+    assert.equal(openai.requests.length, 2);
+    const repair = openai.requests[1].json.messages[1].content;
+    assert.ok(repair.includes('Your previous answer was:\n{"should_reply": "yes"}'));
+    assert.ok(repair.includes('- "should_reply" must be a boolean'));
+  });
+
+  it('gives up after a failed repair', async () => {
+    answers = ['not json', 'still not json'];
+    const result = await createService().generateReply(post());
+
+    assert.deepEqual(result, {
+      shouldReply: false, reply: null, reason: 'AI response error', relevance: null, category: null, sentiment: null, confidence: null
+    });
+  });
+
+  it('sends short posts in one batch and analyzes missing ones on their own', async () => {
+    answers = [{ results: [{ id: 't3_a', ...aiAnswer({ relevance: 0.6 }) }] }, aiAnswer({ relevance: 0.4 })];
+    const analyzed = await createService({ batchSize: 5 }).analyzeAllPosts([post({ id: 't3_a' }), post({ id: 't3_b' })], createTestMonitor());
+
+    assert.deepEqual(analyzed.map(p => p.analysis.relevance), [0.6, 0.4]);
+    assert.equal(openai.requests.length, 2);
+    assert.ok(openai.requests[0].json.messages[1].content.startsWith('=== Post t3_a ===\n'));
+    assert.ok(openai.requests[0].json.messages[1].content.includes('\n\n=== Post t3_b ===\n'));
+  });
+
+  it('fills in the subreddit rules only for templates that use them', async () => {
+    const rulesFetched = [];
+    const rssService = {
+      fetchSubredditRules: async subreddit => {
+        rulesFetched.push(subreddit);
+        return '1. Be nice';
+      }
+    };
+    const monitor = createTestMonitor({
+      subredditPrompts: { deno: parsePromptTemplate('Rules of r/{{subreddit}}:\n{{subreddit_rules}}', 'deno') }
+    });
+
+    await createService({}, { rssService }).analyzeAllPosts([post(), post({ id: 't3_d', subreddit: 'deno' })], monitor);
+
+    assert.deepEqual(rulesFetched, ['deno']);
+    assert.ok(openai.requests.some(request => request.json.messages[0].content.startsWith('Rules of r/deno:\n1. Be nice')));
+  });
+
+  it('records token usage and stops analyzing once the daily budget is spent', async () => {
+    const logger = createTestLogger();
+    const config = createTestConfig({ ai: { dailyBudget: 0.00001 } });
+    const usageTracker = new UsageTracker(config, logger, new MemoryStore(logger));
+    const service = createService({ concurrency: 1 }, { usageTracker });
+
+    const analyzed = await service.analyzeAllPosts([post({ id: 't3_a' }), post({ id: 't3_b' })], createTestMonitor());
+
+    assert.equal(openai.requests.length, 1);
+    assert.equal(analyzed[0].analysis.relevance, 0.9);
+    assert.match(analyzed[1].aiNote, /budget/);
+    assert.deepEqual(usageTracker.getDay().origins['r/node'], {
+      requests: 1, promptTokens: 100, completionTokens: 20, cost: (100 * 0.15 + 20 * 0.6) / 1000000
+    });
+  });
+
+  it('audits prompts as summaries, in full or not at all', async () => {
+    const audited = async prompts => {
+      const logger = createTestLogger();
+      await createService({}, {}, { prompts }, logger).analyzeAllPosts([post()], createTestMonitor());
+      return logger.messages.filter(entry => entry.level === 'audit').map(entry => entry.fields);
+    };
+
+    const [summary] = await audited('summary');
+    assert.equal(summary.audit, 'prompt');
+    assert.equal(summary.postId, 't3_abc');
+    assert.equal(summary.subreddit, 'node');
+    assert.ok(summary.userChars > 0);
+    assert.equal(summary.user, undefined);
+
+    const [full] = await audited('full');
+    assert.ok(full.user.includes('Post Title: How do I stream a file?'));
+
+    assert.deepEqual(await audited('off'), []);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateAnalysis, validateBatch } from '../src/utils/analysisSchema.js';
+import { aiAnswer } from './helpers/mockApis.js';
+
+describe('analysisSchema', () => {
+  it('normalizes a valid answer', () => {
+    assert.deepEqual(validateAnalysis(aiAnswer({ category: ' Question ', reply: ' Use streams. ' })), {
+      analysis: {
+        shouldReply: true,
+        reply: 'Use streams.',
+        reason: 'A question we can answer',
+        relevance: 0.9,
+        category: 'question',
+        sentiment: 'neutral',
+        confidence: 0.8
+      },
+      errors: []
+    });
+  });
+
+  it('drops the reply when the AI would not reply', () => {
+    const { analysis } = validateAnalysis(aiAnswer({ should_reply: false, reply: null }));
+    assert.equal(analysis.reply, null);
+  });
+
+  it('lists every problem with an invalid answer', () => {
+    const { analysis, errors } = validateAnalysis({ ...aiAnswer({ relevance: 2, sentiment: 'happy', reply: '' }), category: undefined });
+
+    assert.equal(analysis, null);
+    assert.deepEqual(errors, [
+      '"relevance" must be between 0 and 1',
+      '"category" is missing',
+      '"sentiment" must be one of positive, neutral, negative',
+      '"reply" must contain the draft reply when "should_reply" is true'
+    ]);
+    assert.deepEqual(validateAnalysis([]).errors, ['the answer must be a JSON object']);
+  });
+
+  it('matches batch results to posts by id', () => {
+    const { analyses, errors } = validateBatch({
+      results: [
+        { id: 'a', ...aiAnswer({ relevance: 0.1 }) },
+        { id: 'b', ...aiAnswer({ confidence: 'high' }) },
+        { id: 'x', ...aiAnswer() }
+      ]
+    }, ['a', 'b', 'c']);
+
+    assert.deepEqual([...analyses.keys()], ['a']);
+    assert.equal(analyses.get('a').relevance, 0.1);
+    assert.deepEqual(errors, [
+      'post b: "confidence" must be a number',
+      'result for unknown post id "x"',
+      'no result for post(s) c'
+    ]);
+  });
+});
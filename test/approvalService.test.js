@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import ApprovalService from '../src/services/approvalService.js';
+import MemoryStore from '../src/storage/memoryStore.js';
+import { createTestConfig, createTestLogger, createTestMonitor } from './helpers/testConfig.js';
+
+describe('ApprovalService', () => {
+  it('lets a reply interrupted while posting be approved again or rejected', async () => {
+    const logger = createTestLogger();
+    const store = new MemoryStore(logger);
+    const config = createTestConfig({ approvals: { enabled: true, publicUrl: 'http://127.0.0.1:9' } });
+    const service = new ApprovalService(config, logger, store, null);
+    const [post] = service.createApprovals(createTestMonitor(), [{
+      id: 't3_abc', title: 'How do I stream a file?', link: 'https://www.reddit.com/r/node/comments/abc/post/',
+      subreddit: 'node', shouldReply: true, aiReply: 'Use streams.'
+    }]);
+    const token = post.approval.approveUrl.split('/').at(-2);
+    // The process stopped after saving the posting state
+    service.update(service.get(token), 'posting');
+
+    assert.equal(service.recoverInterrupted(), 1);
+
+    assert.equal(service.get(token).status, 'failed');
+    assert.match(service.get(token).error, /Interrupted while posting/);
+    assert.equal(service.getAuditTrail()[0].action, 'post_interrupted');
+    assert.equal((await service.reject(token, '127.0.0.1')).status, 'rejected');
+  });
+
+  it('keeps an approval approvable when it cannot be saved', async () => {
+    const logger = createTestLogger();
+    const store = new MemoryStore(logger);
+    const config = createTestConfig({ approvals: { enabled: true, publicUrl: 'http://127.0.0.1:9' } });
+    const redditClient = { postComment: async () => assert.fail('nothing is posted before the approval is saved') };
+    const service = new ApprovalService(config, logger, store, redditClient);
+    const [post] = service.createApprovals(createTestMonitor(), [{
+      id: 't3_abc', title: 'How do I stream a file?', link: 'https://www.reddit.com/r/node/comments/abc/post/',
+      subreddit: 'node', shouldReply: true, aiReply: 'Use streams.'
+    }]);
+    const token = post.approval.approveUrl.split('/').at(-2);
+    store.flush = async () => {
+      throw new Error('disk full');
+    };
+
+    await assert.rejects(service.approve(token, 'Use streams!', '127.0.0.1'), /Could not save the approval: disk full/);
+    assert.equal(service.get(token).status, 'pending');
+    assert.equal(service.get(token).reply, null);
+  });
+});
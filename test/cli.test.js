@@ -0,0 +1,25 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseArgs } from '../src/cli.js';
+
+describe('cli', () => {
+  describe('parseArgs', () => {
+    it('defaults to the start command', () => {
+      assert.deepEqual(parseArgs([]), { command: 'start', positional: [], options: {} });
+    });
+
+    it('splits the command, its arguments and options', () => {
+      assert.deepEqual(parseArgs(['seen', 'list', '--monitor', 'audio']), {
+        command: 'seen',
+        positional: ['list'],
+        options: { monitor: 'audio' }
+      });
+      assert.deepEqual(parseArgs(['check-once', '-h']).options, { help: true });
+    });
+
+    it('flags bad options as usage errors', () => {
+      assert.throws(() => parseArgs(['seen', 'list', '--monitor']), error => error.usage && /needs a monitor name/.test(error.message));
+      assert.throws(() => parseArgs(['--verbose']), error => error.usage && /Unknown option: --verbose/.test(error.message));
+    });
+  });
+});
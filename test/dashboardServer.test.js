@@ -0,0 +1,56 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import DashboardServer from '../src/services/dashboardServer.js';
+import RunHistory from '../src/services/runHistory.js';
+import MemoryStore from '../src/storage/memoryStore.js';
+import { createTestConfig, createTestLogger, createTestMonitor } from './helpers/testConfig.js';
+
+const post = fields => ({
+  id: 't3_abc',
+  title: 'How do I stream a file?',
+  link: 'https://www.reddit.com/r/node/comments/abc/post/',
+  subreddit: 'node',
+  pubDate: new Date().toISOString(),
+  feedKey: 'default:node',
+  ...fields
+});
+
+describe('DashboardServer', () => {
+  it('links posts only to web URLs', () => {
+    const logger = createTestLogger();
+    const runHistory = new RunHistory(logger, new MemoryStore(logger));
+    const monitor = createTestMonitor();
+    const run = runHistory.startRun([monitor]);
+    runHistory.recordPosts(run, monitor, [
+      post(),
+      post({ id: 'x1', title: 'Feed item', link: 'javascript:alert(document.cookie)', feedKey: 'default:feed' })
+    ], []);
+
+    const html = new DashboardServer(createTestConfig(), logger, runHistory).renderDashboard({}, null);
+
+    assert.ok(html.includes('<a href="https://www.reddit.com/r/node/comments/abc/post/">How do I stream a file?</a>'));
+    assert.ok(html.includes('Feed item'));
+    assert.ok(!html.includes('javascript:'));
+  });
+
+  it('rejects a token that only matches in length of characters', () => {
+    const logger = createTestLogger();
+    const server = new DashboardServer(createTestConfig({ dashboard: { token: 'secret' } }), logger, new RunHistory(logger, new MemoryStore(logger)));
+    const check = (authorization, query = '') => server.isAuthorized({ headers: { authorization } }, new URL(`http://localhost/${query}`));
+
+    assert.equal(check('Bearer secret'), true);
+    assert.equal(check('Bearer sécret'), false);
+    assert.equal(check(undefined, '?token=secreé'), false);
+    assert.equal(check('Bearer nope'), false);
+  });
+
+  it('trusts X-Forwarded-For only behind a configured proxy', () => {
+    const logger = createTestLogger();
+    const runHistory = new RunHistory(logger, new MemoryStore(logger));
+    const req = { headers: { 'x-forwarded-for': '203.0.113.9, 10.0.0.2' }, socket: { remoteAddress: '127.0.0.1' } };
+    const server = trustProxy => new DashboardServer(createTestConfig({ dashboard: { token: '', trustProxy } }), logger, runHistory);
+
+    assert.equal(server(false).getClientAddress(req), '127.0.0.1');
+    assert.equal(server(true).getClientAddress(req), '10.0.0.2');
+  });
+});
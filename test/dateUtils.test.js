@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isWithinTimeWindow, toTimestamp, getAgeInMinutes, formatAge } from '../src/utils/dateUtils.js';
+
+const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000);
+
+describe('dateUtils', () => {
+  describe('isWithinTimeWindow', () => {
+    it('accepts dates inside the window', () => {
+      assert.equal(isWithinTimeWindow(minutesAgo(5), 10), true);
+      assert.equal(isWithinTimeWindow(minutesAgo(5).toISOString(), 10), true);
+    });
+
+    it('rejects dates older than the window', () => {
+      assert.equal(isWithinTimeWindow(minutesAgo(15), 10), false);
+    });
+
+    it('rejects dates in the future', () => {
+      assert.equal(isWithinTimeWindow(minutesAgo(-5), 10), false);
+    });
+  });
+
+  describe('toTimestamp', () => {
+    it('converts dates and date strings to milliseconds', () => {
+      assert.equal(toTimestamp('2024-01-02T03:04:05.000Z'), Date.UTC(2024, 0, 2, 3, 4, 5));
+      assert.equal(toTimestamp(new Date(1000)), 1000);
+    });
+
+    it('returns NaN for invalid dates', () => {
+      assert.ok(Number.isNaN(toTimestamp('not a date')));
+    });
+  });
+
+  describe('getAgeInMinutes', () => {
+    it('rounds the age down to whole minutes', () => {
+      assert.equal(getAgeInMinutes(new Date(Date.now() - 90 * 1000)), 1);
+      assert.equal(getAgeInMinutes(minutesAgo(42)), 42);
+    });
+  });
+
+  describe('formatAge', () => {
+    it('describes the age in the largest whole unit', () => {
+      assert.equal(formatAge(new Date()), 'just now');
+      assert.equal(formatAge(minutesAgo(12)), '12 min ago');
+      assert.equal(formatAge(minutesAgo(3 * 60 + 59)), '3 h ago');
+      assert.equal(formatAge(minutesAgo(2 * 24 * 60 + 1)), '2 d ago');
+    });
+
+    it('returns an empty string for invalid dates', () => {
+      assert.equal(formatAge(undefined), '');
+      assert.equal(formatAge('not a date'), '');
+    });
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import EmailService from '../src/services/emailService.js';
+import { createTestConfig, createTestLogger, createTestMonitor } from './helpers/testConfig.js';
+import { startMockMailerSend } from './helpers/mockApis.js';
+
+const post = fields => ({
+  id: 't3_abc',
+  title: 'How do I stream a file?',
+  link: 'https://www.reddit.com/r/node/comments/abc/post/',
+  subreddit: 'node',
+  author: 'alice',
+  fullContent: 'I need to stream a large <b>file</b>.',
+  pubDate: new Date(Date.now() - 12 * 60 * 1000).toISOString(),
+  ...fields
+});
+
+describe('EmailService', () => {
+  describe('formatting', () => {
+    const service = new EmailService(createTestConfig(), createTestLogger());
+
+    it('formats a plain post', () => {
+      assert.equal(service.formatPostText(post(), 0),
+        '1.\nr/node\nHow do I stream a file?\nhttps://www.reddit.com/r/node/comments/abc/post/');
+    });
+
+    it('adds the analysis and the suggested reply', () => {
+      const text = service.formatPostText(post({
+        analysis: { relevance: 0.87, category: 'question', sentiment: 'neutral', confidence: 0.9 },
+        shouldReply: true,
+        aiReply: 'Use streams.\nThey are great.'
+      }), 1);
+
+      assert.ok(text.startsWith('2.\n'));
+      assert.ok(text.includes('\n\nAI: 87% relevant · question · neutral'));
+      assert.ok(text.endsWith('\n\nAI Suggested Reply:\nUse streams.\nThey are great.'));
+    });
+
+    it('explains why the AI would not reply', () => {
+      const text = service.formatPostText(post({ shouldReply: false, skipReason: 'Off topic' }), 0);
+      assert.ok(text.endsWith('\n\nAI Decision: NO REPLY\nReason: Off topic'));
+    });
+
+    it('includes the approval links and comment bodies', () => {
+      const text = service.formatPostText(post({
+        kind: 'comment',
+        fullContent: 'Nice answer',
+        approval: { approveUrl: 'http://a', editUrl: 'http://e', rejectUrl: 'http://r' }
+      }), 0);
+
+      assert.ok(text.includes('\n\nu/alice: Nice answer'));
+      assert.ok(text.endsWith('\n\nApprove: http://a\nEdit: http://e\nReject: http://r'));
+    });
+
+    it('wraps the posts in a heading and footer', () => {
+      assert.equal(service.formatEmailBody([post()]),
+        `You have 1 new Reddit post:\n\n${service.formatPostText(post(), 0)}\n\n---\nReddit RSS Monitor`);
+      assert.ok(service.formatEmailBody([post(), post()], 'new_comments').startsWith('You have 2 new comments on watched threads:\n\n'));
+    });
+
+    it('groups a digest by origin', () => {
+      const body = service.formatDigestBody([{ origin: 'r/node', posts: [post()] }, { origin: 'r/deno', posts: [post({ subreddit: 'deno' })] }], 2);
+
+      assert.ok(body.startsWith('Your Reddit digest: 2 posts from 2 sources\n\n== r/node (1) ==\n\n1.\nr/node'));
+      assert.ok(body.includes('\n\n== r/deno (1) ==\n\n1.\nr/deno'));
+    });
+
+    it('renders escaped HTML cards with the monitor name', () => {
+      const html = service.formatEmailHtml([post()], createTestMonitor({ name: 'audio' }));
+
+      assert.ok(html.includes('How do I stream a file?'));
+      assert.ok(html.includes('&lt;b&gt;file&lt;/b&gt;'));
+      assert.ok(html.includes('12 min ago'));
+      assert.ok(html.includes('audio'));
+    });
+
+    it('leaves out links that are not web URLs', () => {
+      const unsafe = post({ link: 'javascript:alert(document.cookie)' });
+      const html = service.formatEmailHtml([unsafe], createTestMonitor());
+
+      assert.equal(service.formatPostText(unsafe, 0), '1.\nr/node\nHow do I stream a file?');
+      assert.ok(html.includes('How do I stream a file?'));
+      assert.ok(!html.includes('javascript:'));
+    });
+
+    it('keeps template syntax in post text as written', () => {
+      const html = service.formatEmailHtml([post({ fullContent: 'In Vue use {{ count }} or {{{heading}}}' })], createTestMonitor());
+
+      assert.ok(html.includes('In Vue use {{ count }} or {{{heading}}}'));
+    });
+  });
+
+  describe('sending through MailerSend', () => {
+    let mailerSend;
+    let failingMailerSend;
+
+    before(async () => {
+      mailerSend = await startMockMailerSend();
+      failingMailerSend = await startMockMailerSend({ status: 422 });
+    });
+
+    after(async () => {
+      await mailerSend.close();
+      await failingMailerSend.close();
+    });
+
+    /**
+     * @param {Object} server - Mock MailerSend server
+     * @param {Object} env - Settings to override (config.env)
+     * @returns {EmailService} - Service sending to the mock server
+     */
+    function createService(server, env = {}) {
+      return new EmailService(createTestConfig({
+        mailersend: { baseUrl: `${server.url}/v1` },
+        env
+      }), createTestLogger());
+    }
+
+    it('sends the text and HTML bodies to the monitor recipients', async () => {
+      const monitor = createTestMonitor({ recipients: ['a@example.com', 'b@example.com'] });
+
+      assert.equal(await createService(mailerSend).send([post()], { monitor }), true);
+
+      const [request] = mailerSend.requests;
+      assert.equal(request.headers.authorization, 'Bearer test-token');
+      assert.deepEqual(request.json.from, { email: 'from@example.com', name: 'Reddit RSS Monitor' });
+      assert.deepEqual(request.json.to.map(recipient => recipient.email), ['a@example.com', 'b@example.com']);
+      assert.equal(request.json.subject, 'New Reddit post from r/node');
+      assert.ok(request.json.text.includes('How do I stream a file?'));
+      assert.ok(request.json.html.includes('How do I stream a file?'));
+    });
+
+    it('leaves out skipped posts and marks development emails', async () => {
+      const requestCount = mailerSend.requests.length;
+      const service = createService(mailerSend, { isDevelopment: true });
+
+      assert.equal(await service.sendNotification([post({ skipped: true })]), false);
+      assert.equal(mailerSend.requests.length, requestCount);
+
+      assert.equal(await service.sendNotification([post(), post({ id: 't3_def' }), post({ skipped: true })]), true);
+      assert.equal(mailerSend.requests.at(-1).json.subject, '[dev] 2 new Reddit posts');
+    });
+
+    it('reports a rejected email as not sent', async () => {
+      const logger = createTestLogger();
+      const service = new EmailService(createTestConfig({ mailersend: { baseUrl: `${failingMailerSend.url}/v1` } }), logger);
+
+      assert.equal(await service.sendNotification([post()]), false);
+      assert.ok(logger.messages.some(entry => entry.level === 'error' && entry.message.includes('The given data was invalid.')));
+    });
+  });
+});
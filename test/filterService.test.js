@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import FilterService from '../src/services/filterService.js';
+import { validateFilters } from '../src/config/monitors.js';
+import { createTestConfig, createTestLogger, createTestMonitor } from './helpers/testConfig.js';
+
+/**
+ * Normalize a filters block the way the monitors file loader does
+ * @param {Object} raw - Filters block
+ * @returns {Object} - { rules }
+ */
+function filters(raw) {
+  const errors = [];
+  const normalized = validateFilters(raw, 'filters', errors);
+  assert.deepEqual(errors, []);
+  return normalized;
+}
+
+const post = fields => ({ id: 'p1', title: 'Looking for a synth plugin', fullContent: 'Any recommendations for a free synth?', flair: 'Question', ...fields });
+
+describe('FilterService', () => {
+  it('accepts every post when there are no rules', () => {
+    const service = new FilterService(createTestConfig(), createTestLogger());
+    assert.deepEqual(service.evaluate(post(), createTestMonitor()), { accepted: true, rule: 'default (no include rules)' });
+  });
+
+  it('matches keywords as whole words only', () => {
+    const service = new FilterService(createTestConfig({ filters: filters({ excludeKeywords: ['art'] }) }), createTestLogger());
+    const monitor = createTestMonitor();
+
+    assert.equal(service.evaluate(post({ title: 'Where do I start?' }), monitor).accepted, true);
+    assert.deepEqual(service.evaluate(post({ title: 'Cover art for my EP' }), monitor), { accepted: false, rule: 'global/excludeKeywords' });
+  });
+
+  it('lets exclude rules win over include rules', () => {
+    const service = new FilterService(createTestConfig({
+      filters: filters({ includeKeywords: ['synth'], excludeKeywords: ['free'] })
+    }), createTestLogger());
+
+    assert.equal(service.evaluate(post(), createTestMonitor()).accepted, false);
+  });
+
+  it('rejects posts no include rule matches', () => {
+    const service = new FilterService(createTestConfig(), createTestLogger());
+    const monitor = createTestMonitor({ filters: filters({ includeKeywords: ['drums'] }) });
+
+    assert.deepEqual(service.evaluate(post(), monitor), { accepted: false, rule: 'default (no include rule matched)' });
+  });
+
+  it('combines the global rules with the monitor rules', () => {
+    const service = new FilterService(createTestConfig({ filters: filters({ excludeKeywords: ['spam'] }) }), createTestLogger());
+    const monitor = createTestMonitor({ filters: filters({ includeKeywords: ['synth'] }) });
+
+    assert.deepEqual(service.evaluate(post(), monitor), { accepted: true, rule: 'default/includeKeywords' });
+    assert.equal(service.evaluate(post({ title: 'synth spam' }), monitor).accepted, false);
+  });
+
+  it('checks regexes, flair and body length against the chosen fields', () => {
+    const service = new FilterService(createTestConfig({
+      filters: filters({
+        rules: [
+          { name: 'questions', action: 'include', regex: ['/\\?$/'], fields: ['body'], flair: ['question'], minBodyLength: 10 }
+        ]
+      })
+    }), createTestLogger());
+    const monitor = createTestMonitor();
+
+    assert.deepEqual(service.evaluate(post(), monitor), { accepted: true, rule: 'global/questions' });
+    assert.equal(service.evaluate(post({ flair: 'Showcase' }), monitor).accepted, false);
+    assert.equal(service.evaluate(post({ fullContent: 'Why?' }), monitor).accepted, false);
+    assert.equal(service.evaluate(post({ fullContent: 'Any recommendations for a free synth.' }), monitor).accepted, false);
+  });
+
+  it('splits posts into accepted and rejected, tagged with the deciding rule', () => {
+    const service = new FilterService(createTestConfig({ filters: filters({ minBodyLength: 20 }) }), createTestLogger());
+
+    const { accepted, rejected } = service.applyFilters([post(), post({ id: 'p2', fullContent: 'Short' })], createTestMonitor());
+
+    assert.deepEqual(accepted.map(p => p.id), ['p1']);
+    assert.deepEqual(rejected.map(p => [p.id, p.filterRule]), [['p2', 'global/minBodyLength']]);
+  });
+});
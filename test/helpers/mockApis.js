@@ -0,0 +1,209 @@
+import { startMockServer } from './mockServer.js';
+
+/**
+ * Escape text for an XML element or attribute
+ * @param {string} value - Text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a test post as the mock Reddit serves it
+ * @param {Object} fields - Fields to override
+ * @returns {Object} - Post: { id, subreddit, title, author, selftext, flair, minutesAgo, comments }
+ */
+export function redditPost(fields = {}) {
+  return {
+    id: 'abc123',
+    subreddit: 'node',
+    title: 'How do I stream a file?',
+    author: 'alice',
+    selftext: 'I need to stream a large file to the browser.',
+    flair: null,
+    minutesAgo: 5,
+    comments: [],
+    ...fields
+  };
+}
+
+/**
+ * Build a subreddit Atom feed the way Reddit formats it
+ * @param {Object[]} posts - Posts (see redditPost), newest first
+ * @param {string} baseUrl - URL the post links point at
+ * @returns {string} - Atom XML
+ */
+export function buildAtomFeed(posts, baseUrl) {
+  const entries = posts.map(post => {
+    const published = new Date(Date.now() - post.minutesAgo * 60 * 1000).toISOString();
+    return `<entry>
+  <author><name>/u/${escapeXml(post.author)}</name><uri>${baseUrl}/user/${escapeXml(post.author)}</uri></author>
+  <category term="${escapeXml(post.subreddit)}" label="r/${escapeXml(post.subreddit)}"/>
+  <content type="html">${escapeXml(`<div class="md"><p>${post.selftext}</p></div>`)}</content>
+  <id>t3_${post.id}</id>
+  <link href="${baseUrl}/r/${post.subreddit}/comments/${post.id}/post/"/>
+  <updated>${published}</updated>
+  <published>${published}</published>
+  <title>${escapeXml(post.title)}</title>
+</entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+<title>newest submissions</title>
+<updated>${new Date().toISOString()}</updated>
+${entries.join('\n')}
+</feed>`;
+}
+
+/**
+ * Build the .json page of a post: [post listing, comment tree listing]
+ * @param {Object} post - Post (see redditPost)
+ * @param {Object[]} comments - Top-level comments ({ id, author, body, minutesAgo })
+ * @returns {Object[]} - Reddit JSON
+ */
+export function buildPostJson(post, comments = []) {
+  return [
+    {
+      kind: 'Listing',
+      data: {
+        children: [{
+          kind: 't3',
+          data: {
+            name: `t3_${post.id}`,
+            title: post.title,
+            author: post.author,
+            selftext: post.selftext,
+            link_flair_text: post.flair,
+            subreddit: post.subreddit
+          }
+        }]
+      }
+    },
+    {
+      kind: 'Listing',
+      data: {
+        children: comments.map(comment => ({
+          kind: 't1',
+          data: {
+            name: `t1_${comment.id}`,
+            parent_id: `t3_${post.id}`,
+            author: comment.author,
+            body: comment.body,
+            created_utc: Math.floor((Date.now() - (comment.minutesAgo || 0) * 60 * 1000) / 1000),
+            permalink: `/r/${post.subreddit}/comments/${post.id}/post/${comment.id}/`,
+            replies: ''
+          }
+        }))
+      }
+    }
+  ];
+}
+
+/**
+ * Start a stand-in for www.reddit.com serving the new-posts feed, the post
+ * pages and the rules of each subreddit, and a search feed matching titles
+ * @param {Object[]} posts - Posts to serve (see redditPost); the array can be changed between checks
+ * @param {Object} options - Server options
+ * @param {Object<string, Object[]>} options.rules - Rules per subreddit ({ short_name, description })
+ * @returns {Promise<Object>} - Mock server (see startMockServer)
+ */
+export async function startMockReddit(posts, { rules = {} } = {}) {
+  return startMockServer({
+    // Matched per request, so posts added between checks are served too
+    '*': request => {
+      const baseUrl = `http://${request.headers.host}`;
+
+      const feed = request.path.match(/^\/r\/(\w+)\/new\/\.rss$/);
+      if (feed) {
+        return {
+          headers: { 'Content-Type': 'application/atom+xml; charset=UTF-8' },
+          body: buildAtomFeed(posts.filter(post => post.subreddit === feed[1]), baseUrl)
+        };
+      }
+
+      // Site-wide search: posts whose title contains the query
+      if (request.path === '/search.rss') {
+        const query = (request.query.get('q') || '').toLowerCase();
+        return {
+          headers: { 'Content-Type': 'application/atom+xml; charset=UTF-8' },
+          body: buildAtomFeed(posts.filter(post => post.title.toLowerCase().includes(query)), baseUrl)
+        };
+      }
+
+      const about = request.path.match(/^\/r\/(\w+)\/about\/rules\.json$/);
+      if (about) {
+        return { body: { rules: rules[about[1]] || [] } };
+      }
+
+      const page = request.path.match(/^\/r\/(\w+)\/comments\/(\w+)\/post\/?\.json$/);
+      const post = page && posts.find(candidate => candidate.subreddit === page[1] && candidate.id === page[2]);
+      return post ? { body: buildPostJson(post, post.comments) } : null;
+    }
+  });
+}
+
+/**
+ * Build an analysis answer in the shape the AI is asked for
+ * @param {Object} fields - Fields to override
+ * @returns {Object} - Answer: { should_reply, reply, reason, relevance, category, sentiment, confidence }
+ */
+export function aiAnswer(fields = {}) {
+  return {
+    should_reply: true,
+    reply: 'Use fs.createReadStream and pipe it into the response.',
+    reason: 'A question we can answer',
+    relevance: 0.9,
+    category: 'question',
+    sentiment: 'neutral',
+    confidence: 0.8,
+    ...fields
+  };
+}
+
+/**
+ * Start a stand-in for the OpenAI chat completions API (POST /v1/chat/completions)
+ * @param {Function} answer - Gets the recorded request and returns the assistant message:
+ *   a string, or an object sent as JSON
+ * @returns {Promise<Object>} - Mock server (see startMockServer)
+ */
+export async function startMockOpenAI(answer = () => aiAnswer()) {
+  return startMockServer({
+    'POST /v1/chat/completions': async request => {
+      const content = await answer(request);
+      return {
+        body: {
+          id: `chatcmpl-${request.json.messages.length}`,
+          object: 'chat.completion',
+          created: Math.floor(Date.now() / 1000),
+          model: request.json.model,
+          choices: [{
+            index: 0,
+            message: { role: 'assistant', content: typeof content === 'string' ? content : JSON.stringify(content) },
+            finish_reason: 'stop'
+          }],
+          usage: { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 }
+        }
+      };
+    }
+  });
+}
+
+/**
+ * Start a stand-in for the MailerSend API (POST /v1/email)
+ * @param {Object} options - Server options
+ * @param {number} options.status - Status to answer with (202 accepts the email)
+ * @returns {Promise<Object>} - Mock server (see startMockServer)
+ */
+export async function startMockMailerSend({ status = 202 } = {}) {
+  return startMockServer({
+    'POST /v1/email': () => (status === 202
+      ? { status, headers: { 'X-Message-Id': 'mock-message-id' } }
+      : { status, body: { message: 'The given data was invalid.' } })
+  });
+}
@@ -0,0 +1,61 @@
+import http from 'http';
+
+/**
+ * Start a local HTTP server standing in for an external API. Routes are keyed
+ * "METHOD /path" (the query string is ignored); a handler gets the recorded
+ * request and returns { status, headers, body } - a non-string body is sent
+ * as JSON. A "*" route handles every request no other route matches; without
+ * one, unknown routes answer 404.
+ * @param {Object<string, Function>} routes - Handlers by "METHOD /path"
+ * @returns {Promise<{url: string, requests: Object[], close: Function}>} - Base URL of the
+ *   server, every request it received ({ method, path, query, headers, body, json }) and
+ *   a function that stops it
+ */
+export async function startMockServer(routes) {
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const body = Buffer.concat(chunks).toString('utf8');
+    let json = null;
+    try {
+      json = body ? JSON.parse(body) : null;
+    } catch {
+      // Not every request body is JSON
+    }
+
+    const request = { method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body, json };
+    requests.push(request);
+
+    const handler = routes[`${req.method} ${url.pathname}`] || routes['*'];
+    let reply;
+    try {
+      reply = (handler && await handler(request)) || { status: 404, body: { error: `no route for ${req.method} ${url.pathname}` } };
+    } catch (error) {
+      reply = { status: 500, body: { error: error.message } };
+    }
+
+    const isText = typeof reply.body === 'string';
+    res.writeHead(reply.status || 200, {
+      'Content-Type': isText ? 'text/plain' : 'application/json',
+      ...reply.headers
+    });
+    res.end(reply.body === undefined ? '' : isText ? reply.body : JSON.stringify(reply.body));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
@@ -0,0 +1,125 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parsePromptTemplate } from '../../src/utils/promptTemplate.js';
+
+const templatesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../src/templates');
+
+/**
+ * Logger that keeps its messages instead of printing them
+ * @returns {Object} - Logger with the methods of utils/logger.js; messages holds
+ *   { level, message, fields } entries (audit entries have level "audit")
+ */
+export function createTestLogger() {
+  const messages = [];
+  const create = fields => {
+    const log = level => (message, ...args) => {
+      const text = [message, ...args].map(arg => (typeof arg === 'object' ? JSON.stringify(arg) : arg)).join(' ');
+      messages.push({ level, message: text, fields });
+    };
+    return {
+      debug: log('debug'),
+      info: log('info'),
+      error: log('error'),
+      audit: (kind, message, details = {}) => {
+        messages.push({ level: 'audit', message, fields: { ...fields, audit: kind, ...details } });
+      },
+      child: childFields => create({ ...fields, ...childFields }),
+      withContext: (contextFields, fn) => fn(),
+      messages
+    };
+  };
+  return create({});
+}
+
+/**
+ * Build a monitor as config/monitors.js normalizes it
+ * @param {Object} fields - Fields to override
+ * @returns {Object} - Monitor watching r/node
+ */
+export function createTestMonitor(fields = {}) {
+  return {
+    name: 'default',
+    sources: [{ type: 'subreddit', id: 'node', label: 'r/node', name: 'node', backend: 'rss' }],
+    recipients: ['to@example.com'],
+    digestRecipients: [],
+    backfillLimit: 5,
+    filters: { rules: [] },
+    ai: { enabled: true, minRelevance: 0 },
+    prompt: parsePromptTemplate('You review posts in r/{{subreddit}}.', 'test-prompt'),
+    subredditPrompts: {},
+    ...fields
+  };
+}
+
+/**
+ * Build an application config for tests, with every external service
+ * disabled or pointing nowhere. Each section of overrides is merged into the
+ * matching section of the defaults.
+ * @param {Object} overrides - Config sections to override
+ * @returns {Object} - Config in the shape of config/env.js
+ */
+export function createTestConfig(overrides = {}) {
+  const defaults = {
+    env: { nodeEnv: 'test', isDevelopment: false, isProduction: false },
+    mailersend: { apiToken: 'test-token', baseUrl: 'http://127.0.0.1:9/v1' },
+    smtp: { host: '', port: 587, secure: false, requireTls: false, user: '', pass: '', tlsRejectUnauthorized: true },
+    email: {
+      transport: 'mailersend',
+      fromEmail: 'from@example.com',
+      fromName: 'Reddit RSS Monitor',
+      toEmail: 'to@example.com',
+      templates: {
+        layout: fs.readFileSync(path.join(templatesDir, 'email.html'), 'utf8'),
+        post: fs.readFileSync(path.join(templatesDir, 'email-post.html'), 'utf8'),
+        digestSection: fs.readFileSync(path.join(templatesDir, 'email-digest-section.html'), 'utf8')
+      }
+    },
+    notifications: {
+      channels: ['email'],
+      policy: 'any',
+      slack: { webhookUrl: '' },
+      discord: { webhookUrl: '' },
+      webhook: { url: '', headers: {} }
+    },
+    outbox: { maxAttempts: 3, retryBaseMinutes: 1, retryMaxMinutes: 60 },
+    monitors: [createTestMonitor()],
+    filters: { rules: [] },
+    dryRun: { enabled: false, outputFile: '' },
+    fixtures: { mode: 'off', dir: '' },
+    reddit: { webBaseUrl: 'http://127.0.0.1:9' },
+    http: {
+      concurrency: 4,
+      detailsConcurrency: 4,
+      maxRetries: 0,
+      retryBaseMs: 0,
+      retryMaxMs: 0,
+      timeoutMs: 5000,
+      hostBudgetPerMinute: 1000,
+      breakerThreshold: 3,
+      breakerCooldownMinutes: 15
+    },
+    cache: { postTtlMinutes: 60, maxPosts: 100 },
+    logging: { level: 'error', format: 'text', file: '', fileMaxBytes: 1024 * 1024, fileMaxFiles: 5, prompts: 'summary' },
+    ai: {
+      providers: [],
+      timeoutMs: 5000,
+      concurrency: 2,
+      batchSize: 1,
+      batchMaxChars: 1500,
+      dailyBudget: 0,
+      prices: { 'gpt-4o-mini': { input: 0.15, output: 0.6 } },
+      prompt: parsePromptTemplate('You review Reddit posts.', 'test-prompt'),
+      openai: { apiKey: 'test-key', model: 'gpt-4o-mini', baseUrl: '' },
+      anthropic: { apiKey: '', model: 'claude-3-5-haiku-latest', baseUrl: 'http://127.0.0.1:9' },
+      ollama: { baseUrl: 'http://127.0.0.1:9', model: 'llama3.1' }
+    }
+  };
+
+  return Object.fromEntries(Object.entries({ ...defaults, ...overrides }).map(([section, value]) => [
+    section,
+    defaults[section] && overrides[section] && !Array.isArray(value)
+      ? { ...defaults[section], ...overrides[section] }
+      : value
+  ]));
+}
@@ -0,0 +1,103 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import HttpClient from '../src/services/httpClient.js';
+import FixtureStore from '../src/services/fixtureStore.js';
+import { createTestConfig, createTestLogger } from './helpers/testConfig.js';
+import { startMockServer } from './helpers/mockServer.js';
+
+describe('HttpClient', () => {
+  let server;
+  let flakyCalls = 0;
+
+  /**
+   * @param {Object} options - Settings to override (config.http)
+   * @param {Object} collaborators - Collaborators (fixtures)
+   * @returns {HttpClient} - Client with test settings
+   */
+  function createClient(options = {}, collaborators = {}) {
+    return new HttpClient({ ...createTestConfig().http, ...options }, createTestLogger(), collaborators);
+  }
+
+  before(async () => {
+    server = await startMockServer({
+      'GET /ok': () => ({ headers: { ETag: '"v1"', 'X-Ratelimit-Remaining': '99' }, body: { ok: true } }),
+      'GET /flaky': () => (++flakyCalls < 3 ? { status: 503, body: 'try later' } : { body: { ok: true } }),
+      'GET /not-modified': () => ({ status: 304 }),
+      'GET /forbidden': () => ({ status: 403, body: 'go away' }),
+      'GET /rate-limited': () => ({ status: 429, headers: { 'Retry-After': '3600' }, body: 'slow down' })
+    });
+  });
+
+  after(() => server.close());
+
+  it('retries temporary failures', async () => {
+    const response = await createClient({ maxRetries: 3 }).request(`${server.url}/flaky`);
+
+    assert.deepEqual(await response.json(), { ok: true });
+    assert.equal(flakyCalls, 3);
+  });
+
+  it('passes 304 Not Modified through', async () => {
+    const response = await createClient().request(`${server.url}/not-modified`);
+    assert.equal(response.status, 304);
+  });
+
+  it('does not retry client errors', async () => {
+    const requestCount = server.requests.length;
+
+    await assert.rejects(createClient({ maxRetries: 3 }).request(`${server.url}/forbidden`), error => {
+      assert.equal(error.status, 403);
+      assert.equal(error.attempts, 1);
+      assert.match(error.message, /^HTTP 403: go away \(after 1 attempt\)$/);
+      return true;
+    });
+    assert.equal(server.requests.length, requestCount + 1);
+  });
+
+  it('gives up at once when the server asks for a long wait', async () => {
+    await assert.rejects(createClient({ maxRetries: 3 }).request(`${server.url}/rate-limited`), /server asked to wait 3600s/);
+  });
+
+  it('opens a circuit after repeated failures and closes it on success', () => {
+    const client = createClient({ breakerThreshold: 2 });
+
+    client.recordResult('r/node', false);
+    assert.equal(client.getCircuitOpenUntil('r/node'), null);
+    client.recordResult('r/node', false);
+    assert.ok(client.getCircuitOpenUntil('r/node') > Date.now());
+
+    client.recordResult('r/node', true);
+    assert.equal(client.getCircuitOpenUntil('r/node'), null);
+  });
+
+  describe('fixtures', () => {
+    let dir;
+
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('records successful responses and replays them without the network', async () => {
+      const logger = createTestLogger();
+      const recorded = await createClient({}, { fixtures: new FixtureStore({ mode: 'record', dir }, logger) }).request(`${server.url}/ok`);
+      assert.deepEqual(await recorded.json(), { ok: true });
+      assert.equal(recorded.headers.get('etag'), '"v1"');
+
+      const requestCount = server.requests.length;
+      const replaying = createClient({}, { fixtures: new FixtureStore({ mode: 'replay', dir }, logger) });
+      const replayed = await replaying.request(`${server.url}/ok`);
+
+      assert.deepEqual(await replayed.json(), { ok: true });
+      assert.equal(replayed.headers.get('content-type'), 'application/json');
+      assert.equal(replayed.headers.get('etag'), '"v1"');
+      assert.equal(replayed.headers.get('x-ratelimit-remaining'), '99');
+      assert.equal(server.requests.length, requestCount);
+      await assert.rejects(replaying.request(`${server.url}/flaky`), /no fixture recorded/);
+    });
+  });
+});
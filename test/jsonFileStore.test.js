@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import JsonFileStore from '../src/storage/jsonFileStore.js';
+import { createTestLogger } from './helpers/testConfig.js';
+
+describe('JsonFileStore', () => {
+  it('runs overlapping flushes one after another and keeps every change', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'state-'));
+    const filePath = path.join(dir, 'state.json');
+    const store = new JsonFileStore(filePath, createTestLogger());
+
+    try {
+      store.set('seen', 'a', 1);
+      const first = store.flush();
+      store.set('approvals', 'b', 2);
+      await Promise.all([first, store.flush()]);
+
+      assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), { seen: { a: 1 }, approvals: { b: 2 } });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Logger from '../src/utils/logger.js';
+
+describe('Logger', () => {
+  let lines;
+  let originalLog;
+  let originalError;
+  let dir;
+
+  beforeEach(() => {
+    lines = [];
+    originalLog = console.log;
+    originalError = console.error;
+    console.log = line => lines.push(line);
+    console.error = line => lines.push(line);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logger-'));
+  });
+
+  afterEach(() => {
+    console.log = originalLog;
+    console.error = originalError;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('honors the debug level and falls back to info for unknown levels', () => {
+    new Logger('debug').debug('shown');
+    new Logger('verbose').debug('hidden');
+    new Logger('verbose').info('shown too');
+
+    assert.equal(lines.length, 2);
+    assert.match(lines[0], /\[DEBUG\] shown$/);
+  });
+
+  it('writes JSON lines with child fields and the run context', async () => {
+    const logger = new Logger('info', { format: 'json' });
+
+    await logger.withContext({ runId: 'run1' }, async () => {
+      await Promise.resolve();
+      logger.child({ postId: 't3_abc', subreddit: 'node' }).info('Filter ACCEPT', { status: 500 });
+    });
+    logger.info('outside');
+
+    const [inside, outside] = lines.map(line => JSON.parse(line));
+    assert.equal(inside.level, 'info');
+    assert.equal(inside.msg, 'Filter ACCEPT');
+    assert.equal(inside.runId, 'run1');
+    assert.equal(inside.postId, 't3_abc');
+    assert.equal(inside.subreddit, 'node');
+    assert.deepEqual(inside.details, [{ status: 500 }]);
+    assert.equal(outside.runId, undefined);
+  });
+
+  it('keeps the HTTP details of logged errors', () => {
+    const error = new Error('MailerSend returned HTTP 422');
+    error.status = 422;
+    error.body = { message: 'Invalid from address' };
+
+    new Logger('info', { format: 'json' }).error('Failed to send email', error);
+
+    assert.deepEqual(JSON.parse(lines[0]).details, [
+      { error: 'MailerSend returned HTTP 422', status: 422, body: { message: 'Invalid from address' } }
+    ]);
+  });
+
+  it('masks configured secrets, credential-shaped strings and email addresses', () => {
+    const logger = new Logger('info', { secrets: ['hunter2-secret', '', 'ab'] });
+
+    logger.info('Login with hunter2-secret and Authorization: Bearer abc.def');
+    logger.info('Key sk-abcdefghijklmnopqrstuv for alice@example.com, token mlsn.abc123');
+
+    assert.match(lines[0], /Login with \[REDACTED\] and Authorization: \[REDACTED\]$/);
+    assert.match(lines[1], /Key \[REDACTED\] for a\*\*\*@example\.com, token \[REDACTED\]$/);
+  });
+
+  it('writes audit entries at any level, with long values as blocks', () => {
+    const logger = new Logger('error');
+
+    logger.info('hidden');
+    logger.audit('prompt', 'AI prompt for post t3_abc', { postId: 't3_abc', user: 'Line one\nLine two' });
+
+    assert.equal(lines.length, 1);
+    assert.match(lines[0], /\[AUDIT\] AI prompt for post t3_abc \(postId=t3_abc\)\n--- user ---\nLine one\nLine two$/);
+  });
+
+  it('appends to a log file and rotates it at the size limit', () => {
+    const file = path.join(dir, 'logs', 'monitor.log');
+    const logger = new Logger('info', { file, fileMaxBytes: 200, fileMaxFiles: 2 });
+
+    for (let index = 0; index < 8; index++) {
+      logger.info(`line ${index} ${'x'.repeat(60)}`);
+    }
+
+    assert.deepEqual(fs.readdirSync(path.dirname(file)).sort(), ['monitor.log', 'monitor.log.1', 'monitor.log.2']);
+    assert.match(fs.readFileSync(file, 'utf8'), /line 7 x+\n$/);
+    // Each line is about 100 bytes, so every file holds one line and lines 0-4 are gone
+    assert.match(fs.readFileSync(`${file}.2`, 'utf8'), /line 5 /);
+    for (const name of fs.readdirSync(path.dirname(file))) {
+      assert.ok(fs.statSync(path.join(dir, 'logs', name)).size <= 200);
+    }
+  });
+});
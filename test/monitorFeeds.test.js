@@ -0,0 +1,210 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { startMockReddit, startMockOpenAI, startMockMailerSend, redditPost, aiAnswer } from './helpers/mockApis.js';
+
+const entryPoint = path.join(path.dirname(fileURLToPath(import.meta.url)), '../src/index.js');
+
+/**
+ * End-to-end checks: the real app runs "check-once" in a child process with
+ * Reddit, OpenAI and MailerSend replaced by local servers. The child runs in
+ * an empty directory so no .env file is picked up.
+ */
+describe('monitorFeeds end to end', () => {
+  let reddit;
+  let openai;
+  let mailerSend;
+  let dir;
+  const posts = [
+    redditPost({ id: 'stream1', title: 'How do I stream a file?', minutesAgo: 2, flair: 'Help' }),
+    redditPost({ id: 'chat1', title: 'Weekly chat thread', author: 'automod', selftext: '', minutesAgo: 10 })
+  ];
+
+  before(async () => {
+    reddit = await startMockReddit(posts);
+    openai = await startMockOpenAI(request => {
+      const user = request.json.messages[1].content;
+      return user.includes('Weekly chat thread')
+        ? aiAnswer({ should_reply: false, reply: '', reason: 'Nothing to answer', relevance: 0.1, category: 'discussion' })
+        : aiAnswer();
+    });
+    mailerSend = await startMockMailerSend();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'monitor-e2e-'));
+  });
+
+  after(async () => {
+    await reddit.close();
+    await openai.close();
+    await mailerSend.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Run the app once
+   * @param {Object} env - Environment variables on top of the test settings
+   * @returns {Promise<{code: number, stdout: string, stderr: string}>} - Exit code and output
+   */
+  function checkOnce(env = {}) {
+    return new Promise(resolve => {
+      execFile(process.execPath, [entryPoint, 'check-once'], {
+        cwd: dir,
+        timeout: 30000,
+        env: {
+          PATH: process.env.PATH,
+          NODE_ENV: 'production',
+          LOG_LEVEL: 'error',
+          SUBREDDITS: 'node',
+          AI_MIN_RELEVANCE: '0.5',
+          REDDIT_WEB_BASE_URL: reddit.url,
+          OPENAI_API_KEY: 'test-key',
+          OPENAI_BASE_URL: `${openai.url}/v1`,
+          MAILERSEND_API_TOKEN: 'test-token',
+          MAILERSEND_BASE_URL: `${mailerSend.url}/v1`,
+          FROM_EMAIL: 'monitor@example.com',
+          TO_EMAIL: 'me@example.com',
+          STATE_PATH: path.join(dir, 'state.json'),
+          HTTP_MAX_RETRIES: '0',
+          ...env
+        }
+      }, (error, stdout, stderr) => {
+        resolve({ code: error ? error.code : 0, stdout, stderr });
+      });
+    });
+  }
+
+  it('fetches, analyzes and emails the new posts', async () => {
+    const result = await checkOnce();
+    assert.equal(result.code, 0, result.stderr);
+
+    // Feed, then one details page per post
+    const paths = reddit.requests.map(request => request.path);
+    assert.equal(paths[0], '/r/node/new/.rss');
+    assert.deepEqual(paths.slice(1).sort(), ['/r/node/comments/chat1/post/.json', '/r/node/comments/stream1/post/.json']);
+
+    // Every post is analyzed with the full text from its details page
+    assert.equal(openai.requests.length, 2);
+    const prompt = openai.requests.find(request => request.json.messages[1].content.includes('How do I stream a file?'));
+    assert.ok(prompt.json.messages[1].content.includes('Subreddit: r/node'));
+    assert.ok(prompt.json.messages[1].content.includes(posts[0].selftext));
+
+    // Only the relevant post is emailed, with the AI's suggested reply
+    assert.equal(mailerSend.requests.length, 1);
+    const email = mailerSend.requests[0].json;
+    assert.equal(email.subject, 'New Reddit post from r/node');
+    assert.deepEqual(email.from, { email: 'monitor@example.com', name: 'Reddit RSS Monitor' });
+    assert.deepEqual(email.to.map(recipient => recipient.email), ['me@example.com']);
+    assert.ok(email.text.startsWith('You have 1 new Reddit post:\n\n1.\nr/node\nHow do I stream a file?\n'));
+    assert.ok(email.text.includes(`${reddit.url}/r/node/comments/stream1/post/`));
+    assert.ok(email.text.includes('AI: 90% relevant · question · neutral'));
+    assert.ok(email.text.includes('AI Suggested Reply:\nUse fs.createReadStream and pipe it into the response.'));
+    assert.ok(!email.text.includes('Weekly chat thread'));
+    assert.ok(email.html.includes('How do I stream a file?'));
+  });
+
+  it('does not notify the same posts twice', async () => {
+    const emails = mailerSend.requests.length;
+    const completions = openai.requests.length;
+
+    const result = await checkOnce();
+
+    assert.equal(result.code, 0, result.stderr);
+    assert.equal(mailerSend.requests.length, emails);
+    assert.equal(openai.requests.length, completions);
+  });
+
+  it('picks up a post published since the last check', async () => {
+    posts.unshift(redditPost({ id: 'pipe1', title: 'Piping streams in Node 20', minutesAgo: 0 }));
+
+    const result = await checkOnce();
+
+    assert.equal(result.code, 0, result.stderr);
+    assert.ok(mailerSend.requests.at(-1).json.text.includes('Piping streams in Node 20'));
+    assert.ok(!mailerSend.requests.at(-1).json.text.includes('How do I stream a file?'));
+  });
+
+  it('keeps a notification for a retry when the email is rejected', async () => {
+    const failingMailerSend = await startMockMailerSend({ status: 500 });
+    posts.unshift(redditPost({ id: 'buffer1', title: 'Buffer vs stream', minutesAgo: 0 }));
+
+    try {
+      const result = await checkOnce({ MAILERSEND_BASE_URL: `${failingMailerSend.url}/v1` });
+
+      // 3 = the check ran, but notifications are waiting for a retry
+      assert.equal(result.code, 3, result.stderr);
+      assert.equal(failingMailerSend.requests.length, 1);
+      assert.ok(failingMailerSend.requests[0].json.text.includes('Buffer vs stream'));
+    } finally {
+      await failingMailerSend.close();
+    }
+
+    // Until its retry is due, the post waits in the outbox instead of being analyzed and sent again
+    const emails = mailerSend.requests.length;
+    const completions = openai.requests.length;
+    const result = await checkOnce();
+
+    assert.equal(result.code, 3, result.stderr);
+    assert.equal(mailerSend.requests.length, emails);
+    assert.equal(openai.requests.length, completions);
+  });
+
+  it('reports a feed that cannot be fetched', async () => {
+    const result = await checkOnce({ REDDIT_WEB_BASE_URL: `${reddit.url}/down`, STATE_PATH: path.join(dir, 'down.json') });
+
+    assert.equal(result.code, 3);
+    assert.match(result.stderr, /Failed to fetch RSS for r\/node: HTTP 404/);
+  });
+
+  it('writes JSON log lines tagged with the run id, without the credentials', async () => {
+    const logFile = path.join(dir, 'logs', 'monitor.log');
+    const result = await checkOnce({
+      LOG_LEVEL: 'info',
+      LOG_FORMAT: 'json',
+      LOG_FILE: logFile,
+      STATE_PATH: path.join(dir, 'json-log.json')
+    });
+
+    assert.equal(result.code, 0, result.stderr);
+    const lines = fs.readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    const checkLines = lines.filter(line => line.runId);
+    assert.ok(checkLines.length > 0);
+    assert.equal(new Set(checkLines.map(line => line.runId)).size, 1);
+    assert.ok(lines.some(line => line.audit === 'prompt' && line.postId && line.subreddit === 'node' && line.user === undefined));
+    assert.ok(lines.some(line => line.msg.startsWith('AI Decision') && line.monitor === 'default' && line.postId));
+    assert.ok(!result.stdout.includes('test-token'));
+    assert.ok(!result.stdout.includes('me@example.com'));
+  });
+
+  it('handles a post found by two sources of a monitor once', async () => {
+    const monitorsFile = path.join(dir, 'monitors.yml');
+    fs.writeFileSync(monitorsFile, [
+      'monitors:',
+      '  - name: streams',
+      '    recipients: [me@example.com]',
+      '    sources:',
+      '      - node',
+      '      - type: search',
+      '        query: stream'
+    ].join('\n'));
+    const env = { MONITORS_FILE: monitorsFile, STATE_PATH: path.join(dir, 'overlap.json') };
+    const emails = mailerSend.requests.length;
+    const completions = openai.requests.length;
+
+    const result = await checkOnce(env);
+
+    assert.equal(result.code, 0, result.stderr);
+    const prompts = openai.requests.slice(completions).map(request => request.json.messages[1].content);
+    assert.equal(prompts.filter(prompt => prompt.includes('How do I stream a file?')).length, 1);
+    assert.equal(mailerSend.requests.length, emails + 1);
+    const text = mailerSend.requests.at(-1).json.text;
+    assert.equal(text.split('How do I stream a file?').length, 2);
+
+    // The copies in both feeds are marked as seen
+    const again = await checkOnce(env);
+    assert.equal(again.code, 0, again.stderr);
+    assert.equal(mailerSend.requests.length, emails + 1);
+  });
+});
@@ -0,0 +1,220 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import NotificationService from '../src/services/notificationService.js';
+import OutboxService from '../src/services/outboxService.js';
+import PostTracker from '../src/services/postTracker.js';
+import CommentWatcher from '../src/services/commentWatcher.js';
+import SlackNotifier from '../src/services/notifiers/slackNotifier.js';
+import DiscordNotifier from '../src/services/notifiers/discordNotifier.js';
+import MemoryStore from '../src/storage/memoryStore.js';
+import { createTestConfig, createTestLogger, createTestMonitor } from './helpers/testConfig.js';
+import { startMockServer } from './helpers/mockServer.js';
+import { startMockMailerSend } from './helpers/mockApis.js';
+
+const post = fields => ({
+  id: 't3_abc',
+  title: 'How do I stream a file?',
+  link: 'https://www.reddit.com/r/node/comments/abc/post/',
+  subreddit: 'node',
+  pubDate: new Date().toISOString(),
+  feedKey: 'default:node',
+  ...fields
+});
+
+describe('NotificationService and OutboxService', () => {
+  let mailerSend;
+  let webhook;
+  let webhookUp;
+  // Slack messages (1-based) that fail once
+  let slackFailures;
+
+  before(async () => {
+    mailerSend = await startMockMailerSend();
+    webhook = await startMockServer({
+      'POST /hook': () => (webhookUp ? { status: 204 } : { status: 500, body: 'down' }),
+      'POST /slack': () => {
+        const message = webhook.requests.filter(request => request.path === '/slack').length;
+        return slackFailures.delete(message) ? { status: 500, body: 'down' } : { status: 200, body: 'ok' };
+      }
+    });
+  });
+
+  after(async () => {
+    await mailerSend.close();
+    await webhook.close();
+  });
+
+  beforeEach(() => {
+    webhookUp = true;
+    slackFailures = new Set();
+    mailerSend.requests.length = 0;
+    webhook.requests.length = 0;
+  });
+
+  /**
+   * @param {string} policy - Delivery policy (any or all)
+   * @param {Object} commentWatcher - Comment watcher (optional)
+   * @returns {Object} - { config, notificationService, outboxService, postTracker }
+   */
+  function createServices(policy = 'any', commentWatcher = null) {
+    const config = createTestConfig({
+      mailersend: { baseUrl: `${mailerSend.url}/v1` },
+      notifications: { channels: ['email', 'webhook'], policy, webhook: { url: `${webhook.url}/hook`, headers: { Authorization: 'Bearer hook' } } }
+    });
+    const logger = createTestLogger();
+    const store = new MemoryStore(logger);
+    const notificationService = new NotificationService(config, logger);
+    const postTracker = new PostTracker(logger, store, { retentionMinutes: 60 });
+    const outboxService = new OutboxService(config, logger, store, { notificationService, postTracker, commentWatcher });
+    return { config, notificationService, outboxService, postTracker };
+  }
+
+  it('sends the posts to every channel, leaving out skipped posts', async () => {
+    const { notificationService } = createServices();
+
+    const outcome = await notificationService.send([post(), post({ id: 't3_def', skipped: true })], { monitor: createTestMonitor() });
+
+    assert.deepEqual(outcome, { delivered: true, results: { email: true, webhook: true } });
+    assert.equal(mailerSend.requests.length, 1);
+    assert.equal(webhook.requests[0].headers.authorization, 'Bearer hook');
+    assert.equal(webhook.requests[0].json.monitor, 'default');
+    assert.deepEqual(webhook.requests[0].json.posts.map(p => p.id), ['t3_abc']);
+  });
+
+  it('applies the delivery policy', async () => {
+    webhookUp = false;
+
+    assert.deepEqual(await createServices('any').notificationService.send([post()], {}), { delivered: true, results: { email: true, webhook: false } });
+    assert.equal((await createServices('all').notificationService.send([post()], {})).delivered, false);
+  });
+
+  it('marks delivered posts as seen and retries only the failed channels', async () => {
+    const { config, outboxService, postTracker } = createServices();
+    webhookUp = false;
+
+    const entry = outboxService.enqueue(config.monitors[0], [post(), post({ id: 't3_low', skipped: true })]);
+    assert.deepEqual(entry.posts.map(p => p.id), ['t3_abc']);
+
+    assert.equal(await outboxService.attempt(entry), false);
+    assert.equal(postTracker.isNewPost(post()), false);
+    assert.equal(outboxService.getQueuedCount(), 1);
+    assert.deepEqual([...outboxService.getHeldPostKeys()], ['default:node/t3_abc']);
+
+    webhookUp = true;
+    entry.nextAttemptAt = 0;
+    await outboxService.processDue();
+
+    assert.equal(outboxService.getQueuedCount(), 0);
+    assert.equal(mailerSend.requests.length, 1);
+    assert.equal(webhook.requests.length, 2);
+  });
+
+  it('watches the threads of posts only once they are delivered', async () => {
+    const watched = [];
+    const { config, outboxService } = createServices('all', { watch: (monitor, posts) => watched.push(...posts.map(p => p.id)) });
+    webhookUp = false;
+
+    const entry = outboxService.enqueue(config.monitors[0], [post()]);
+    await outboxService.attempt(entry);
+    assert.deepEqual(watched, []);
+
+    webhookUp = true;
+    await outboxService.attempt(entry);
+    assert.deepEqual(watched, ['t3_abc']);
+  });
+
+  it('delivers comment notifications through the outbox', async () => {
+    const config = createTestConfig({
+      notifications: { channels: ['webhook'], policy: 'any', webhook: { url: `${webhook.url}/hook`, headers: {} } },
+      comments: { watchHours: 48, keywords: [], notify: ['reply', 'mention', 'comment'] }
+    });
+    const logger = createTestLogger();
+    const store = new MemoryStore(logger);
+    const rssService = {
+      fetchComments: async () => [{ id: 't1_c1', parentId: 't3_abc', author: 'bob', body: 'Try pipeline()', createdAt: Date.now() + 1000, link: 'https://www.reddit.com/c1/' }]
+    };
+    const commentWatcher = new CommentWatcher(config, logger, store, { rssService });
+    const notificationService = new NotificationService(config, logger);
+    const postTracker = new PostTracker(logger, store, { retentionMinutes: 60 });
+    const outboxService = new OutboxService(config, logger, store, { notificationService, postTracker, commentWatcher });
+    commentWatcher.watch(config.monitors[0], [post()]);
+    webhookUp = false;
+
+    const [{ monitor, comments }] = await commentWatcher.checkThreads(outboxService.getHeldPostKeys());
+    const entry = outboxService.enqueue(monitor, comments, 'new_comments');
+    assert.equal(await outboxService.attempt(entry), false);
+    // A comment waiting in the outbox isn't picked up again
+    assert.deepEqual(await commentWatcher.checkThreads(outboxService.getHeldPostKeys()), []);
+
+    webhookUp = true;
+    entry.nextAttemptAt = 0;
+    await outboxService.processDue();
+
+    assert.equal(outboxService.getQueuedCount(), 0);
+    assert.deepEqual(webhook.requests.map(request => request.json.event), ['new_comments', 'new_comments']);
+    assert.deepEqual(await commentWatcher.checkThreads(), []);
+  });
+
+  it('dead-letters an entry after the last attempt', async () => {
+    const { config, outboxService } = createServices('all');
+    webhookUp = false;
+
+    const entry = outboxService.enqueue(config.monitors[0], [post()]);
+    for (let attempt = 0; attempt < config.outbox.maxAttempts; attempt++) {
+      await outboxService.attempt(entry);
+    }
+
+    assert.equal(outboxService.getQueuedCount(), 0);
+    const [deadLetter] = outboxService.getDeadLetters();
+    assert.equal(deadLetter.reason, 'failed channels: webhook');
+    assert.equal(deadLetter.attempts, 3);
+    // Email succeeded on the first attempt and is not sent again
+    assert.equal(mailerSend.requests.length, 1);
+  });
+
+  it('backs off exponentially up to the maximum delay', () => {
+    const { outboxService } = createServices();
+
+    assert.equal(outboxService.getRetryDelay(1), 60 * 1000);
+    assert.equal(outboxService.getRetryDelay(3), 4 * 60 * 1000);
+    assert.equal(outboxService.getRetryDelay(20), 60 * 60 * 1000);
+  });
+
+  it('resumes a chat notification from the first message that was not sent', async () => {
+    const config = createTestConfig({
+      notifications: { channels: ['slack'], policy: 'any', slack: { webhookUrl: `${webhook.url}/slack` } }
+    });
+    const logger = createTestLogger();
+    const store = new MemoryStore(logger);
+    const notificationService = new NotificationService(config, logger);
+    const postTracker = new PostTracker(logger, store, { retentionMinutes: 60 });
+    const outboxService = new OutboxService(config, logger, store, { notificationService, postTracker });
+    // 20 posts take two Slack messages; the second one fails once
+    slackFailures.add(2);
+    const posts = Array.from({ length: 20 }, (_, index) => post({ id: `t3_${index}`, title: `Post ${index}` }));
+
+    const entry = outboxService.enqueue(config.monitors[0], posts);
+    assert.equal(await outboxService.attempt(entry), false);
+    entry.nextAttemptAt = 0;
+    await outboxService.processDue();
+
+    assert.equal(outboxService.getQueuedCount(), 0);
+    const messages = webhook.requests.map(request => request.json.blocks.filter(block => block.type === 'section').length);
+    assert.deepEqual(messages, [15, 5, 5]);
+  });
+
+  it('links chat posts only to web URLs and keeps Slack links whole', () => {
+    const logger = createTestLogger();
+    const slack = new SlackNotifier(`${webhook.url}/slack`, logger);
+    const discord = new DiscordNotifier(`${webhook.url}/discord`, logger);
+    const unsafe = post({ link: 'javascript:alert(1)' });
+    const long = post({ title: 'x'.repeat(5000), link: 'https://example.com/a|b?q=<x>' });
+
+    assert.equal(slack.buildPostBlocks(unsafe)[0].text.text.split('\n')[0], '*How do I stream a file?*');
+    assert.equal(discord.buildEmbed(unsafe).url, undefined);
+    const text = slack.buildPostBlocks(long)[0].text.text;
+    assert.ok(text.startsWith('*<https://example.com/a%7Cb?q=&lt;x&gt;|x'));
+    assert.ok(text.includes('>*\nr/node'));
+    assert.ok(text.length <= 2900);
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import PostTracker from '../src/services/postTracker.js';
+import MemoryStore from '../src/storage/memoryStore.js';
+import { createTestLogger } from './helpers/testConfig.js';
+
+const FEED = 'default:node';
+
+/**
+ * Build feed posts published one minute apart, newest first
+ * @param {number} count - Number of posts
+ * @param {string} feedKey - Feed the posts belong to
+ * @returns {Object[]} - Posts p<count> (newest) to p1 (oldest)
+ */
+function feedPosts(count, feedKey = FEED) {
+  return Array.from({ length: count }, (_, i) => ({
+    id: `p${count - i}`,
+    pubDate: new Date(Date.now() - (i + 1) * 60 * 1000).toISOString(),
+    feedKey
+  }));
+}
+
+describe('PostTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    const logger = createTestLogger();
+    tracker = new PostTracker(logger, new MemoryStore(logger), { retentionMinutes: 60 });
+  });
+
+  it('delivers every post of a first check within the backfill limit, oldest first', () => {
+    const posts = tracker.selectNewPosts(FEED, feedPosts(3), 5);
+    assert.deepEqual(posts.map(post => post.id), ['p1', 'p2', 'p3']);
+  });
+
+  it('backfills only the newest posts on a first check and puts the cursor behind them', () => {
+    const posts = tracker.selectNewPosts(FEED, feedPosts(5), 2);
+
+    assert.deepEqual(posts.map(post => post.id), ['p4', 'p5']);
+    assert.equal(tracker.getCursor(FEED).id, 'p3');
+  });
+
+  it('skips posts that were marked as seen', () => {
+    const [first] = tracker.selectNewPosts(FEED, feedPosts(2), 5);
+    tracker.markAsSeen(first);
+
+    assert.deepEqual(tracker.selectNewPosts(FEED, feedPosts(2), 5).map(post => post.id), ['p2']);
+    assert.equal(tracker.getTrackedCount(), 1);
+  });
+
+  it('skips posts older than the cursor even after they are forgotten', () => {
+    const posts = feedPosts(2);
+    tracker.selectNewPosts(FEED, posts, 5).forEach(post => tracker.markAsSeen(post));
+    tracker.clear();
+    tracker.advanceCursor(FEED, 'p2', new Date(posts[0].pubDate).getTime());
+
+    assert.deepEqual(tracker.selectNewPosts(FEED, posts, 5), []);
+  });
+
+  it('never moves a cursor backwards', () => {
+    tracker.advanceCursor(FEED, 'new', 2000);
+    tracker.advanceCursor(FEED, 'old', 1000);
+
+    assert.deepEqual(tracker.getCursor(FEED), { id: 'new', timestamp: 2000 });
+  });
+
+  it('tracks seen posts per feed', () => {
+    const [post] = feedPosts(1);
+    tracker.markAsSeen(post);
+
+    assert.equal(tracker.isNewPost({ ...post, feedKey: 'other:node' }), true);
+  });
+
+  it('ignores posts without an id or date', () => {
+    assert.deepEqual(tracker.selectNewPosts(FEED, [{ id: 'x', feedKey: FEED }, { pubDate: new Date().toISOString(), feedKey: FEED }], 5), []);
+  });
+
+  it('forgets seen posts older than the retention period', () => {
+    const [post] = feedPosts(1);
+    tracker.markAsSeen(post);
+    tracker.store.set('seenPosts', `${FEED}/old`, Date.now() - 2 * 60 * 60 * 1000);
+
+    tracker.cleanup();
+
+    assert.equal(tracker.getTrackedCount(), 1);
+    assert.equal(tracker.isNewPost(post), false);
+  });
+
+  it('lists and clears the feeds of one monitor', () => {
+    feedPosts(2).forEach(post => tracker.markAsSeen(post));
+    feedPosts(1, 'other:node').forEach(post => tracker.markAsSeen(post));
+
+    const feeds = tracker.getFeeds('default');
+    assert.deepEqual(feeds.map(feed => feed.feedKey), [FEED]);
+    assert.deepEqual(feeds[0].posts.map(post => post.id).sort(), ['p1', 'p2']);
+
+    assert.deepEqual(tracker.clear('default'), { feeds: 1, posts: 2 });
+    assert.deepEqual(tracker.getFeeds().map(feed => feed.feedKey), ['other:node']);
+  });
+});
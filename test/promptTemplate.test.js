@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePromptTemplate, renderPrompt, selectPrompt, usesVariable, DEFAULT_USER_TEMPLATE } from '../src/utils/promptTemplate.js';
+
+describe('promptTemplate', () => {
+  it('parses the version header and the user section', () => {
+    const template = parsePromptTemplate('---\nversion: v2\n---\nYou review r/{{subreddit}}.\n=== user ===\nTitle: {{title}}', 'node.txt');
+
+    assert.deepEqual(template, { version: 'v2', system: 'You review r/{{subreddit}}.', user: 'Title: {{title}}' });
+  });
+
+  it('versions templates without a header by name and content hash', () => {
+    const first = parsePromptTemplate('You review posts.', 'prompt.txt');
+    const edited = parsePromptTemplate('You review posts!', 'prompt.txt');
+
+    assert.match(first.version, /^prompt\.txt@[0-9a-f]{8}$/);
+    assert.notEqual(first.version, edited.version);
+    assert.equal(first.user, DEFAULT_USER_TEMPLATE);
+  });
+
+  it('rejects empty templates and unknown variables', () => {
+    assert.throws(() => parsePromptTemplate('---\nversion: v1\n---\n', 'empty.txt'), /system prompt is empty/);
+    assert.throws(() => parsePromptTemplate('Hello {{user_name}}', 'bad.txt'), /unknown variable\(s\) \{\{user_name\}\}/);
+  });
+
+  it('renders values as plain text', () => {
+    const template = parsePromptTemplate('Rules:\n{{subreddit_rules}}', 'rules.txt');
+    const prompt = renderPrompt(template, { subreddit: 'node', origin: 'r/node', title: 'Tom & <Jerry>', content: '', subreddit_rules: '1. Be nice' });
+
+    assert.equal(prompt.system, 'Rules:\n1. Be nice');
+    assert.equal(prompt.user, 'Subreddit: r/node\n\nPost Title: Tom & <Jerry>\n\nPost Content: [No text content - may be link/image/video post]');
+    assert.equal(usesVariable(template, 'subreddit_rules'), true);
+    assert.equal(usesVariable(template, 'flair'), false);
+  });
+
+  it('picks the subreddit template, case-insensitively', () => {
+    const node = parsePromptTemplate('Node prompt', 'node.txt');
+    const monitor = { prompt: parsePromptTemplate('Default prompt', 'default.txt'), subredditPrompts: { node } };
+
+    assert.equal(selectPrompt(monitor, { subreddit: 'Node' }), node);
+    assert.equal(selectPrompt(monitor, { subreddit: 'deno' }), monitor.prompt);
+    assert.equal(selectPrompt(monitor, { subreddit: null }), monitor.prompt);
+  });
+});
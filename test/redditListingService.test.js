@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import RedditListingService from '../src/services/redditListingService.js';
+import HttpClient from '../src/services/httpClient.js';
+import { createTestConfig, createTestLogger } from './helpers/testConfig.js';
+
+const SOURCE = { type: 'subreddit', id: 'node', label: 'r/node', name: 'node' };
+
+const item = (id, fields) => ({
+  name: `t3_${id}`,
+  title: `Post ${id}`,
+  permalink: `/r/node/comments/${id}/post/`,
+  subreddit: 'node',
+  author: 'alice',
+  created_utc: Date.now() / 1000,
+  is_self: true,
+  ...fields
+});
+
+describe('RedditListingService', () => {
+  /**
+   * @param {Object} cursorPost - /by_id data of the cursor post, or null if Reddit doesn't know it
+   * @returns {Object} - { service, requests }
+   */
+  function createService(cursorPost) {
+    const config = createTestConfig();
+    const logger = createTestLogger();
+    const requests = [];
+    const redditClient = {
+      get: async (path, params) => {
+        requests.push(params.before ? `${path}?before=${params.before}` : path);
+        if (path.startsWith('/by_id/')) {
+          return { data: { children: cursorPost ? [{ data: cursorPost }] : [] } };
+        }
+        return { data: { children: params.before ? [] : [{ data: item('latest') }] } };
+      }
+    };
+    return { service: new RedditListingService(logger, redditClient, new HttpClient(config.http, logger)), requests };
+  }
+
+  it('reports nothing new while the cursor post is still listed', async () => {
+    const { service, requests } = createService(item('cursor'));
+    const result = await service.fetchFeed(SOURCE, 't3_cursor');
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.posts, []);
+    assert.deepEqual(requests, ['/r/node/new?before=t3_cursor', '/by_id/t3_cursor']);
+  });
+
+  it('falls back to the latest page once the cursor post is gone', async () => {
+    for (const cursorPost of [null, item('cursor', { removed_by_category: 'moderator' }), item('cursor', { author: '[deleted]' })]) {
+      const { service } = createService(cursorPost);
+      const result = await service.fetchFeed(SOURCE, 't3_cursor');
+
+      assert.deepEqual(result.posts.map(post => post.id), ['t3_latest']);
+    }
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import RssService from '../src/services/rssService.js';
+import HttpClient from '../src/services/httpClient.js';
+import { createTestConfig, createTestLogger } from './helpers/testConfig.js';
+import { startMockReddit, redditPost } from './helpers/mockApis.js';
+
+const SOURCE = { type: 'subreddit', id: 'node', label: 'r/node', name: 'node' };
+
+describe('RssService', () => {
+  let reddit;
+  const missing = () => ({ type: 'feed', id: 'feed:missing', label: 'missing', url: `${reddit.url}/missing.xml` });
+  const posts = [
+    redditPost({ id: 'new1', title: 'Streams & pipes', minutesAgo: 2, flair: 'Help' }),
+    redditPost({ id: 'old1', author: 'bob', minutesAgo: 30, comments: [{ id: 'c1', author: 'carol', body: 'Use pipeline()' }] })
+  ];
+
+  /**
+   * @returns {RssService} - Service reading from the mock Reddit
+   */
+  function createService() {
+    const config = createTestConfig();
+    const logger = createTestLogger();
+    return new RssService(logger, new HttpClient(config.http, logger), config.cache, { baseUrl: reddit.url });
+  }
+
+  before(async () => {
+    reddit = await startMockReddit(posts, { rules: { node: [{ short_name: 'Be nice', description: 'No  personal\nattacks' }, { short_name: 'No spam' }] } });
+  });
+
+  after(() => reddit.close());
+
+  it('builds feed URLs from the base URL', () => {
+    const service = createService();
+
+    assert.equal(service.getFeedUrl(SOURCE), `${reddit.url}/r/node/new/.rss`);
+    assert.equal(service.getFeedUrl({ type: 'user', name: 'alice' }), `${reddit.url}/user/alice/submitted/.rss?sort=new`);
+    assert.equal(service.getFeedUrl({ type: 'search', query: 'synth', subreddit: 'audio' }), `${reddit.url}/r/audio/search.rss?q=synth&sort=new&restrict_sr=on`);
+    assert.equal(service.getFeedUrl({ type: 'multireddit', subreddits: ['a', 'b'] }), `${reddit.url}/r/a+b/new/.rss`);
+    assert.equal(service.getFeedUrl({ type: 'feed', url: 'https://example.com/feed.xml' }), 'https://example.com/feed.xml');
+  });
+
+  it('fetches and normalizes a subreddit feed', async () => {
+    const result = await createService().fetchFeed(SOURCE);
+
+    assert.equal(result.success, true);
+    assert.deepEqual(result.posts.map(post => post.id), ['t3_new1', 't3_old1']);
+
+    const [post] = result.posts;
+    assert.equal(post.title, 'Streams & pipes');
+    assert.equal(post.link, `${reddit.url}/r/node/comments/new1/post/`);
+    assert.equal(post.subreddit, 'node');
+    assert.equal(post.author, 'alice');
+    assert.deepEqual(post.source, { type: 'subreddit', id: 'node', label: 'r/node' });
+    assert.ok(post.contentSnippet.includes('stream a large file'));
+  });
+
+  it('reports a failed feed without throwing', async () => {
+    const result = await createService().fetchFeed(missing());
+
+    assert.equal(result.success, false);
+    assert.match(result.error, /HTTP 404/);
+    assert.deepEqual(result.posts, []);
+  });
+
+  it('collects the posts of the successful feeds', async () => {
+    const service = createService();
+    const results = await service.fetchMultipleFeeds([SOURCE, missing()]);
+
+    assert.deepEqual(results.map(result => result.success), [true, false]);
+    assert.equal(service.getAllPosts(results).length, 2);
+  });
+
+  it('pauses only the failing feed when two feeds share a label', async () => {
+    const service = createService();
+    const working = { type: 'feed', id: 'feed:working', label: 'missing', url: `${reddit.url}/r/node/new/.rss` };
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await service.fetchFeed(missing());
+    }
+
+    assert.match((await service.fetchFeed(missing())).error, /paused/i);
+    assert.equal((await service.fetchFeed(working)).success, true);
+  });
+
+  it('fetches post details from the JSON page and caches them', async () => {
+    const service = createService();
+    const link = `${reddit.url}/r/node/comments/new1/post/`;
+    const requestCount = reddit.requests.length;
+
+    const details = await service.fetchPostDetails(link);
+    await service.fetchPostDetails(link);
+
+    assert.deepEqual(details, {
+      selftext: posts[0].selftext,
+      flair: 'Help',
+      author: 'alice',
+      id: 't3_new1',
+      title: 'Streams & pipes',
+      subreddit: 'node'
+    });
+    assert.equal(reddit.requests.length, requestCount + 1);
+    assert.deepEqual(service.takeCacheStats(), { feedHits: 0, feedMisses: 0, postHits: 1, postMisses: 1 });
+  });
+
+  it('links comments through the base URL', async () => {
+    const comments = await createService().fetchComments(`${reddit.url}/r/node/comments/old1/post/`);
+
+    assert.deepEqual(comments.map(comment => [comment.id, comment.body, comment.link]),
+      [['t1_c1', 'Use pipeline()', `${reddit.url}/r/node/comments/old1/post/c1/`]]);
+  });
+
+  it('returns null for post details that cannot be loaded', async () => {
+    assert.equal(await createService().fetchPostDetails(`${reddit.url}/r/node/comments/gone/post/`), null);
+  });
+
+  it('formats the subreddit rules as numbered lines', async () => {
+    const rules = await createService().fetchSubredditRules('node');
+    assert.equal(rules, '1. Be nice: No personal attacks\n2. No spam');
+  });
+});